@@ -0,0 +1,381 @@
+/**
+ * The HTTP API of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import http from 'node:http'
+import { randomUUID } from 'node:crypto'
+import { Application } from './application.js'
+import { GatheringError, NoCommonDayError } from './errors.js'
+import { logger } from './logger.js'
+import { normalizeStartUrl } from './start-url.js'
+
+// How long a finished job is kept for its result to be fetched, in milliseconds.
+const JOB_TTL = 60 * 60 * 1000
+
+/**
+ * Serves the plan and the data of each stage as JSON, e.g. GET /suggestions?start=<url>.
+ * Errors are JSON too, as {"error": {"status": 400, "message": "..."}}, with the type and the partial results of a plan that failed.
+ */
+export class ApiServer {
+  /**
+   * The configuration the plans are made with, as loaded by Config.
+   *
+   * @type {object}
+   */
+  #config
+
+  /**
+   * The jobs that have been started, keyed by id.
+   *
+   * @type {Map<string, object>}
+   */
+  #jobs = new Map()
+
+  /**
+   * How long a finished job is kept, in milliseconds.
+   *
+   * @type {number}
+   */
+  #jobTtl
+
+  /**
+   * The controllers that abort the jobs that are still running, keyed by id.
+   *
+   * @type {Map<string, {controller: AbortController, promise: Promise<void>}>}
+   */
+  #running = new Map()
+
+  /**
+   * The underlying HTTP server.
+   *
+   * @type {http.Server}
+   */
+  #server
+
+  /**
+   * The origin the server listens on, e.g. http://127.0.0.1:8080.
+   *
+   * @type {string}
+   */
+  origin
+
+  /**
+   * Represents an ApiServer object.
+   *
+   * @param {object} [config] - The configuration the plans are made with, as loaded by Config.
+   * @param {object} [options] - The options of the server.
+   * @param {number} [options.jobTtl] - How long a finished job is kept, in milliseconds, an hour by default.
+   */
+  constructor (config = {}, { jobTtl = JOB_TTL } = {}) {
+    this.#config = config
+    this.#jobTtl = jobTtl
+  }
+
+  /**
+   * Starts listening.
+   *
+   * @async
+   * @param {number} [port=0] - The port to listen on, 0 picks a free one.
+   * @param {string} [host='127.0.0.1'] - The address to listen on.
+   * @returns {Promise<ApiServer>} - A promise that resolves with the server once it listens.
+   */
+  async start (port = 0, host = '127.0.0.1') {
+    // The server logs no summary, so the logger forgets the failures, timings and requests of each request once it is answered, instead of keeping them for as long as it runs.
+    this.#server = http.createServer((req, res) => {
+      this.#handle(req, res)
+        .catch(error => this.#sendError(res, error))
+        .finally(() => logger.reset())
+    })
+
+    await new Promise(resolve => this.#server.listen(port, host, resolve))
+    this.origin = `http://${host}:${this.#server.address().port}`
+
+    return this
+  }
+
+  /**
+   * Stops the server, aborting the jobs that are still running.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves when the server is closed.
+   */
+  async close () {
+    for (const { controller } of this.#running.values()) {
+      controller.abort()
+    }
+    await Promise.all(Array.from(this.#running.values(), job => job.promise))
+
+    this.#server.closeAllConnections()
+    await new Promise(resolve => this.#server.close(resolve))
+  }
+
+  /**
+   * Routes a request.
+   *
+   * @async
+   * @private
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @returns {Promise<void>} - A promise that resolves when the response is sent.
+   * @throws {Error} - If the request cannot be answered, with the status of the error response.
+   */
+  async #handle (req, res) {
+    const url = new URL(req.url, this.origin)
+    const routes = {
+      '/suggestions': { GET: this.#suggestions },
+      '/calendar': { GET: this.#calendar },
+      '/cinema': { GET: this.#cinema },
+      '/restaurant': { GET: this.#restaurant },
+      '/jobs': { POST: this.#startJob }
+    }
+
+    const [, jobs, id, ...rest] = url.pathname.split('/')
+
+    if (jobs === 'jobs' && id && rest.length === 0) {
+      routes[url.pathname] = { GET: this.#job.bind(this, id) }
+    }
+
+    const route = routes[url.pathname]
+
+    if (!route) {
+      throw this.#error(404, `There is no endpoint ${url.pathname}.`)
+    }
+    if (!route[req.method]) {
+      res.setHeader('Allow', Object.keys(route).join(', '))
+      throw this.#error(405, `${req.method} is not allowed on ${url.pathname}, use ${Object.keys(route).join(', ')}.`)
+    }
+
+    const { status = 200, body } = await route[req.method].call(this, url.searchParams)
+    this.#send(res, status, body)
+  }
+
+  /**
+   * Makes the full plan.
+   *
+   * @async
+   * @private
+   * @param {URLSearchParams} params - The query of the request.
+   * @returns {Promise<{body: object}>} - A promise that resolves to the ranked suggestions.
+   */
+  async #suggestions (params) {
+    const start = this.#startUrl(params)
+    return { body: { start, suggestions: await this.#plan(start) } }
+  }
+
+  /**
+   * Reads the calendars and finds the days that everyone is available, or enough of them as set in the attendance setting.
+   *
+   * @async
+   * @private
+   * @param {URLSearchParams} params - The query of the request.
+   * @returns {Promise<{body: object}>} - A promise that resolves to the calendar of each person, the common days and who is available on each day.
+   */
+  async #calendar (params) {
+    const start = this.#startUrl(params)
+    const { people, commonDays, attendance } = await new Application(start, this.#config).calendar()
+
+    return { body: { start, people, commonDays, attendance } }
+  }
+
+  /**
+   * Reads the shows of the cinema.
+   *
+   * @async
+   * @private
+   * @param {URLSearchParams} params - The query of the request.
+   * @returns {Promise<{body: object}>} - A promise that resolves to the shows.
+   */
+  async #cinema (params) {
+    const start = this.#startUrl(params)
+    const shows = await new Application(start, this.#config).cinema()
+
+    return { body: { start, shows } }
+  }
+
+  /**
+   * Logs in to the restaurant, reads the free tables and logs out.
+   *
+   * @async
+   * @private
+   * @param {URLSearchParams} params - The query of the request.
+   * @returns {Promise<{body: object}>} - A promise that resolves to the free tables of each day.
+   */
+  async #restaurant (params) {
+    const start = this.#startUrl(params)
+    const application = new Application(start, this.#config)
+
+    try {
+      const slots = await application.dinner()
+
+      return { body: { start, slots } }
+    } finally {
+      await application.close().catch(error => logger.warn(error.message))
+    }
+  }
+
+  /**
+   * Starts making a plan in the background, for plans that take longer than a request should.
+   *
+   * @async
+   * @private
+   * @param {URLSearchParams} params - The query of the request.
+   * @returns {Promise<{status: number, body: object}>} - A promise that resolves to the new job.
+   */
+  async #startJob (params) {
+    const start = this.#startUrl(params)
+    const id = randomUUID()
+    const controller = new AbortController()
+    const job = { id, start, status: 'running', startedAt: new Date().toISOString() }
+
+    this.#pruneJobs()
+    this.#jobs.set(id, job)
+
+    const promise = this.#plan(start, controller.signal)
+      .then(suggestions => Object.assign(job, { status: 'done', suggestions }))
+      .catch(error => Object.assign(job, { status: 'failed', error: this.#describe(error) }))
+      .finally(() => {
+        job.finishedAt = new Date().toISOString()
+        this.#running.delete(id)
+        logger.reset()
+      })
+
+    this.#running.set(id, { controller, promise })
+
+    return { status: 202, body: { ...job, links: { self: `/jobs/${id}` } } }
+  }
+
+  /**
+   * Returns the status of a job, and its suggestions once it is done.
+   *
+   * @async
+   * @private
+   * @param {string} id - The id of the job.
+   * @returns {Promise<{body: object}>} - A promise that resolves to the job.
+   * @throws {Error} - If there is no job with the id.
+   */
+  async #job (id) {
+    this.#pruneJobs()
+    const job = this.#jobs.get(id)
+
+    if (!job) {
+      throw this.#error(404, `There is no job ${id}.`)
+    }
+
+    return { body: { ...job, links: { self: `/jobs/${id}` } } }
+  }
+
+  /**
+   * Forgets the jobs that finished longer ago than the jobs are kept.
+   *
+   * @private
+   */
+  #pruneJobs () {
+    const expired = Date.now() - this.#jobTtl
+
+    for (const [id, job] of this.#jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) <= expired) {
+        this.#jobs.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Makes a plan without printing it.
+   *
+   * @async
+   * @private
+   * @param {string} start - The start URL.
+   * @param {AbortSignal} [signal] - A signal that stops the plan.
+   * @returns {Promise<Array<object>>} - A promise that resolves to the ranked suggestions.
+   */
+  async #plan (start, signal) {
+    const application = new Application(start, { ...this.#config, output: undefined })
+
+    try {
+      return await application.run({ signal, print: false })
+    } finally {
+      await application.close().catch(error => logger.warn(error.message))
+    }
+  }
+
+  /**
+   * Reads and validates the start URL of a request, adding a trailing slash if needed.
+   *
+   * @private
+   * @param {URLSearchParams} params - The query of the request.
+   * @returns {string} - The start URL.
+   * @throws {Error} - If the start URL is missing or not valid.
+   */
+  #startUrl (params) {
+    if (!params.has('start')) {
+      throw this.#error(400, 'The start parameter is missing, e.g. ?start=https://courselab.lnu.se/scraper-site-1.')
+    }
+
+    try {
+      return normalizeStartUrl(params.get('start'))
+    } catch (error) {
+      throw this.#error(400, error.message)
+    }
+  }
+
+  /**
+   * Creates an error with the status of its response.
+   *
+   * @private
+   * @param {number} status - The HTTP status.
+   * @param {string} message - The message.
+   * @returns {Error} - The error.
+   */
+  #error (status, message) {
+    return Object.assign(new Error(message), { status })
+  }
+
+  /**
+   * Sends an error as JSON. The failures of the scrapers are reported as a bad gateway, except that there is no common day, which the sites answered correctly,
+   * and any other error without a status of its own is an internal server error.
+   *
+   * @private
+   * @param {http.ServerResponse} res - The response.
+   * @param {Error} error - The error.
+   */
+  #sendError (res, error) {
+    let status = error.status || 500
+
+    if (error instanceof GatheringError) {
+      status = error instanceof NoCommonDayError ? 422 : 502
+    }
+
+    this.#send(res, status, { error: { status, ...this.#describe(error) } })
+  }
+
+  /**
+   * Describes an error for a response, with its type and partial results if it is a failure of the scrapers.
+   *
+   * @private
+   * @param {Error} error - The error.
+   * @returns {{type: string, stage: string, message: string, partial: object}} - The description.
+   */
+  #describe (error) {
+    if (!(error instanceof GatheringError)) {
+      return { message: error.message }
+    }
+
+    return { type: error.name, stage: error.stage, message: error.message, partial: error.partial }
+  }
+
+  /**
+   * Sends a JSON response.
+   *
+   * @private
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} status - The HTTP status.
+   * @param {object} body - The body, serialised as JSON.
+   */
+  #send (res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+    res.end(JSON.stringify(body, null, 2))
+  }
+}
@@ -5,17 +5,6 @@
  * @version 1.1.1
  */
 
-import { Application } from './application.js'
+import { Cli } from './cli.js'
 
-try {
-  let baseUrl = process.argv[2]
-
-  if (baseUrl.slice(-1) !== '/') {
-    baseUrl = `${baseUrl}/`
-  }
-
-  const application = new Application(baseUrl)
-  await application.run()
-} catch (error) {
-  console.error(error.message)
-}
+process.exitCode = await new Cli().run(process.argv.slice(2))
@@ -5,9 +5,18 @@
  * @version 1.1.1
  */
 
-import { CalendarScraper } from './calendar-scraper.js'
-import { CinemaScraper } from './cinema-scraper.js'
-import { BarScraper } from './bar-scraper.js'
+import { writeFile } from 'node:fs/promises'
+import { SiteDiscovery } from './site-discovery.js'
+import { SuggestionRanker } from './suggestion-ranker.js'
+import { DateResolver } from './date-resolver.js'
+import { HttpClient } from './http-client.js'
+import { HttpArchive } from './http-archive.js'
+import { SiteProfile } from './site-profile.js'
+import { createFormatter } from './formatters/index.js'
+import { createPipeline } from './plugins/index.js'
+import { GatheringError, NoCommonDayError, ParseError } from './errors.js'
+import { Logger, logger } from './logger.js'
+import { toMinutes } from './time-of-day.js'
 
 /**
  * Represents a web scraping application.
@@ -20,181 +29,544 @@ export class Application {
    */
   #baseUrl
 
+  /**
+   * The configuration of the application, e.g. the restaurant credentials.
+   *
+   * @type {object}
+   */
+  #config
+
+  /**
+   * The client that sends the requests of all scrapers in the last run, so they share its rate limit.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
+
+  /**
+   * The plugin of each step of the pipeline, in order, created the first time they are needed.
+   *
+   * @type {Promise<Array<import('./plugins/plugin.js').Plugin>>}
+   */
+  #pipeline
+
+  /**
+   * How the sites are read, the default profile with what the configuration changes.
+   *
+   * @type {SiteProfile}
+   */
+  #profile
+
+  /**
+   * The archive the requests are recorded in, if any.
+   *
+   * @type {HttpArchive}
+   */
+  #record
+
+  /**
+   * The archive the requests are replayed from, if any.
+   *
+   * @type {HttpArchive}
+   */
+  #replay
+
+  /**
+   * The dates the last run is planned on, resolved from the configuration.
+   *
+   * @type {DateResolver}
+   */
+  #dates
+
+  /**
+   * The sites found by the last run, shared by all scrapers so the base URL is only crawled once.
+   *
+   * @type {object}
+   */
+  sites
+
+  /**
+   * The wall-clock time of the crawl, of each step and of the whole of the last run, in milliseconds, by name, e.g. crawl, calendar and run.
+   *
+   * @type {object}
+   */
+  timings = {}
+
   /**
    * The constructor of the class.
    *
    * @param {string} baseUrl - The base URL for the application that is selected by the user, in the terminal.
+   * @param {object} [config] - The configuration of the application, as loaded by Config.
+   * @param {string} [config.format='text'] - The output format of the suggestions, e.g. json or ics.
+   * @param {string} [config.output] - The file to write the suggestions to, instead of the terminal.
+   * @param {object} [config.timing] - The rules for when the dinner may start, in minutes.
+   * @param {number} [config.timing.minimumGap=120] - The minimum time from the start of the movie to the start of the dinner.
+   * @param {number} [config.timing.movieLength] - The length of the movies, if known.
+   * @param {number} [config.timing.travelTime=0] - The time it takes to get from the cinema to the restaurant after the movie.
+   * @param {number} [config.timing.maxWait] - The longest wait for the dinner, from when the group could be at the restaurant.
+   * @param {object} [config.preferences] - The preferences the suggestions are ranked by, see SuggestionRanker.
+   * @param {{quorum: number, mustAttend: Array<string>}} [config.attendance] - The number of people that have to be free on a day to plan it, everyone by default, and the people that have to be.
+   * @param {object} [config.dates] - The timezone, referenceDate and number of weekends the days are resolved to dates by, see DateResolver.
+   * @param {object} [config.http] - The options of the HttpClient, e.g. timeout, retries and rateLimit.
+   * @param {string} [config.record] - A directory to record the requests and responses of the run in.
+   * @param {string} [config.replay] - A directory with a recorded run to replay, instead of using the network.
+   * @param {{username: string, password: string}} [config.restaurant] - The credentials of the restaurants that have none of their own.
+   * @param {Array<{url: string, name: string, username: string, password: string}>} [config.restaurants] - The credentials of each restaurant, picked by the start of its URL or by its name.
+   * @param {Array<{name: string, plugin: string|Function|object}>} [config.pipeline] - The steps that are chained into the suggestions, see createPipeline. By default the calendar, cinema and dinner.
+   * @param {object} [config.profile] - How the calendar, cinema and restaurant sites are read, see SiteProfile. By default the sites of the assignment.
    */
-  constructor (baseUrl) {
+  constructor (baseUrl, config = {}) {
     this.#baseUrl = baseUrl
+    this.#config = config
+    this.#profile = new SiteProfile(config.profile)
+    // The profile may name the password field of the login form otherwise, so it is redacted by that name too.
+    this.#record = config.record ? new HttpArchive(config.record, { secretFields: [this.#profile.restaurant.loginFields.password] }) : undefined
+    this.#replay = config.replay ? new HttpArchive(config.replay) : undefined
   }
 
   /**
-   * Runs the application. Compiles the calendar availability of the different people, uses the calendar availability to see which movies are available and at what times, and makes a dinner reservation 2 hours after, based on the available movie tickets.
+   * Runs the application. Runs each step of the pipeline, by default the calendars, the cinemas and the restaurants, and chains them into suggestions:
+   * the days everyone is free, the movies with free seats on those days, and the tables that are free when the movie lets out.
+   * Each step is read as soon as the steps it depends on are, so the calendars and the restaurants are read at the same time and the cinemas after the calendars.
+   * When there is no common day, the steps in progress are cancelled, as nothing they read could be planned with.
+   * Each suggestion is made on the dates of its day in the weekends that are planned, in order, and they are then ranked by the preferences of the group.
+   * A step that fails does not stop the steps that do not depend on it, so the error of a failed run carries the results that could still be read.
    *
    * @async
-   * @returns {Promise<void>} A promise that resolves when the application finishes running.
+   * @param {object} [options] - The options of this run.
+   * @param {AbortSignal} [options.signal] - A signal that stops the run, aborting the requests in progress.
+   * @param {boolean} [options.print=true] - Whether to print the suggestions, they are still written to the output file if one is configured.
+   * @returns {Promise<Array<object>>} A promise that resolves to the ranked suggestions when the application finishes running.
+   * @throws {Error} - The error of the first step that failed, or that found nothing to plan with, e.g. a NoCommonDayError, with the failures of all steps and the partial results.
    */
-  async run () {
-    const compileCalendarAvailability = await this.#compileCalendarAvailability()
-    // console.log(compileCalendarAvailability)
+  async run ({ signal, print = true } = {}) {
+    const formatter = createFormatter(this.#config.format)
+    const dates = this.#dates = new DateResolver(this.#config.dates)
+    const plugins = await this.#plugins()
+    const done = logger.time('run')
+
+    this.timings = {}
+    await this.crawl({ signal })
 
-    const buyMovieTickets = await this.#buyMovieTickets(compileCalendarAvailability)
-    // console.log(buyMovieTickets)
+    // The steps have a controller of their own, so the steps in progress can be cancelled without stopping the run.
+    const controller = new AbortController()
+    this.#httpClient.signal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+
+    // The steps are started in order, so the steps a step depends on have been started before it.
+    const steps = new Map()
+    let results
+
+    try {
+      for (const plugin of plugins) {
+        steps.set(plugin.name, this.#step(plugin, plugins, steps, { signal, controller }))
+      }
+
+      results = await Promise.all(steps.values())
+    } finally {
+      // The sessions are logged out, and a table may be booked, after the run.
+      this.#httpClient.signal = signal
+    }
+
+    const failures = [
+      ...results.filter(result => result.problem).map(result => result.problem),
+      ...results.filter(result => !result.ok && !result.skipped).map(result => result.error)
+    ]
+
+    if (failures.length > 0) {
+      this.timings.run = done()
+      const [error] = failures
+      throw Object.assign(error, { failures, partial: this.#partial(plugins, results) })
+    }
 
-    const makeDinnerReservation = await this.#makeDinnerReservation(buyMovieTickets)
+    const plans = plugins.reduce((plans, plugin, index) => plugin.chain(plans, results[index].value, this.#context()), [{ suggestion: {} }])
 
-    console.log('Suggestions\n===========')
-    for (const data of Object.keys(makeDinnerReservation)) {
-      makeDinnerReservation[data].forEach(item => {
-        const day = data.toString()
-        const movie = item.movie
-        const movieTime = item.movieTime
-        const dinnerTime = item.dinnerTime
-        console.log(`* On ${day}, "${movie}" begins at ${movieTime}:00, and there is a free table to book between ${dinnerTime}:00-${dinnerTime + 2}:00.`)
+    // The suggestions are ranked in the order of their dates and times, the ranking keeps that order for suggestions with the same score.
+    // Each step may then leave out the suggestions it cannot make on their dates, e.g. when a friend is only free on some of the Fridays.
+    const dated = plugins
+      .reduce((suggestions, plugin, index) => plugin.onDates(suggestions, results[index].value, this.#context()), plans.flatMap(plan => dates.resolve(plan.suggestion)))
+      .sort((a, b) => this.#chronologically(a, b))
+
+    const suggestions = new SuggestionRanker(this.#config.preferences).rank(dated)
+
+    await this.#record?.save()
+
+    const output = formatter.format(suggestions)
+
+    if (this.#config.output) {
+      await writeFile(this.#config.output, output)
+    } else if (print) {
+      console.log(output)
+    }
+
+    this.timings.run = done()
+
+    return suggestions
+  }
+
+  /**
+   * Crawls the start URL and finds the sites, the first stage of a run.
+   *
+   * @async
+   * @param {object} [options] - The options of the crawl.
+   * @param {AbortSignal} [options.signal] - A signal that stops this and the later stages, aborting the requests in progress.
+   * @returns {Promise<object>} - A promise that resolves to the sites, as found by SiteDiscovery.
+   */
+  async crawl ({ signal } = {}) {
+    this.#httpClient = new HttpClient({ ...this.#config.http, record: this.#record, replay: this.#replay, signal })
+
+    await this.#replay?.load()
+
+    const done = logger.time('crawl')
+    logger.info(`Crawling ${this.#baseUrl}`)
+
+    try {
+      this.sites = await new SiteDiscovery(this.#baseUrl, { ...this.#config.crawl, httpClient: this.#httpClient, profile: this.#profile }).discover({ signal })
+    } finally {
+      this.timings.crawl = done()
+    }
+
+    logger.info(`Crawled ${this.sites.urls.length} pages`)
+
+    return this.sites
+  }
+
+  /**
+   * Runs one step of the pipeline, crawling first if needed: logs in to each venue of its plugin and reads its availability.
+   *
+   * @async
+   * @param {string} name - The name of the step, e.g. dinner.
+   * @param {object} [options] - The options of the step.
+   * @param {Array<object>} [options.plans] - The plans of the steps it depends on in a run, so it only needs to read what they need.
+   * @returns {Promise<any>} - A promise that resolves to the result of the step, as merged by its plugin.
+   * @throws {GatheringError} - If no venue could be read.
+   * @throws {Error} - If there is no step with the name.
+   */
+  async stage (name, { plans } = {}) {
+    const plugin = (await this.#plugins()).find(plugin => plugin.name === name)
+
+    if (!plugin) {
+      throw new Error(`There is no ${name} step in the pipeline.`)
+    }
+    if (!this.sites) {
+      await this.crawl()
+    }
+
+    const done = logger.time(name)
+    const context = { ...this.#context(), plans }
+    let availabilities
+
+    try {
+      await plugin.prepare(context)
+      availabilities = await this.#eachVenue(plugin, async venue => {
+        await plugin.authenticate(venue, context)
+        return plugin.fetchAvailability(venue, context)
       })
+    } finally {
+      this.timings[name] = done()
     }
-    return makeDinnerReservation
+
+    return plugin.merge(availabilities, context)
   }
 
   /**
-   * Compiles the calendar availability of the different people.
+   * Reads the calendars, crawling first if needed.
    *
    * @async
-   * @private
-   * @returns {Promise<{}>} - A promise that resolves to an object containing the available days for each person.
-   */
-  async #compileCalendarAvailability () {
-    const calendarScraper = new CalendarScraper(this.#baseUrl)
-    const displayCalendarInfo = await calendarScraper.displayCalendarInfo()
-
-    // Save the information of what day all people are available in the availableDays object.
-    const people = Object.keys(displayCalendarInfo)
-    const availableDays = {}
-
-    // Loop through all people, create an array of the days each person is available (data.info = ok) and save it in the availableDays object.
-    for (const person of people) {
-      const personInfo = displayCalendarInfo[person]
-      const availabilityArray = []
-      for (const data of personInfo) {
-        const day = data.day
-        const availability = data.info
-        if (availability === 'ok') {
-          availabilityArray.push(day)
-        }
+   * @returns {Promise<{people: object, commonDays: Array<string>, attendance: Array<{day: string, attending: Array<string>, missing: Array<string>}>}>} - A promise that resolves to the calendar of each person, the days everyone is available, or enough of them, and who is available on each day.
+   */
+  async calendar () {
+    return this.stage('calendar')
+  }
+
+  /**
+   * Reads the shows of every cinema, crawling first if needed.
+   *
+   * @async
+   * @returns {Promise<Array<{status: number, day: string, time: string, movie: string, name: string, cinema: string}>>} - A promise that resolves to the shows, each with the name of its cinema.
+   * @throws {GatheringError} - If no cinema could be read.
+   */
+  async cinema () {
+    return this.stage('cinema')
+  }
+
+  /**
+   * Logs in to every restaurant and reads the free tables, crawling first if needed. The sessions are kept to book a table.
+   *
+   * @async
+   * @returns {Promise<object>} - A promise that resolves to the free tables of each day, each with the name of its restaurant.
+   * @throws {GatheringError} - If no restaurant could be read, e.g. an AuthenticationError if the login fails.
+   */
+  async dinner () {
+    return this.stage('dinner')
+  }
+
+  /**
+   * Pre-books a suggestion made by the last run, by default the table at its restaurant.
+   *
+   * @async
+   * @param {{day: string, movie: string, movieTime: string, dinnerStart: string, dinnerEnd: string, restaurant: string}} suggestion - The suggestion to book.
+   * @param {object} [options] - The booking options.
+   * @param {boolean} [options.dryRun=false] - Whether to only print the request instead of sending it.
+   * @param {string} [options.step] - The step to book, the last one that can be booked by default.
+   * @returns {Promise<{request: object, booked: boolean, message: string}>} - A promise that resolves to the request and the outcome of the booking.
+   * @throws {Error} - If the application has not been run, the step cannot be booked, or the booking failed.
+   */
+  async book (suggestion, { dryRun = false, step } = {}) {
+    const plugins = await this.#plugins()
+    const plugin = step ? plugins.find(plugin => plugin.name === step) : plugins.findLast(plugin => plugin.bookable)
+
+    if (!plugin) {
+      throw new Error(step ? `There is no ${step} step in the pipeline.` : 'No step of the pipeline can be booked.')
+    }
+
+    const booking = await plugin.book(suggestion, { dryRun })
+
+    if (dryRun) {
+      const { method, url, headers, body } = booking.request
+      console.log(`\nDry run, would send:\n${method} ${url}`)
+      const redacted = Logger.redact(headers)
+      for (const header of Object.keys(redacted)) {
+        console.log(`${header}: ${redacted[header]}`)
       }
-      availableDays[person] = availabilityArray
+      console.log(`\n${body}`)
+    } else {
+      console.log(`\nBooked ${plugin.describeBooking(suggestion)}. ${booking.message}`)
     }
 
-    // Find the common days that all people are available by comparing the arrays in the availableDays object.
-    const allDays = Object.values(availableDays)
-    const commonDays = allDays[0].filter(day => allDays.every(otherDays => otherDays.includes(day)))
+    return booking
+  }
 
-    return commonDays
+  /**
+   * Ends the application by closing the plugins, e.g. logging out of the restaurants, and saves the recording with the requests made since the run.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves once logged out.
+   */
+  async close () {
+    try {
+      for (const plugin of this.#pipeline ? await this.#pipeline : []) {
+        await plugin.close()
+      }
+    } finally {
+      await this.#record?.save()
+    }
   }
 
   /**
-   * Uses the calendar availability to see which movies are available and at what times.
+   * Returns the plugins of the pipeline, creating them the first time.
    *
    * @async
    * @private
-   * @param {Array<string>} commonDays - An array of the days that all people are available.
-   * @returns {Promise<{}>} - A promise that resolves to an object containing the available movies and their corresponding times.
+   * @returns {Promise<Array<import('./plugins/plugin.js').Plugin>>} - A promise that resolves to the plugin of each step, in order.
+   * @throws {Error} - If the pipeline of the configuration is not valid.
    */
-  async #buyMovieTickets (commonDays) {
-    const cinemaScraper = new CinemaScraper(this.#baseUrl)
-    const displayCinemaInfo = await cinemaScraper.displayCinemaInfo()
+  async #plugins () {
+    this.#pipeline ??= createPipeline(this.#config.pipeline)
 
-    const availableMovies = {}
+    return this.#pipeline
+  }
 
-    if (commonDays.length > 1) {
-      commonDays.forEach(day => {
-        const dayNumber = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
-          .indexOf(day) + 1 // Convert day strings to number values.
+  /**
+   * Returns what the plugins are given to read and chain the venues with.
+   *
+   * @private
+   * @returns {{baseUrl: string, httpClient: HttpClient, sites: object, config: object, profile: SiteProfile, timing: object, dates: DateResolver}} - The context of the run, to which a step adds the plans of the steps before it.
+   */
+  #context () {
+    this.#dates ??= new DateResolver(this.#config.dates)
 
-        const formattedDayNumber = dayNumber.toString().padStart(2, '0') // Add leading zero if necessary.
+    return { baseUrl: this.#baseUrl, httpClient: this.#httpClient, sites: this.sites, config: this.#config, profile: this.#profile, timing: this.#timing, dates: this.#dates }
+  }
 
-        const filteredArray = displayCinemaInfo.flat().filter(item => item.status === 1 && item.day === formattedDayNumber)
+  /**
+   * Reads every venue a plugin finds. A venue that fails is skipped with a warning, as long as another one could be read.
+   *
+   * @async
+   * @private
+   * @param {import('./plugins/plugin.js').Plugin} plugin - The plugin of the venues.
+   * @param {Function} read - An async function that reads a venue, given its site.
+   * @returns {Promise<Array<any>>} - A promise that resolves to what was read from each venue that did not fail.
+   * @throws {Error} - If no venue was found, or the error of the first venue if none could be read.
+   */
+  async #eachVenue (plugin, read) {
+    const venues = plugin.discover(this.sites, this.#context())
+    const role = plugin.role ?? plugin.name
 
-        availableMovies[day] = filteredArray
-      })
-    } else {
-      const dayNumber = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
-        .indexOf(commonDays[0]) + 1 // Convert day strings to number values.
+    if (venues.length === 0) {
+      throw new ParseError(`Could not find the ${role}.`)
+    }
 
-      const formattedDayNumber = dayNumber.toString().padStart(2, '0') // Add leading zero if necessary.
+    const results = []
+    const failures = []
 
-      const filteredArray = displayCinemaInfo.flat().filter(item => item.status === 1 && item.day === formattedDayNumber)
+    for (const venue of venues) {
+      try {
+        results.push(await read(venue))
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error
+        }
+        failures.push({ venue, error })
+      }
+    }
 
-      availableMovies[commonDays[0]] = filteredArray
+    if (results.length === 0) {
+      throw failures[0].error
     }
-    for (const day of Object.keys(availableMovies)) {
-      const movies = availableMovies[day]
-      const moviesText = movies.map(movie => ({
-        time: String(movie.time.split(':')[0]), // Get hours from time
-        // endingTime: String(movie.time.split(':')[1]), // Get minutes from time
-        movie: movie.name
-      }))
-      availableMovies[day] = moviesText
+
+    for (const { venue, error } of failures) {
+      logger.warn(`Could not read ${venue.name}: ${error.message}`, { role, venue: venue.name })
     }
 
-    return availableMovies
+    return results
   }
 
   /**
-   * Makes a dinner reservation based on the available movie tickets.
+   * Runs a stage and returns its result, or the error it failed with. A cancelled run is not a failure of the stage, so it is thrown.
    *
    * @async
    * @private
-   * @param {object} buyMovieTickets - Object containing movie tickets information.
-   * @returns {object} - Object containing matching dinner times for each movie day.
+   * @param {string} stage - The name of the stage, e.g. calendar.
+   * @param {Function} read - An async function that runs the stage.
+   * @returns {Promise<{stage: string, ok: boolean, value: any, error: Error}>} - A promise that resolves to the value if the stage succeeded, or the error if it failed.
+   * @throws {DOMException} - If the run was cancelled.
    */
-  async #makeDinnerReservation (buyMovieTickets) {
-    const barScraper = new BarScraper(this.#baseUrl)
-    const displayBarInfo = await barScraper.displayBarInfo()
+  async #attempt (stage, read) {
+    try {
+      return { stage, ok: true, value: await read() }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error
+      }
 
-    const availableDaysForDinner = {}
+      error.stage ??= stage
+      return { stage, ok: false, error }
+    }
+  }
 
-    // Loop through the available days for movies and find matching days for dinner.
-    for (const movieDay of Object.keys(buyMovieTickets)) {
-      for (const dinnerDay of Object.keys(displayBarInfo)) {
-        if (movieDay === dinnerDay) {
-          availableDaysForDinner[movieDay] = displayBarInfo[dinnerDay]
-        }
+  /**
+   * Runs a step of a run once the steps it depends on have been read, with the plans they make.
+   * If one of them failed, or left nothing to plan with, e.g. no day when everyone is free, the step is skipped without reading anything.
+   * If the step finds no common day, the other steps in progress are cancelled and skipped.
+   *
+   * @async
+   * @private
+   * @param {import('./plugins/plugin.js').Plugin} plugin - The plugin of the step.
+   * @param {Array<import('./plugins/plugin.js').Plugin>} plugins - The plugin of each step, in order.
+   * @param {Map<string, Promise<object>>} steps - The result of each step that has been started, by its name.
+   * @param {object} options - The signals of the run.
+   * @param {AbortSignal} [options.signal] - A signal that stops the run.
+   * @param {AbortController} options.controller - The controller that cancels the steps of the run.
+   * @returns {Promise<{stage: string, ok: boolean, value: any, error: Error, problem: Error, skipped: boolean}>} - A promise that resolves to the result of the step, and the problem its plugin found in it, if any.
+   */
+  async #step (plugin, plugins, steps, { signal, controller }) {
+    const dependencies = this.#dependencies(plugin, plugins)
+    const results = await Promise.all(dependencies.map(dependency => steps.get(dependency.name)))
+    const blocked = results.find(result => !result.ok || result.problem)
+
+    if (blocked) {
+      logger.info(`Skipping the ${plugin.name} step, as the ${blocked.stage} step left nothing to plan with`)
+      this.timings[plugin.name] = 0
+      return { stage: plugin.name, ok: false, skipped: true }
+    }
+
+    const plans = dependencies.length > 0
+      ? dependencies.reduce((plans, dependency, index) => dependency.chain(plans, results[index].value, this.#context()), [{ suggestion: {} }])
+      : undefined
+
+    let result
+
+    try {
+      result = await this.#attempt(plugin.name, () => this.stage(plugin.name, { plans }))
+    } catch (error) {
+      if (!controller.signal.aborted || signal?.aborted) {
+        throw error
       }
     }
+    signal?.throwIfAborted()
 
-    const matchingTimesForDinner = {}
+    // A cancelled step is skipped, whether it was stopped in a request or failed because of it.
+    if (controller.signal.aborted && !result?.ok) {
+      logger.info(`Cancelled the ${plugin.name} step, as there is nothing to plan with`)
+      return { stage: plugin.name, ok: false, skipped: true }
+    }
 
-    // Loop through the available days for dinner and find matching times for dinner and movie.
-    for (const dinnerDay of Object.keys(availableDaysForDinner)) {
-      const dinnerTimes = availableDaysForDinner[dinnerDay].map(dinner => parseInt(dinner.start)) // Convert dinner times to numbers
-      const movieTimes = buyMovieTickets[dinnerDay].map(movie => parseInt(movie.time)) // Convert movie times to numbers
+    const problem = result.ok ? plugin.check(result.value) : undefined
 
-      // Find matching times for dinner and movie. Dinner must be at least 2 hours after the movie starts.
-      const matchingDinnerTimes = dinnerTimes.filter(time => {
-        return movieTimes.some(movieTime => time >= movieTime + 2)
-      })
+    if (problem instanceof NoCommonDayError) {
+      controller.abort()
+    }
+
+    return { ...result, problem }
+  }
+
+  /**
+   * Finds the steps whose plans a step needs. The plans are chained in the order of the pipeline, so those are the steps up to the last one it depends on.
+   *
+   * @private
+   * @param {import('./plugins/plugin.js').Plugin} plugin - The plugin of the step.
+   * @param {Array<import('./plugins/plugin.js').Plugin>} plugins - The plugin of each step, in order.
+   * @returns {Array<import('./plugins/plugin.js').Plugin>} - The plugins of the steps, in order, none if it depends on none.
+   */
+  #dependencies (plugin, plugins) {
+    const last = Math.max(-1, ...plugin.dependsOn.map(name => plugins.findIndex(other => other.name === name)))
+
+    return plugins.slice(0, last + 1)
+  }
+
+  /**
+   * Compares two suggestions by their date, then by the time of the movie and of the dinner, with the suggestions without a date last, in the order they were made.
+   *
+   * @private
+   * @param {object} a - A suggestion.
+   * @param {object} b - Another suggestion.
+   * @returns {number} - Negative if a comes first, positive if b does, else 0.
+   */
+  #chronologically (a, b) {
+    if (!a.date || !b.date) {
+      return Boolean(a.date) === Boolean(b.date) ? 0 : a.date ? -1 : 1
+    }
+
+    if (a.date !== b.date) {
+      return a.date.localeCompare(b.date)
+    }
+
+    for (const key of ['movieTime', 'dinnerStart']) {
+      if (a[key] && b[key] && toMinutes(a[key]) !== toMinutes(b[key])) {
+        return toMinutes(a[key]) - toMinutes(b[key])
+      }
+    }
+
+    return 0
+  }
 
-      // Create an object containing the movie, movie time and dinner time for each matching time.
-      if (matchingDinnerTimes.length > 0) {
-        matchingTimesForDinner[dinnerDay] = matchingDinnerTimes.flatMap(dinnerTime => {
-          const matchingMovieTimesIndices = movieTimes.reduce((acc, movieTime, index) => {
-            if (movieTime + 2 <= dinnerTime) acc.push(index)
-            return acc
-          }, [])
-
-          return matchingMovieTimesIndices.map(index => ({
-            movie: buyMovieTickets[dinnerDay][index].movie,
-            movieTime: movieTimes[index],
-            dinnerTime
-          }))
-        })
-      } else {
-        console.error('No matching times for dinner and movie')
+  /**
+   * Collects what could be read by the steps that did not fail, e.g. the calendars, the free shows and the free tables.
+   *
+   * @private
+   * @param {Array<import('./plugins/plugin.js').Plugin>} plugins - The plugin of each step.
+   * @param {Array<object>} results - The result of each step.
+   * @returns {object} - The partial results, without the keys of the failed steps.
+   */
+  #partial (plugins, results) {
+    const partial = {}
+
+    for (const [index, plugin] of plugins.entries()) {
+      if (results[index].ok) {
+        Object.assign(partial, plugin.partial(results[index].value, partial))
       }
     }
 
-    return matchingTimesForDinner
+    return partial
+  }
+
+  /**
+   * The timing rules, with the defaults filled in.
+   *
+   * @private
+   * @returns {{minimumGap: number, movieLength: number|undefined, travelTime: number, maxWait: number|undefined}} - The timing rules, in minutes.
+   */
+  get #timing () {
+    return { minimumGap: 120, travelTime: 0, ...this.#config.timing }
   }
 }
@@ -5,128 +5,403 @@
  * @version 1.1.1
  */
 
-import { LinkCrawler } from './link-crawler.js'
+import { JSDOM } from 'jsdom'
+import { Session } from './session.js'
+import { SiteDiscovery } from './site-discovery.js'
+import { formatMinutes, toMinutes } from './time-of-day.js'
 import { UniversalScraper } from './universal-scraper.js'
+import { HttpClient } from './http-client.js'
+import { SiteProfile } from './site-profile.js'
+import { AuthenticationError, NetworkError, ParseError } from './errors.js'
 
 /**
  *
  */
 export class BarScraper {
+  /**
+   * The session used to log in and scrape the booking page.
+   *
+   * @type {Session}
+   */
+  session
+
+  /**
+   * The credentials to log in to the restaurant with.
+   *
+   * @type {{username: string, password: string}}
+   */
+  #credentials
+
+  /**
+   * The URL of the booking page, which the login redirects to.
+   *
+   * @type {string}
+   */
+  #bookingUrl
+
+  /**
+   * The URL that logs out, as linked from the booking page.
+   *
+   * @type {string}
+   */
+  #logoutUrl
+
+  /**
+   * The available times for each day, from the last scrape.
+   *
+   * @type {object}
+   */
+  #availableTimes = {}
+
+  /**
+   * The client that sends the requests of the scraper.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
+
+  /**
+   * How the restaurant is read, e.g. the login form, the selector of the free tables and the value of each day.
+   *
+   * @type {SiteProfile}
+   */
+  #profile
+
   /**
    * Represents a BarScraper object.
    *
    * @class
    * @param {string} baseUrl - The base URL for the scraper.
+   * @param {{username: string, password: string}} [credentials] - The credentials to log in to the restaurant with.
+   * @param {HttpClient} [httpClient] - The client that sends the requests.
+   * @param {object} [options] - The scraper options.
+   * @param {SiteProfile} [options.profile] - How the restaurant is read, the default profile if it is not given.
    */
-  constructor (baseUrl) {
+  constructor (baseUrl, credentials, httpClient = new HttpClient(), { profile = new SiteProfile() } = {}) {
     this.baseUrl = baseUrl
+    this.#credentials = credentials
+    this.#httpClient = httpClient
+    this.#profile = profile
   }
 
   /**
    * Displays bar information.
    *
    * @async
-   * @returns {Promise<object>} The bar information.
+   * @param {object} [sites] - The sites found by SiteDiscovery, the base URL is discovered if they are not given.
+   * @param {{url: string, name: string}} [restaurant] - The restaurant to scrape, one of the sites, defaults to the first restaurant found.
+   * @returns {Promise<object>} The bar information, each free table marked with the name of the restaurant.
+   * @throws {ParseError} - If there is no restaurant, or its booking page cannot be read.
+   * @throws {AuthenticationError} - If the login fails.
+   * @throws {NetworkError} - If a request fails.
    */
-  async displayBarInfo () {
-    try {
-      const linkCrawler = new LinkCrawler(this.baseUrl)
+  async displayBarInfo (sites, restaurant) {
+    sites ??= await new SiteDiscovery(this.baseUrl, { httpClient: this.#httpClient, profile: this.#profile }).discover()
+    restaurant ??= sites.restaurant[0]
 
-      let links = await linkCrawler.crawl(this.baseUrl)
+    if (!restaurant) {
+      throw new ParseError('Could not find the restaurant.')
+    }
 
-      links = links.filter(link => link.includes('dinner'))
+    const link = restaurant.url
 
-      const link = links.toString()
+    const barInfo = await this.#getBarInfo(link, restaurant.name)
 
-      const barInfo = await this.#getBarInfo(link)
+    return barInfo
+  }
 
-      return barInfo
-    } catch (error) {
-      console.error(error.message)
-    }
+  /**
+   * Logs in to the restaurant with a new session.
+   *
+   * @async
+   * @param {string} link - The URL of the restaurant.
+   * @returns {Promise<void>} - A promise that resolves once logged in.
+   * @throws {AuthenticationError} - If there are no credentials, or the credentials are wrong.
+   * @throws {NetworkError} - If there is an HTTP error.
+   */
+  async login (link) {
+    this.session = new Session({ authenticate: this.#postLogin.bind(this, link), httpClient: this.#httpClient })
+    await this.session.login()
   }
 
   /**
-   * Retrieves bar information from a given link.
+   * Retrieves bar information from a given link, logging in first unless already logged in.
    *
    * @async
    * @private
    * @param {string} link - The link to retrieve bar information from.
+   * @param {string} restaurantName - The name of the restaurant, which each free table is marked with.
    * @returns {Promise<object>} - A promise that resolves to an object containing available times for each day.
+   * @throws {ParseError} - If a free table has no times or no radio button.
    */
-  async #getBarInfo (link) {
-    const postLoginData = await this.#postLogin(link)
+  async #getBarInfo (link, restaurantName) {
+    if (!this.session?.loggedIn) {
+      await this.login(link)
+    }
 
-    const cookie = postLoginData.cookie
-    const barLink = postLoginData.url
+    const universalScraper = new UniversalScraper({ httpClient: this.#httpClient })
+    const [page] = await universalScraper.extractHtml(this.#bookingUrl, 'body', this.session)
 
-    let inputSelector = ''
-    const availableTimes = {}
+    const { logout, table, days } = this.#profile.restaurant
+    const logoutLink = page.querySelector(logout)
+    this.#logoutUrl = new URL(logoutLink ? logoutLink.getAttribute('href') : 'logout', logoutLink ? this.#bookingUrl : link).href
 
-    const days = { Friday: 'fri', Saturday: 'sat', Sunday: 'sun' }
+    const availableTimes = {}
 
-    // Loop through the days object and retrieve the available times for each day.
+    // Loop through the days of the profile and retrieve the available times for each day.
     for (const day of Object.keys(days)) {
-      inputSelector = `input[value^="${days[day]}"] + span`
+      const inputSelector = this.#profile.fill(table, { day: days[day] })
 
-      const universalScraper = new UniversalScraper()
-      const inputElements = await universalScraper.extractHtml(barLink, inputSelector, cookie)
+      const inputElements = Array.from(page.querySelectorAll(inputSelector))
       const inputElementsHtml = inputElements.map(htmlElement => {
         const textContent = htmlElement.textContent
-        const numbersOnly = textContent.match(/\d+/g)
 
-        const [start, end] = numbersOnly
+        // The times are either whole hours, e.g. 14-16, or hours and minutes, e.g. 14:30-16:30.
+        const times = textContent.match(/(\d{1,2}(?::\d{2})?)\D+(\d{1,2}(?::\d{2})?)/)
+
+        if (!times) {
+          throw new ParseError(`The table "${textContent.trim()}" on ${day} at ${this.#bookingUrl} has no times.`)
+        }
+
+        const [, start, end] = times
 
-        // Create an object with start and end keys to display the available times.
+        // Create an object with start and end keys to display the available times, the value of the radio button to book it and the restaurant it is at.
         return {
-          start,
-          end
+          start: formatMinutes(toMinutes(start)),
+          end: formatMinutes(toMinutes(end)),
+          value: this.#radioOf(htmlElement, day).getAttribute('value'),
+          restaurant: restaurantName
         }
       })
 
       availableTimes[day] = inputElementsHtml
     }
 
+    this.#availableTimes = availableTimes
+
     return availableTimes
   }
 
   /**
-   * Performs a login request to the specified link and returns the response.
+   * Finds the radio button of a free table: the one in the closest element around its times that has one, e.g. the paragraph or table row of the table,
+   * and the last one before the times if that element has several.
+   *
+   * @private
+   * @param {Element} element - The element of the times of the table.
+   * @param {string} day - The day of the table, e.g. Friday.
+   * @returns {Element} - The radio button.
+   * @throws {ParseError} - If the table has no radio button.
+   */
+  #radioOf (element, day) {
+    const { Node } = element.ownerDocument.defaultView
+
+    for (let container = element.parentElement; container; container = container.parentElement) {
+      const radios = Array.from(container.querySelectorAll(this.#profile.restaurant.radio))
+
+      if (radios.length > 0) {
+        return radios.findLast(radio => radio.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) ?? radios[0]
+      }
+    }
+
+    throw new ParseError(`The table "${element.textContent.trim()}" on ${day} at ${this.#bookingUrl} has no radio button.`)
+  }
+
+  /**
+   * Books a table by posting the booking form, reusing the session from the last scrape.
+   *
+   * @async
+   * @param {string} day - The day to book, e.g. Friday.
+   * @param {string} dinnerStart - The time the table is booked from, as HH:MM.
+   * @param {object} [options] - The booking options.
+   * @param {boolean} [options.dryRun=false] - Whether to only return the request instead of sending it.
+   * @returns {Promise<{request: object, booked: boolean, message: string}>} - A promise that resolves to the request and the outcome of the booking.
+   * @throws {AuthenticationError} - If there is no session.
+   * @throws {ParseError} - If there is no free table at that time, or the restaurant does not confirm the booking, e.g. it shows an error or the booking form again.
+   * @throws {NetworkError} - If the booking request fails.
+   */
+  async bookTable (day, dinnerStart, { dryRun = false } = {}) {
+    if (!this.session?.loggedIn) {
+      throw new AuthenticationError('Not logged in to the restaurant, scrape the available times before booking.')
+    }
+
+    const slot = this.#slot(day, dinnerStart)
+
+    if (!slot) {
+      throw new ParseError(`There is no free table on ${day} at ${dinnerStart}.`)
+    }
+
+    const request = await this.#createBookingRequest(slot.value)
+
+    if (dryRun) {
+      return { request, booked: false, message: 'Dry run, the booking was not sent.' }
+    }
+
+    const response = await this.session.fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body
+    })
+
+    if (!response.ok) {
+      throw new NetworkError(`Error: ${response.status}`, { status: response.status })
+    }
+
+    const message = this.#getBookingMessage(await response.text())
+
+    return { request, booked: true, message }
+  }
+
+  /**
+   * Checks if the last scrape found a free table on a day at a time.
+   *
+   * @param {string} day - The day, e.g. Friday.
+   * @param {string} dinnerStart - The time the table is free from, as HH:MM.
+   * @returns {boolean} - True if there was a free table.
+   */
+  hasTable (day, dinnerStart) {
+    return Boolean(this.#slot(day, dinnerStart))
+  }
+
+  /**
+   * Finds the free table of the last scrape on a day at a time.
+   *
+   * @private
+   * @param {string} day - The day, e.g. Friday.
+   * @param {string} dinnerStart - The time the table is free from, as HH:MM.
+   * @returns {{start: string, end: string, value: string}|undefined} - The table, if there was one.
+   */
+  #slot (day, dinnerStart) {
+    return (this.#availableTimes[day] || []).find(slot => toMinutes(slot.start) === toMinutes(dinnerStart))
+  }
+
+  /**
+   * Creates the request that submits the booking form for the given radio button value.
+   *
+   * @async
+   * @private
+   * @param {string} value - The value of the radio button of the table to book.
+   * @returns {Promise<{method: string, url: string, headers: object, body: string}>} - A promise that resolves to the request.
+   * @throws {ParseError} - If the booking page has no form, or the table is no longer free.
+   */
+  async #createBookingRequest (value) {
+    const universalScraper = new UniversalScraper({ httpClient: this.#httpClient })
+    const [form] = await universalScraper.extractHtml(this.#bookingUrl, 'form', this.session)
+
+    if (!form) {
+      throw new ParseError('Could not find the booking form.')
+    }
+
+    const radio = Array.from(form.querySelectorAll(this.#profile.restaurant.radio)).find(input => input.getAttribute('value') === value)
+
+    if (!radio) {
+      throw new ParseError(`The table ${value} is no longer free.`)
+    }
+
+    const body = new URLSearchParams()
+
+    // Keep the hidden fields of the form, e.g. a csrf token, and add the selected table.
+    for (const input of form.querySelectorAll('input[type="hidden"]')) {
+      body.append(input.getAttribute('name'), input.getAttribute('value') || '')
+    }
+    body.append(radio.getAttribute('name'), value)
+
+    return {
+      method: (form.getAttribute('method') || 'post').toUpperCase(),
+      url: new URL(form.getAttribute('action') || '', this.#bookingUrl).href,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Cookie: this.session.cookieJar.getCookieHeader(this.#bookingUrl)
+      },
+      body: body.toString()
+    }
+  }
+
+  /**
+   * Reads the message of the page returned after posting the booking form, and checks that it confirms the booking.
+   * The booking failed if the page shows an error message or the booking form again, or if its heading is not the confirmation of the profile, e.g. "Thank you!",
+   * so a page that only mentions a booking, e.g. "The table is already booked", is not a confirmation.
+   *
+   * @private
+   * @param {string} html - The HTML of the page.
+   * @returns {string} - The headings and paragraphs of the page.
+   * @throws {ParseError} - If the page does not confirm the booking.
+   */
+  #getBookingMessage (html) {
+    const document = new JSDOM(html).window.document
+    const { confirmation, bookingError } = this.#profile.restaurant
+    const message = Array.from(document.querySelectorAll('h1, h2, p'), element => element.textContent.trim()).filter(text => text).join(' ')
+    const error = document.querySelector(bookingError)?.textContent.trim()
+    const heading = document.querySelector('h1, h2')?.textContent.trim() ?? ''
+
+    if (error || document.querySelector('form')?.querySelector(this.#profile.restaurant.radio)) {
+      throw new ParseError(`The booking was not confirmed: ${error || 'the booking form was shown again'}`)
+    }
+    if (!new RegExp(confirmation, 'i').test(heading)) {
+      throw new ParseError(`The booking was not confirmed: ${message}`)
+    }
+
+    return message
+  }
+
+  /**
+   * Logs out of the restaurant, if logged in.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves once logged out.
+   */
+  async logout () {
+    if (this.session?.loggedIn) {
+      await this.session.logout(this.#logoutUrl)
+    }
+  }
+
+  /**
+   * Performs a login request to the specified link and stores the URL of the booking page it redirects to.
+   * The session cookie is stored in the cookie jar of the session. The login endpoint and the fields of the form are those of the profile.
    *
    * @async
    * @private
    * @param {string} link - The base URL of the website.
-   * @returns {Promise<object>} - The response object containing the URL and cookie.
-   * @throws {Error} - If there is an HTTP error while fetching the HTML.
+   * @param {Session} session - The session to log in with.
+   * @returns {Promise<void>} - A promise that resolves once logged in.
+   * @throws {AuthenticationError} - If there are no credentials, or the credentials are wrong.
+   * @throws {NetworkError} - If there is an HTTP error.
    */
-  async #postLogin (link) {
-    const responsePost = await fetch(`${link}login`, {
+  async #postLogin (link, session) {
+    const { username, password } = this.#credentials || {}
+
+    if (!username || !password) {
+      throw new AuthenticationError('No credentials for the restaurant, set RESTAURANT_USERNAME and RESTAURANT_PASSWORD or add them to gathering.config.json.')
+    }
+
+    const { login, loginFields, loginValues } = this.#profile.restaurant
+    const loginUrl = `${link}${login}`
+
+    const responsePost = await session.fetch(loginUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
       },
       body: new URLSearchParams({
-        username: 'zeke',
-        password: 'coys',
-        submit: 'login'
+        [loginFields.username]: username,
+        [loginFields.password]: password,
+        ...loginValues
       }),
       redirect: 'manual'
-    })
+    }, false)
 
-    let location = ''
-    let cookie = ''
+    const location = responsePost.headers.get('Location')
 
-    if (responsePost.status === 302) {
-      location = responsePost.headers.get('Location')
-      cookie = responsePost.headers.get('set-cookie')
+    // A successful login redirects to the booking page, a failed one shows the login form again.
+    if (responsePost.status >= 300 && responsePost.status < 400 && location) {
+      this.#bookingUrl = new URL(location, loginUrl).href
+      return
     }
 
-    if (!responsePost.ok && responsePost.status !== 302) {
-      throw new Error(`Error: ${responsePost.status}`)
+    if (responsePost.ok || responsePost.status === 401 || responsePost.status === 403) {
+      throw new AuthenticationError('Could not log in to the restaurant, wrong username or password.')
     }
 
-    const responseGet = { url: `${link}${location}`, cookie }
-
-    return responseGet
+    throw new NetworkError(`Error: ${responsePost.status}`, { status: responsePost.status })
   }
 }
@@ -5,77 +5,183 @@
  * @version 1.1.1
  */
 
-import { LinkCrawler } from './link-crawler.js'
+import { SiteDiscovery } from './site-discovery.js'
 import { UniversalScraper } from './universal-scraper.js'
+import { HttpClient } from './http-client.js'
+import { SiteProfile } from './site-profile.js'
+import { ParseError } from './errors.js'
+import { WEEKDAYS } from './time-of-day.js'
+
+// The texts of a calendar cell that mean available or not, compared in lowercase and without trailing exclamation marks.
+export const AVAILABLE = ['ok', 'yes', 'y', 'available', 'free']
+export const UNAVAILABLE = ['', '-', '--', '---', 'no', 'n', 'busy']
 
 /**
  *
  */
 export class CalendarScraper {
+  /**
+   * The client that sends the requests of the scraper.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
+
+  /**
+   * How a calendar page is read, e.g. the selectors of its table and day headers.
+   *
+   * @type {SiteProfile}
+   */
+  #profile
+
   /**
    * Represents a CalendarScraper object.
    *
    * @class
    * @param {string} baseUrl - The base URL for the calendar scraper.
+   * @param {HttpClient} [httpClient] - The client that sends the requests.
+   * @param {object} [options] - The scraper options.
+   * @param {SiteProfile} [options.profile] - How a calendar page is read, the default profile if it is not given.
    */
-  constructor (baseUrl) {
+  constructor (baseUrl, httpClient = new HttpClient(), { profile = new SiteProfile() } = {}) {
     this.baseUrl = baseUrl
+    this.#httpClient = httpClient
+    this.#profile = profile
   }
 
   /**
-   * Displays calendar information by crawling through links and retrieving calendar info.
+   * Displays calendar information by retrieving the calendar info of the discovered calendar pages.
    *
    * @async
+   * @param {object} [sites] - The sites found by SiteDiscovery, the base URL is discovered if they are not given.
    * @returns {Promise<void>} A promise that resolves when the calendar information is displayed.
+   * @throws {ParseError} - If a calendar cannot be read.
    */
-  async displayCalendarInfo () {
-    const linkCrawler = new LinkCrawler(this.baseUrl)
+  async displayCalendarInfo (sites) {
+    sites ??= await new SiteDiscovery(this.baseUrl, { httpClient: this.#httpClient, profile: this.#profile }).discover()
 
-    let links = await linkCrawler.crawl(this.baseUrl)
-
-    links = links.filter(link => link.includes('.html'))
+    const links = sites.calendar.map(page => page.url)
 
     const people = {}
 
     for (const link of links) {
-      const calendarInfo = await this.#getCalendarInfo(link)
-      const fileName = link.substring(link.lastIndexOf('/') + 1)
-      const person = fileName.charAt(0).toUpperCase() + fileName.slice(1, fileName.lastIndexOf('.'))
-
-      // Removes all numbers from the person's name (if there are any).
-      people[person.replace(/[0-9]/g, '')] = calendarInfo
+      const { person, calendarInfo } = await this.getCalendarInfo(link)
+      people[person] = calendarInfo
     }
 
     return people
   }
 
+  /**
+   * Finds the days that enough people are available, by default everyone.
+   *
+   * @param {object} calendarInfo - The calendar information of each person, as returned by displayCalendarInfo.
+   * @param {object} [options] - Who has to be available.
+   * @param {number} [options.quorum] - The number of people that have to be available, everyone by default.
+   * @param {Array<string>} [options.mustAttend=[]] - The people that have to be available whoever else is.
+   * @returns {Array<string>} - The common days, in the order they first appear in the calendars, or none if there are no calendars.
+   * @throws {Error} - If the quorum is not a whole number of at least 1, or a person who must attend has no calendar.
+   */
+  findCommonDays (calendarInfo, { quorum, mustAttend = [] } = {}) {
+    const people = Object.keys(calendarInfo)
+
+    if (quorum !== undefined && !(Number.isInteger(quorum) && quorum >= 1)) {
+      throw new Error(`The quorum must be a whole number of at least 1, not ${JSON.stringify(quorum)}.`)
+    }
+
+    for (const person of mustAttend) {
+      if (!people.includes(person)) {
+        throw new Error(`${person} must attend, but there is no calendar of ${person}.`)
+      }
+    }
+
+    return this.findAttendance(calendarInfo)
+      .filter(({ attending }) => attending.length >= (quorum ?? people.length) && mustAttend.every(person => attending.includes(person)))
+      .map(({ day }) => day)
+  }
+
+  /**
+   * Finds who is available on each day of the calendars, and who is not.
+   *
+   * @param {object} calendarInfo - The calendar information of each person, as returned by displayCalendarInfo.
+   * @returns {Array<{day: string, attending: Array<string>, missing: Array<string>}>} - The people available and not on each day, in the order the days first appear in the calendars.
+   */
+  findAttendance (calendarInfo) {
+    const people = Object.keys(calendarInfo)
+    const days = new Set(people.flatMap(person => calendarInfo[person].map(data => data.day)))
+
+    return Array.from(days, day => {
+      const attending = people.filter(person => calendarInfo[person].some(data => data.day === day && data.available))
+
+      return { day, attending, missing: people.filter(person => !attending.includes(person)) }
+    })
+  }
+
   /**
    * Retrieves calendar information from a given link.
+   * The days are read from the header cells of the table, and the availability from the cells of the first row below them.
    *
    * @async
-   * @private
    * @param {string} link - The link to scrape the calendar information from.
-   * @returns {Promise<Array<{day: string, info: string}>>} - A promise that resolves to an array of objects containing the day and corresponding information.
+   * @returns {Promise<{person: string, calendarInfo: Array<{day: string, info: string, available: boolean}>}>} - A promise that resolves to the name of the person and an array of objects containing the day and corresponding information.
+   * @throws {ParseError} - If the page has no calendar table, a header is not a weekday, or a cell is not a known availability.
    */
-  async #getCalendarInfo (link) {
-    const htmlElement = 'td'
-    const universalScraper = new UniversalScraper()
+  async getCalendarInfo (link) {
+    const universalScraper = new UniversalScraper({ httpClient: this.#httpClient })
+    const [page] = await universalScraper.extractHtml(link, 'html')
+    const selectors = this.#profile.calendar
+    const table = page.querySelector(selectors.table)
 
-    const days = ['Friday', 'Saturday', 'Sunday']
-    const html = await universalScraper.extractHtml(link, htmlElement)
-    const tdElements = html.map(htmlElement => htmlElement.textContent)
+    if (!table) {
+      throw new ParseError(`The calendar at ${link} has no table.`)
+    }
 
-    // Convert all td elements to lowercase.
-    tdElements.forEach((element, index) => {
-      tdElements[index] = element.toLowerCase()
-    })
+    const headers = Array.from(table.querySelectorAll(selectors.day), header => header.textContent.trim())
+    const row = Array.from(table.querySelectorAll('tr')).find(row => row.querySelector(selectors.availability))
+    const cells = row ? Array.from(row.querySelectorAll(selectors.availability), cell => cell.textContent.trim()) : []
+
+    if (headers.length === 0 || headers.length !== cells.length) {
+      throw new ParseError(`The calendar at ${link} has ${headers.length} day headers but ${cells.length} day cells.`)
+    }
 
     // Create an array of objects containing the day and corresponding information.
-    const calendarInfo = days.map((day, index) => ({
-      day,
-      info: tdElements[index]
-    }))
+    const calendarInfo = headers.map((header, index) => {
+      const day = WEEKDAYS.find(weekday => weekday.toLowerCase() === header.toLowerCase())
+      const info = cells[index].toLowerCase().replace(/!+$/, '')
+
+      if (!day) {
+        throw new ParseError(`The calendar at ${link} has the header "${header}", which is not a weekday.`)
+      }
+      if (!AVAILABLE.includes(info) && !UNAVAILABLE.includes(info)) {
+        throw new ParseError(`The calendar at ${link} has the unknown availability "${cells[index]}" on ${day}.`)
+      }
+
+      return { day, info, available: AVAILABLE.includes(info) }
+    })
+
+    return { person: this.#getPerson(page, link), calendarInfo }
+  }
+
+  /**
+   * Returns the name of the person a calendar belongs to, from the heading of the page.
+   * If the page has no heading, the name is made from the file name instead, e.g. paul2.html is Paul.
+   *
+   * @private
+   * @param {HTMLElement} page - The html element of the calendar page.
+   * @param {string} link - The link of the calendar page.
+   * @returns {string} - The name of the person.
+   */
+  #getPerson (page, link) {
+    const heading = page.querySelector(this.#profile.calendar.person)?.textContent.trim()
+
+    if (heading) {
+      return heading
+    }
+
+    const fileName = link.substring(link.lastIndexOf('/') + 1)
+    const person = fileName.charAt(0).toUpperCase() + fileName.slice(1, fileName.lastIndexOf('.'))
 
-    return calendarInfo
+    // Removes all numbers from the person's name (if there are any).
+    return person.replace(/[0-9]/g, '')
   }
 }
@@ -0,0 +1,134 @@
+/**
+ * The base calendar source of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { readFile } from 'node:fs/promises'
+import { basename, extname } from 'node:path'
+import { ParseError } from '../errors.js'
+import { WEEKDAYS } from '../time-of-day.js'
+
+/**
+ * Reads the calendars of one or more people from somewhere, e.g. the crawled pages or a file. Every calendar source extends this class.
+ * A calendar is a list of {day, info, available}, so the common days are found the same way whatever the source.
+ * A dated source, e.g. an iCalendar file, also gives the dates of each day the person is free on, and the suggestions on other dates have them missing.
+ */
+export class CalendarSource {
+  /**
+   * The name of the person, if the source says whose calendar it is.
+   *
+   * @type {string|undefined}
+   */
+  person
+
+  /**
+   * Represents a CalendarSource object.
+   *
+   * @param {object} [options] - The options of the source.
+   * @param {string} [options.person] - The name of the person, instead of the one the calendar gives.
+   */
+  constructor ({ person } = {}) {
+    this.person = person
+  }
+
+  /**
+   * Reads the calendars.
+   *
+   * @abstract
+   * @async
+   * @param {object} context - The context of the run: the baseUrl, httpClient, sites and the dates that are planned.
+   * @returns {Promise<Array<{person: string, calendarInfo: Array<{day: string, info: string, available: boolean}>}>>} - A promise that resolves to the calendar of each person.
+   * @throws {Error} - If the subclass does not implement it.
+   */
+  async read (context) {
+    throw new Error(`${this.constructor.name} does not implement read().`)
+  }
+
+  /**
+   * Reads a local file, or the text at a URL.
+   *
+   * @async
+   * @param {string} location - The path of the file, or an http or https URL.
+   * @param {object} context - The context of the run.
+   * @param {import('../http-client.js').HttpClient} context.httpClient - The client that sends the requests.
+   * @returns {Promise<string>} - A promise that resolves to the text.
+   * @throws {import('../errors.js').NetworkError} - If the URL cannot be fetched.
+   * @throws {ParseError} - If the file cannot be read.
+   */
+  async readText (location, { httpClient }) {
+    if (/^https?:\/\//.test(location)) {
+      return httpClient.text(await httpClient.fetch(location))
+    }
+
+    try {
+      return await readFile(location, 'utf8')
+    } catch (error) {
+      throw new ParseError(`Could not read the calendar ${location}: ${error.message}`, { cause: error })
+    }
+  }
+
+  /**
+   * Reads the data of a local JSON file, or of the JSON at a URL.
+   *
+   * @async
+   * @param {string} location - The path of the file, or an http or https URL.
+   * @param {object} context - The context of the run.
+   * @param {import('../http-client.js').HttpClient} context.httpClient - The client that sends the requests.
+   * @returns {Promise<any>} - A promise that resolves to the data.
+   * @throws {import('../errors.js').NetworkError} - If the URL cannot be fetched.
+   * @throws {ParseError} - If the file cannot be read, or is not valid JSON.
+   */
+  async readJson (location, { httpClient }) {
+    if (/^https?:\/\//.test(location)) {
+      return httpClient.json(await httpClient.fetch(location))
+    }
+
+    const text = await this.readText(location, { httpClient })
+
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      throw new ParseError(`The calendar ${location} is not valid JSON: ${error.message}`, { cause: error })
+    }
+  }
+
+  /**
+   * Returns the name of a person from the file name of a calendar, e.g. data/Paul.json is Paul.
+   *
+   * @param {string} location - The path or URL of the calendar.
+   * @returns {string} - The name.
+   */
+  personOf (location) {
+    const name = basename(new URL(location, 'file:///').pathname, extname(location))
+
+    return this.person ?? name.charAt(0).toUpperCase() + name.slice(1)
+  }
+
+  /**
+   * Turns the days a person is available or not into a calendar, one entry per day in the order they are first given.
+   * A day that is given more than once is only listed once, and is unavailable if any entry says so.
+   *
+   * @param {Array<{day: string, info: string, available: boolean}>} entries - The days, by any capitalisation of their name.
+   * @param {string} location - The path or URL of the calendar, for the error.
+   * @returns {Array<{day: string, info: string, available: boolean}>} - The calendar.
+   * @throws {ParseError} - If a day is not a weekday.
+   */
+  toCalendarInfo (entries, location) {
+    const calendarInfo = new Map()
+
+    for (const entry of entries) {
+      const day = WEEKDAYS.find(weekday => weekday.toLowerCase() === String(entry.day).trim().toLowerCase())
+
+      if (!day) {
+        throw new ParseError(`The calendar ${location} has the day ${JSON.stringify(entry.day)}, which is not a weekday.`)
+      }
+      if (!calendarInfo.has(day) || !entry.available) {
+        calendarInfo.set(day, { ...entry, day })
+      }
+    }
+
+    return Array.from(calendarInfo.values())
+  }
+}
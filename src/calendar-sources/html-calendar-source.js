@@ -0,0 +1,58 @@
+/**
+ * The HTML calendar source of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { CalendarSource } from './calendar-source.js'
+import { CalendarScraper } from '../calendar-scraper.js'
+
+/**
+ * Scrapes the table of a calendar page, or of every calendar page the crawl found.
+ */
+export class HtmlCalendarSource extends CalendarSource {
+  /**
+   * The URL of the calendar page, or undefined for every page the crawl found.
+   *
+   * @type {string|undefined}
+   */
+  url
+
+  /**
+   * Represents a HtmlCalendarSource object.
+   *
+   * @param {object} [options] - The options of the source.
+   * @param {string} [options.url] - The URL of the calendar page, every page the crawl found by default.
+   * @param {string} [options.person] - The name of the person, instead of the heading of the page.
+   */
+  constructor ({ url, ...options } = {}) {
+    super(options)
+    this.url = url
+  }
+
+  /**
+   * Reads the calendar pages, one after the other.
+   *
+   * @async
+   * @param {object} context - The context of the run.
+   * @param {string} context.baseUrl - The start URL.
+   * @param {import('../http-client.js').HttpClient} context.httpClient - The client that sends the requests.
+   * @param {object} context.sites - The sites found by SiteDiscovery.
+   * @param {import('../site-profile.js').SiteProfile} context.profile - How a calendar page is read.
+   * @returns {Promise<Array<{person: string, calendarInfo: Array<object>}>>} - A promise that resolves to the calendar of each person.
+   * @throws {import('../errors.js').ParseError} - If a calendar cannot be read.
+   */
+  async read ({ baseUrl, httpClient, sites, profile }) {
+    const calendarScraper = new CalendarScraper(baseUrl, httpClient, { profile })
+    const links = this.url ? [this.url] : sites.calendar.map(page => page.url)
+    const calendars = []
+
+    for (const link of links) {
+      const { person, calendarInfo } = await calendarScraper.getCalendarInfo(link)
+      calendars.push({ person: this.person ?? person, calendarInfo })
+    }
+
+    return calendars
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * The iCalendar calendar source of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { CalendarSource } from './calendar-source.js'
+import { AVAILABLE } from '../calendar-scraper.js'
+import { DateResolver } from '../date-resolver.js'
+import { ParseError } from '../errors.js'
+import { WEEKDAYS } from '../time-of-day.js'
+
+// The days of a weekly RRULE, by their codes.
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+
+/**
+ * Reads an iCalendar (.ics) file or feed of the times a person is free, e.g. all-day events called Free.
+ * The events are dated, so the person is only free on the planned dates they have a free event on, not on every date of the same weekday.
+ *
+ * The free and busy rules:
+ * - An event is free if its summary, in lowercase and without trailing exclamation marks, is one of the words a calendar page is available by, e.g. Free or OK, or begins with one of them and a space or punctuation, e.g. "Free for the movies".
+ * - Any other event is busy, e.g. Busy or Dentist. A busy event on a date wins over a free one, and a cancelled event is left out.
+ * - An all-day event is on each date from its start up to its end, one date if it has no end.
+ * - Any other event is on the date it starts on in the timezone of the plan: a time in UTC (ending in Z) or with a TZID is converted to it, and a time without either is already in it.
+ * - A repeated event (RRULE) is on each of its dates, by its FREQ (DAILY, WEEKLY, MONTHLY or YEARLY), INTERVAL, COUNT, UNTIL and the BYDAY of a weekly rule, except the dates in its EXDATE and those of its changed occurrences (RECURRENCE-ID), which are events of their own.
+ *
+ * Each weekday the person has an event on in the planned weeks is listed, available if they are free on one of its dates, with those dates.
+ * The person is named by the name of the calendar, or after the file.
+ */
+export class IcsCalendarSource extends CalendarSource {
+  /**
+   * The path or URL of the file.
+   *
+   * @type {string}
+   */
+  path
+
+  /**
+   * Represents an IcsCalendarSource object.
+   *
+   * @param {object} options - The options of the source.
+   * @param {string} options.path - The path of the file, or an http or https URL of the feed.
+   * @param {string} [options.person] - The name of the person, instead of the name of the calendar.
+   * @throws {Error} - If there is no path.
+   */
+  constructor ({ path, ...options } = {}) {
+    super(options)
+    this.path = path
+
+    if (!path) {
+      throw new Error('An ics calendar needs the path or URL of its file.')
+    }
+  }
+
+  /**
+   * Reads the file, and finds the dates the person is free on among the dates that are planned.
+   *
+   * @async
+   * @param {object} context - The context of the run.
+   * @param {import('../http-client.js').HttpClient} [context.httpClient] - The client that fetches a feed.
+   * @param {DateResolver} [context.dates] - The dates that are planned, and their timezone, those of the configuration by default.
+   * @param {object} [context.config] - The configuration of the application, with the dates.
+   * @returns {Promise<Array<{person: string, calendarInfo: Array<{day: string, info: string, available: boolean, dates: Array<string>}>}>>} - A promise that resolves to the calendar of the person.
+   * @throws {ParseError} - If the file cannot be read, is not an iCalendar file, or has an event without a start date, with an unknown timezone or an RRULE that is not supported.
+   */
+  async read (context) {
+    const dates = context.dates ?? new DateResolver(context.config?.dates)
+    const { name, events } = this.#parse(await this.readText(this.path, context))
+    const planned = WEEKDAYS.flatMap(day => dates.datesOf(day))
+    const last = planned.reduce((latest, date) => date > latest ? date : latest, '')
+
+    // A changed occurrence replaces the one of the repeated event it is an occurrence of.
+    const changed = new Map()
+    for (const event of events.filter(event => event['RECURRENCE-ID'])) {
+      changed.set(event.UID, [...(changed.get(event.UID) ?? []), this.#start(event, 'RECURRENCE-ID').date])
+    }
+
+    const free = new Map()
+    const busy = new Map()
+
+    for (const event of events.filter(event => event.STATUS?.toUpperCase() !== 'CANCELLED')) {
+      const summary = this.#unescape(event.SUMMARY ?? '').trim()
+      const info = summary.toLowerCase().replace(/!+$/, '')
+      const isFree = AVAILABLE.some(word => info === word || new RegExp(`^${word}[\\s.,;:!-]`).test(info))
+      const skipped = event['RECURRENCE-ID'] ? [] : [...(changed.get(event.UID) ?? []), ...this.#exceptions(event)]
+
+      for (const date of this.#dates(event, dates, last, skipped)) {
+        const found = isFree ? free : busy
+        if (!found.has(date)) {
+          found.set(date, summary || (isFree ? 'free' : 'busy'))
+        }
+      }
+    }
+
+    const calendarInfo = WEEKDAYS.flatMap(day => {
+      const onDay = dates.datesOf(day).filter(date => free.has(date) || busy.has(date))
+      const freeDates = onDay.filter(date => free.has(date) && !busy.has(date))
+
+      if (onDay.length === 0) {
+        return []
+      }
+
+      return [{ day, info: freeDates.length > 0 ? free.get(freeDates[0]) : busy.get(onDay.find(date => busy.has(date))), available: freeDates.length > 0, dates: freeDates }]
+    })
+
+    return [{ person: this.person ?? name ?? this.personOf(this.path), calendarInfo }]
+  }
+
+  /**
+   * Returns the dates an event is on in the timezone of the plan, up to the last planned date.
+   *
+   * @private
+   * @param {object} event - The event.
+   * @param {DateResolver} dates - The dates that are planned, and their timezone.
+   * @param {string} last - The last planned date, as YYYY-MM-DD.
+   * @param {Array<string>} skipped - The dates of the occurrences that are left out, as YYYY-MM-DD in the timezone of the event.
+   * @returns {Array<string>} - The dates, as YYYY-MM-DD.
+   * @throws {ParseError} - If the event has no start date, an unknown timezone or an RRULE that is not supported.
+   */
+  #dates (event, dates, last, skipped) {
+    const start = this.#start(event, 'DTSTART')
+    const occurrences = (event.RRULE && !event['RECURRENCE-ID'] ? this.#repeat(start.date, event.RRULE, last) : [start.date])
+      .filter(date => !skipped.includes(date))
+
+    if (!start.time) {
+      const end = event.DTEND ? this.#start(event, 'DTEND').date : undefined
+      const length = end && end > start.date ? (Date.parse(end) - Date.parse(start.date)) / 86400000 : 1
+
+      return occurrences.flatMap(date => Array.from({ length }, (_, day) => this.#addDays(date, day)))
+    }
+
+    return occurrences.map(date => {
+      if (start.utc) {
+        return dates.dateOf(Date.parse(`${date}T${start.time}Z`))
+      }
+      if (start.timezone) {
+        return dates.dateOf(Date.parse(this.#resolver(start.timezone).dateTime(date, start.time.slice(0, 5))))
+      }
+
+      return date
+    })
+  }
+
+  /**
+   * Reads the date, and the time if it has one, of a date or date-time property of an event.
+   *
+   * @private
+   * @param {object} event - The event.
+   * @param {string} property - The property, e.g. DTSTART.
+   * @returns {{date: string, time: string|undefined, utc: boolean, timezone: string|undefined}} - The date as YYYY-MM-DD, the time as HH:MM:SS, whether it is in UTC, and the timezone it is given in.
+   * @throws {ParseError} - If there is no such date.
+   */
+  #start (event, property) {
+    const match = event[property]?.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/)
+
+    if (!match) {
+      throw new ParseError(`An event in the calendar ${this.path} has no ${property === 'DTSTART' ? 'start date' : `date in ${property}`}.`)
+    }
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match
+
+    return {
+      date: `${year}-${month}-${day}`,
+      time: hours ? `${hours}:${minutes}:${seconds}` : undefined,
+      utc: Boolean(utc),
+      timezone: event.params[property]?.TZID
+    }
+  }
+
+  /**
+   * Returns the dates a repeated event starts on, from its first date up to the last planned date.
+   *
+   * @private
+   * @param {string} first - The first date, as YYYY-MM-DD.
+   * @param {string} rrule - The RRULE of the event.
+   * @param {string} last - The last planned date, as YYYY-MM-DD.
+   * @returns {Array<string>} - The dates, as YYYY-MM-DD.
+   * @throws {ParseError} - If the rule is not supported.
+   */
+  #repeat (first, rrule, last) {
+    const rule = Object.fromEntries(rrule.split(';').map(part => part.split('=')).map(([key, value]) => [key.toUpperCase(), value?.toUpperCase()]))
+    const interval = Number(rule.INTERVAL ?? 1)
+    const count = rule.COUNT ? Number(rule.COUNT) : Infinity
+    const until = rule.UNTIL?.match(/^(\d{4})(\d{2})(\d{2})/)?.slice(1).join('-')
+    const unsupported = Object.keys(rule).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST', ...(rule.FREQ === 'WEEKLY' ? ['BYDAY'] : [])].includes(key))
+    const byDay = rule.BYDAY?.split(',').map(code => BYDAY.indexOf(code))
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ) || unsupported.length > 0 || !(interval >= 1) || byDay?.includes(-1)) {
+      throw new ParseError(`The calendar ${this.path} has the RRULE ${rrule}, which is not supported.`)
+    }
+
+    const end = until && until < last ? until : last
+    const dates = []
+
+    // Each period is a day, a week from its Monday, a month or a year, and has the dates of the rule in it.
+    for (let period = 0; dates.length < count; period += interval) {
+      const inPeriod = this.#inPeriod(first, rule.FREQ, period, byDay)
+
+      if (inPeriod.length > 0 && inPeriod[0] > end) {
+        break
+      }
+
+      dates.push(...inPeriod.filter(date => date >= first && date <= end))
+    }
+
+    return dates.slice(0, count)
+  }
+
+  /**
+   * Returns the dates of a repeated event in one of its periods.
+   *
+   * @private
+   * @param {string} first - The first date of the event, as YYYY-MM-DD.
+   * @param {string} frequency - The FREQ of the rule.
+   * @param {number} period - The number of days, weeks, months or years after the first date.
+   * @param {Array<number>} [byDay] - The weekdays of a weekly rule, from 0 for Monday, the weekday of the first date by default.
+   * @returns {Array<string>} - The dates, as YYYY-MM-DD, in order. None if the month has no such day.
+   */
+  #inPeriod (first, frequency, period, byDay) {
+    const [year, month, day] = first.split('-').map(Number)
+
+    if (frequency === 'DAILY') {
+      return [this.#addDays(first, period)]
+    }
+    if (frequency === 'WEEKLY') {
+      const monday = this.#addDays(first, 7 * period - this.#weekdayOf(first))
+      return [...(byDay ?? [this.#weekdayOf(first)])].sort((a, b) => a - b).map(weekday => this.#addDays(monday, weekday))
+    }
+
+    const date = new Date(Date.UTC(year + (frequency === 'YEARLY' ? period : 0), month - 1 + (frequency === 'MONTHLY' ? period : 0), day))
+
+    // The 31st is left out of a month with 30 days, and the 29th of February out of other years, instead of moving to the next month.
+    return date.getUTCDate() === day ? [date.toISOString().slice(0, 10)] : []
+  }
+
+  /**
+   * Returns the dates in the EXDATE of a repeated event, as YYYY-MM-DD.
+   *
+   * @private
+   * @param {object} event - The event.
+   * @returns {Array<string>} - The dates.
+   */
+  #exceptions (event) {
+    return (event.EXDATE ?? '').split(',').map(value => value.match(/^(\d{4})(\d{2})(\d{2})/)?.slice(1).join('-')).filter(Boolean)
+  }
+
+  /**
+   * Returns a resolver of the times in the timezone of a TZID.
+   *
+   * @private
+   * @param {string} timezone - The IANA name of the timezone.
+   * @returns {DateResolver} - The resolver.
+   * @throws {ParseError} - If the timezone is unknown.
+   */
+  #resolver (timezone) {
+    try {
+      return new DateResolver({ timezone })
+    } catch (error) {
+      throw new ParseError(`The calendar ${this.path} has the unknown timezone ${timezone}.`, { cause: error })
+    }
+  }
+
+  /**
+   * Parses the events of an iCalendar file, with the properties of each by name and their parameters in params. Folded lines are unfolded,
+   * and the values of an EXDATE given more than once are joined.
+   *
+   * @private
+   * @param {string} text - The iCalendar file.
+   * @returns {{name: string|undefined, events: Array<object>}} - The name of the calendar, if it has one, and the events.
+   * @throws {ParseError} - If the text is not an iCalendar file.
+   */
+  #parse (text) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+      throw new ParseError(`The calendar ${this.path} is not an iCalendar file.`)
+    }
+
+    const events = []
+    let name
+    let event
+
+    for (const line of lines) {
+      const [, property, parameters = '', value] = line.match(/^([\w-]+)((?:;[^:]*)?):(.*)$/) ?? []
+      const key = property?.toUpperCase()
+
+      if (key === 'BEGIN' && value.trim().toUpperCase() === 'VEVENT') {
+        event = { params: {} }
+      } else if (key === 'END' && value.trim().toUpperCase() === 'VEVENT') {
+        events.push(event)
+        event = undefined
+      } else if (event && key) {
+        event[key] = key === 'EXDATE' && event.EXDATE ? `${event.EXDATE},${value.trim()}` : value.trim()
+        event.params[key] = Object.fromEntries(parameters.split(';').filter(Boolean).map(parameter => parameter.split('=')).map(([param, paramValue]) => [param.toUpperCase(), paramValue?.replace(/^"|"$/g, '')]))
+      } else if (key === 'X-WR-CALNAME') {
+        name = this.#unescape(value).trim() || undefined
+      }
+    }
+
+    return { name, events }
+  }
+
+  /**
+   * Unescapes a text value of an iCalendar file.
+   *
+   * @private
+   * @param {string} value - The escaped value.
+   * @returns {string} - The text.
+   */
+  #unescape (value) {
+    return value.replace(/\\([\\;,nN])/g, (match, character) => character.toLowerCase() === 'n' ? '\n' : character)
+  }
+
+  /**
+   * Adds a number of days to a date.
+   *
+   * @private
+   * @param {string} date - The date, as YYYY-MM-DD.
+   * @param {number} days - The number of days.
+   * @returns {string} - The date the days after, as YYYY-MM-DD.
+   */
+  #addDays (date, days) {
+    const [year, month, day] = date.split('-').map(Number)
+
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10)
+  }
+
+  /**
+   * Returns the weekday of a date.
+   *
+   * @private
+   * @param {string} date - The date, as YYYY-MM-DD.
+   * @returns {number} - The weekday, from 0 for Monday to 6 for Sunday.
+   */
+  #weekdayOf (date) {
+    return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * The calendar sources of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { HtmlCalendarSource } from './html-calendar-source.js'
+import { IcsCalendarSource } from './ics-calendar-source.js'
+import { JsonCalendarSource } from './json-calendar-source.js'
+
+/**
+ * The calendar source class of each source name.
+ *
+ * @type {object}
+ */
+export const CALENDAR_SOURCES = {
+  html: HtmlCalendarSource,
+  json: JsonCalendarSource,
+  ics: IcsCalendarSource
+}
+
+/**
+ * Creates a calendar source.
+ *
+ * @param {object} [options] - The options of the source.
+ * @param {string} [options.source='html'] - The name of the source, one of the keys of CALENDAR_SOURCES.
+ * @returns {import('./calendar-source.js').CalendarSource} - The calendar source.
+ * @throws {Error} - If the source is unknown, or its options are not valid.
+ */
+export function createCalendarSource ({ source = 'html', ...options } = {}) {
+  const CalendarSourceClass = CALENDAR_SOURCES[source]
+
+  if (!CalendarSourceClass) {
+    throw new Error(`Unknown calendar source "${source}", use one of ${Object.keys(CALENDAR_SOURCES).join(', ')}.`)
+  }
+
+  return new CalendarSourceClass(options)
+}
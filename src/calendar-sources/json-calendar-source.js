@@ -0,0 +1,59 @@
+/**
+ * The JSON calendar source of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { CalendarSource } from './calendar-source.js'
+import { ParseError } from '../errors.js'
+
+/**
+ * Reads a JSON file with the days a person is available, e.g. data/Paul.json: {"availableDays": ["Friday", "Saturday"]}.
+ * The person is named after the file, and a day that is listed more than once is only counted once.
+ */
+export class JsonCalendarSource extends CalendarSource {
+  /**
+   * The path or URL of the file.
+   *
+   * @type {string}
+   */
+  path
+
+  /**
+   * Represents a JsonCalendarSource object.
+   *
+   * @param {object} options - The options of the source.
+   * @param {string} options.path - The path of the file, or an http or https URL.
+   * @param {string} [options.person] - The name of the person, instead of the file name.
+   * @throws {Error} - If there is no path.
+   */
+  constructor ({ path, ...options } = {}) {
+    super(options)
+    this.path = path
+
+    if (!path) {
+      throw new Error('A json calendar needs the path of its file.')
+    }
+  }
+
+  /**
+   * Reads the file.
+   *
+   * @async
+   * @param {object} context - The context of the run, with the httpClient.
+   * @returns {Promise<Array<{person: string, calendarInfo: Array<object>}>>} - A promise that resolves to the calendar of the person.
+   * @throws {ParseError} - If the file cannot be read, is not valid JSON or has no list of available days.
+   */
+  async read (context) {
+    const data = await this.readJson(this.path, context)
+
+    if (!Array.isArray(data?.availableDays)) {
+      throw new ParseError(`The calendar ${this.path} has no list of availableDays.`)
+    }
+
+    const calendarInfo = this.toCalendarInfo(data.availableDays.map(day => ({ day, info: 'ok', available: true })), this.path)
+
+    return [{ person: this.personOf(this.path), calendarInfo }]
+  }
+}
@@ -5,79 +5,232 @@
  * @version 1.1.1
  */
 
-import { LinkCrawler } from './link-crawler.js'
+import { SiteDiscovery } from './site-discovery.js'
 import { UniversalScraper } from './universal-scraper.js'
+import { HttpClient } from './http-client.js'
+import { NetworkError, ParseError } from './errors.js'
+import { SiteProfile } from './site-profile.js'
+import { formatMinutes, toMinutes } from './time-of-day.js'
 
 /**
  *
  */
 export class CinemaScraper {
+  /**
+   * The client that sends the requests of the scraper.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
+
+  /**
+   * The maximum number of shows requested at the same time.
+   *
+   * @type {number}
+   */
+  #concurrency
+
+  /**
+   * How the cinema is read, e.g. the selectors of the days and movies and the endpoint of the shows.
+   *
+   * @type {SiteProfile}
+   */
+  #profile
+
   /**
    * Represents a CinemaScraper object.
    *
    * @param {string} baseUrl - The base URL for the cinema scraper.
+   * @param {HttpClient} [httpClient] - The client that sends the requests.
+   * @param {object} [options] - The scraper options.
+   * @param {number} [options.concurrency=4] - The maximum number of shows requested at the same time.
+   * @param {SiteProfile} [options.profile] - How the cinema is read, the default profile if it is not given.
    */
-  constructor (baseUrl) {
+  constructor (baseUrl, httpClient = new HttpClient(), { concurrency = 4, profile = new SiteProfile() } = {}) {
     this.baseUrl = baseUrl
+    this.#httpClient = httpClient
+    this.#concurrency = concurrency
+    this.#profile = profile
   }
 
   /**
-   * Displays cinema information by crawling through links and retrieving cinema info.
+   * Displays cinema information by retrieving the cinema info of a discovered cinema page.
    *
    * @async
-   * @returns {Promise<void>} A promise that resolves when the cinema information is displayed.
+   * @param {object} [sites] - The sites found by SiteDiscovery, the base URL is discovered if they are not given.
+   * @param {{url: string, name: string}} [cinema] - The cinema to scrape, one of the sites, defaults to the first cinema found.
+   * @param {object} [options] - The options of the scrape.
+   * @param {Array<string>} [options.days] - The days to read the shows of, e.g. Friday, every day of the cinema by default.
+   * @returns {Promise<Array<{day: string, time: string, movie: string, cinema: string, soldOut: boolean, seats: number|null}>>} A promise that resolves to the shows, by day and movie, each with the name of its cinema and the number of free seats if the cinema tells it.
+   * @throws {ParseError} - If there is no cinema, or its shows cannot be read.
+   * @throws {NetworkError} - If a request fails.
    */
-  async displayCinemaInfo () {
-    try {
-      const linkCrawler = new LinkCrawler(this.baseUrl)
+  async displayCinemaInfo (sites, cinema, { days } = {}) {
+    sites ??= await new SiteDiscovery(this.baseUrl, { httpClient: this.#httpClient, profile: this.#profile }).discover()
+    cinema ??= sites.cinema[0]
 
-      let links = await linkCrawler.crawl(this.baseUrl)
-
-      links = links.filter(link => link.includes('cinema'))
+    if (!cinema) {
+      throw new ParseError('Could not find the cinema.')
+    }
 
-      const calendarInfo = await this.#getCinemaInfo(links)
+    const calendarInfo = await this.#getCinemaInfo(cinema.url, cinema.name, days)
 
-      return calendarInfo
-    } catch (error) {
-      console.error(error.message)
-    }
+    return calendarInfo
   }
 
   /**
    * Retrieves cinema information from a given link.
+   * The shows of each day and movie are requested in parallel, at most `concurrency` at a time, and kept in the order of the days and movies.
    *
    * @async
    * @private
    * @param {string} link - The link to scrape the cinema information from.
-   * @returns {Promise<Array<{day: string, info: string}>>} - A promise that resolves to an array of objects containing the day and corresponding information.
+   * @param {string} cinemaName - The name of the cinema, which each show is marked with.
+   * @param {Array<string>} [days] - The days to read the shows of, every day by default.
+   * @returns {Promise<Array<object>>} - A promise that resolves to the shows.
+   * @throws {ParseError} - If a response is not a list of valid shows.
    */
-  async #getCinemaInfo (link) {
-    const daysSelector = 'select[name="day"] > option[value^="0"]'
-    const moviesSelector = 'select[name="movie"] > option[value^="0"]'
+  async #getCinemaInfo (link, cinemaName, days) {
+    const { day: daySelect, movie: movieSelect, option, shows } = this.#profile.cinema
+    const daysSelector = `${daySelect} > ${option}`
+    const moviesSelector = `${movieSelect} > ${option}`
 
-    const universalScraper = new UniversalScraper()
+    const universalScraper = new UniversalScraper({ httpClient: this.#httpClient })
 
-    const daysHtml = await universalScraper.extractHtml(link, daysSelector)
-    const moviesHtml = await universalScraper.extractHtml(link, moviesSelector)
+    const [page] = await universalScraper.extractHtml(link, 'html')
+    const daysAndMovies = this.#getOptionInfo(Array.from(page.querySelectorAll(daysSelector)), Array.from(page.querySelectorAll(moviesSelector)))
 
-    const daysAndMovies = this.#getOptionInfo(daysHtml, moviesHtml)
-    const movieTimes = []
+    const queries = Object.values(daysAndMovies.days)
+      .filter(day => !days || days.includes(day.name))
+      .flatMap(day => Object.values(daysAndMovies.movies).map(movie => ({ day, movie })))
+
+    const movieTimes = await this.#inParallel(queries, async ({ day, movie }, signal) => {
+      const showsLink = `${link}${this.#profile.fill(shows, { day: day.id, movie: movie.id }, { encode: true })}`
+      const times = await this.#getJson(showsLink, signal)
+
+      if (!Array.isArray(times)) {
+        throw new ParseError(`The shows at ${showsLink} are not a list.`)
+      }
+
+      return times.map(time => this.#toShow(time, day, movie, cinemaName, showsLink))
+    })
+
+    return movieTimes.flat()
+  }
+
+  /**
+   * Validates a show of the cinema and converts it to a show of the application.
+   * A show has the day and movie that were asked for, a time as H:MM or HH:MM, and a status of 1 if there are free seats or 0 if it is sold out.
+   * The fields and the status values are those of the profile.
+   *
+   * @private
+   * @param {any} time - The show, as answered by the cinema.
+   * @param {{id: string, name: string}} day - The day that was asked for.
+   * @param {{id: string, name: string}} movie - The movie that was asked for.
+   * @param {string} cinemaName - The name of the cinema.
+   * @param {string} link - The URL the show was read from.
+   * @returns {{day: string, time: string, movie: string, cinema: string, soldOut: boolean, seats: number|null}} - The show.
+   * @throws {ParseError} - If the show is not valid.
+   */
+  #toShow (time, day, movie, cinemaName, link) {
+    const problem = this.#findProblem(time, day, movie)
+
+    if (problem) {
+      throw new ParseError(`A show at ${link} is not valid, ${problem}.`)
+    }
 
-    for (const day of Object.keys(daysAndMovies.days)) {
-      for (const movie of Object.keys(daysAndMovies.movies)) {
-        const postLink = `${link}check?day=${daysAndMovies.days[day].id}&movie=${daysAndMovies.movies[movie].id}`
-        const times = await this.#postRequest(postLink)
-        for (const time of times) {
-          time.name = daysAndMovies.movies[movie].name
+    const { fields, status } = this.#profile.cinema
+
+    return {
+      day: day.name,
+      time: formatMinutes(toMinutes(time[fields.time])),
+      movie: movie.name,
+      cinema: cinemaName,
+      soldOut: time[fields.status] === status.soldOut,
+      seats: time[fields.seats] ?? null
+    }
+  }
+
+  /**
+   * Finds what is wrong with a show of the cinema, if anything.
+   *
+   * @private
+   * @param {any} time - The show, as answered by the cinema.
+   * @param {{id: string}} day - The day that was asked for.
+   * @param {{id: string}} movie - The movie that was asked for.
+   * @returns {string|undefined} - What is wrong, or undefined if the show is valid.
+   */
+  #findProblem (time, day, movie) {
+    const { fields, status } = this.#profile.cinema
+
+    if (typeof time !== 'object' || time === null) {
+      return 'it is not an object'
+    }
+    if (time[fields.day] !== day.id) {
+      return `its day is ${JSON.stringify(time[fields.day])}, not "${day.id}"`
+    }
+    if (time[fields.movie] !== movie.id) {
+      return `its movie is ${JSON.stringify(time[fields.movie])}, not "${movie.id}"`
+    }
+    if (typeof time[fields.time] !== 'string' || !/^\d{1,2}:\d{2}$/.test(time[fields.time])) {
+      return `its time ${JSON.stringify(time[fields.time])} is not HH:MM`
+    }
+    if (time[fields.status] !== status.free && time[fields.status] !== status.soldOut) {
+      return `its status ${JSON.stringify(time[fields.status])} is not ${JSON.stringify(status.soldOut)} or ${JSON.stringify(status.free)}`
+    }
+    if (time[fields.seats] !== undefined && !(Number.isInteger(time[fields.seats]) && time[fields.seats] >= 0)) {
+      return `its seats ${JSON.stringify(time[fields.seats])} are not a number of seats`
+    }
+  }
+
+  /**
+   * Maps items with an async function, running at most `concurrency` at a time. The results keep the order of the items.
+   * No item is started once one has failed, and the items in progress are aborted by the signal they are given, so none is left running when it rejects.
+   *
+   * @async
+   * @private
+   * @param {Array<any>} items - The items.
+   * @param {Function} map - An async function that maps an item, given the item and a signal that is aborted when another item fails.
+   * @returns {Promise<Array<any>>} - A promise that resolves to the results, or rejects with the first error.
+   */
+  async #inParallel (items, map) {
+    const results = new Array(items.length)
+    const controller = new AbortController()
+    let next = 0
+    let failure
+
+    /**
+     * Maps the next item until there are none left or one has failed.
+     *
+     * @returns {Promise<void>}
+     */
+    const work = async () => {
+      while (!failure && next < items.length) {
+        const index = next++
+
+        try {
+          results[index] = await map(items[index], controller.signal)
+        } catch (error) {
+          if (!failure) {
+            failure = { error }
+            controller.abort()
+          }
         }
-        movieTimes.push(times)
       }
     }
-    return movieTimes
+
+    await Promise.all(Array.from({ length: Math.min(this.#concurrency, items.length) }, work))
+
+    if (failure) {
+      throw failure.error
+    }
+
+    return results
   }
 
   /**
    * Retrieves days and movies information from the option elements.
+   * A day is named by the weekday of its value in the profile, by default 01 for Monday to 07 for Sunday, or by its text if the value is not a weekday.
    *
    * @private
    * @param {HTMLElement[]} daysHtml - The HTML elements representing the days.
@@ -91,7 +244,7 @@ export class CinemaScraper {
     daysHtml.forEach(element => {
       const optionValue = element.getAttribute('value')
       const optionText = element.textContent
-      days[optionText] = { id: optionValue }
+      days[optionText] = { id: optionValue, name: this.#profile.cinema.days[optionValue] ?? optionText.trim() }
     })
 
     moviesHtml.forEach(element => {
@@ -104,16 +257,18 @@ export class CinemaScraper {
   }
 
   /**
-   * Sends a POST request to the specified link and returns the response data.
+   * Sends a GET request to the specified link and returns the JSON data of the response.
    *
    * @async
    * @private
-   * @param {string} link - The link to send the POST request to.
+   * @param {string} link - The link to send the GET request to.
+   * @param {AbortSignal} [signal] - A signal that aborts the request.
    * @returns {Promise<any>} - A promise that resolves to the response data.
+   * @throws {NetworkError} - If the request fails.
+   * @throws {ParseError} - If the response is not JSON.
    */
-  async #postRequest (link) {
-    const response = await fetch(link)
-    const data = await response.json()
+  async #getJson (link, signal) {
+    const data = await this.#httpClient.getJson(link, { signal })
     return data
   }
 }
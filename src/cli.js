@@ -0,0 +1,585 @@
+/**
+ * The command-line interface of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { ApiServer } from './api-server.js'
+import { Application } from './application.js'
+import { Config } from './config.js'
+import { SiteProfile } from './site-profile.js'
+import { AuthenticationError, NetworkError, NoCommonDayError, ParseError } from './errors.js'
+import { FORMATTERS } from './formatters/index.js'
+import { LEVELS, LOG_FORMATS, logger } from './logger.js'
+import { SiteDiscovery } from './site-discovery.js'
+import { Watcher } from './watcher.js'
+import { normalizeStartUrl } from './start-url.js'
+
+const COMMANDS = ['plan', 'crawl', 'calendar', 'cinema', 'dinner', 'serve']
+
+// The exit codes of the application.
+const SUCCESS = 0
+const FAILURE = 1
+const USAGE = 2
+const NETWORK = 3
+const PARSE = 4
+const AUTHENTICATION = 5
+const NO_COMMON_DAY = 6
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  config: { type: 'string', short: 'c' },
+  profile: { type: 'string' },
+  timeout: { type: 'string', short: 't' },
+  verbose: { type: 'boolean', short: 'v' },
+  quiet: { type: 'boolean', short: 'q' },
+  'log-level': { type: 'string' },
+  'log-format': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'V' },
+  explain: { type: 'boolean' },
+  timings: { type: 'boolean' },
+  book: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  preferences: { type: 'string' },
+  top: { type: 'string' },
+  from: { type: 'string' },
+  weekends: { type: 'string' },
+  timezone: { type: 'string' },
+  quorum: { type: 'string' },
+  'must-attend': { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  watch: { type: 'boolean' },
+  interval: { type: 'string' }
+}
+
+const HELP = `Usage: npm start -- [command] <start-url> [options]
+
+Plans a gathering: a day when everyone is free, a movie to see and a table at the restaurant after it.
+
+Commands:
+  plan <start-url>        Make the suggestions, the default command
+  crawl <start-url>       Crawl the start URL and show the page picked for each site, and the broken links
+  calendar <start-url>    Show the calendars and the days when everyone is free
+  cinema <start-url>      Show the shows of the cinema
+  dinner <start-url>      Show the free tables of the restaurant
+  serve [port]            Serve the planner as an HTTP API, on port 8080 by default
+
+Options:
+  -f, --format <format>   The output format: text or json, plan also prints csv, ics and html, crawl also prints dot
+  -o, --output <file>     Write the result to a file instead of the terminal
+  -c, --config <file>     The configuration file, gathering.config.json by default
+  --profile <file>        The site profile, how the calendar, cinema and restaurant sites are read
+  -t, --timeout <ms>      The number of milliseconds before a request is aborted
+  -v, --verbose           Print what is done, the same as --log-level info
+  -q, --quiet             Print only the result and the errors, the same as --log-level error
+  --log-level <level>     Log error, warn, info, debug or trace messages, warn by default
+  --log-format <format>   Log pretty lines or json
+  -h, --help              Show this help
+  -V, --version           Show the version
+
+Plan options:
+  --explain               Show which page was picked for each site and why
+  --timings               Show how long the crawl, each step and the whole plan took
+  --book <n>              Pre-book the table of the n:th suggestion
+  --dry-run               Only show the booking request, without sending it
+  --preferences <file>    Rank the suggestions by a preferences file
+  --top <n>               Keep the n best suggestions
+  --from <date>           Plan from a date as YYYY-MM-DD, today by default
+  --weekends <n>          Plan the next n weekends, 1 by default
+  --timezone <zone>       The timezone of the sites, e.g. Europe/Stockholm
+  --quorum <n>            Plan the days at least n of the friends are free, all of them by default
+  --must-attend <names>   Plan only the days these friends are free, separated by commas
+  --record <dir>          Record the requests and responses of the run
+  --replay <dir>          Replay a recorded run instead of using the network
+  --watch                 Plan again at an interval and show what changed
+  --interval <seconds>    The interval of --watch, 300 by default
+
+Exit codes:
+  0  Success
+  1  An unexpected failure
+  2  Wrong usage, e.g. a missing start URL
+  3  A request failed or timed out
+  4  A page could not be read
+  5  The login to the restaurant failed
+  6  There is no day when everyone is free`
+
+/**
+ * Parses the command line and runs a command.
+ */
+export class Cli {
+  /**
+   * Runs the command of the arguments and returns the exit code: 0 on success, 2 if it is used wrong, and 1 or the code of the error if the command fails.
+   *
+   * @async
+   * @param {Array<string>} args - The arguments, without node and the script.
+   * @returns {Promise<number>} - A promise that resolves to the exit code.
+   */
+  async run (args) {
+    let parsed
+
+    try {
+      parsed = this.#parse(args)
+    } catch (error) {
+      console.error(`${error.message}\nRun with --help to see the commands and options.`)
+      return USAGE
+    }
+
+    const { command, target, values } = parsed
+
+    if (values.help) {
+      console.log(HELP)
+      return SUCCESS
+    }
+    if (values.version) {
+      console.log(await this.#version())
+      return SUCCESS
+    }
+
+    logger.reset()
+
+    try {
+      const config = await this.#config(values)
+
+      if (command === 'serve') {
+        return await this.#serve(target, config)
+      }
+
+      const application = new Application(target, config)
+
+      try {
+        return await this.#runCommand(command, target, application, values, config)
+      } catch (error) {
+        const code = await this.#fail(error, values)
+
+        if (command === 'plan' && values.timings) {
+          this.#printTimings(application.timings, config)
+        }
+
+        return code
+      } finally {
+        await application.close().catch(error => logger.warn(error.message))
+        logger.logSummary()
+      }
+    } catch (error) {
+      logger.error(error.message)
+      return FAILURE
+    }
+  }
+
+  /**
+   * Parses the arguments into a command, its target and the option values.
+   * The command may be left out, so a start URL alone makes a plan.
+   *
+   * @private
+   * @param {Array<string>} args - The arguments.
+   * @returns {{command: string, target: string, values: object}} - The command, the start URL or port, and the options.
+   * @throws {Error} - If an option or its value is unknown, an argument is missing or the start URL is not valid.
+   */
+  #parse (args) {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+
+    const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'plan'
+
+    if (positionals.length > 1) {
+      throw new Error(`Unexpected argument ${positionals[1]}.`)
+    }
+    if (values.help || values.version) {
+      return { command, values }
+    }
+    if (values.format !== undefined && !Object.keys(FORMATTERS).includes(values.format) && !(command === 'crawl' && values.format === 'dot')) {
+      throw new Error(`Unknown format "${values.format}", use one of ${Object.keys(FORMATTERS).join(', ')}.`)
+    }
+    if (values['log-level'] !== undefined && !LEVELS.includes(values['log-level'])) {
+      throw new Error(`Unknown log level "${values['log-level']}", use one of ${LEVELS.join(', ')}.`)
+    }
+    if (values['log-format'] !== undefined && !LOG_FORMATS.includes(values['log-format'])) {
+      throw new Error(`Unknown log format "${values['log-format']}", use one of ${LOG_FORMATS.join(', ')}.`)
+    }
+    if (command === 'serve') {
+      return { command, target: positionals[0], values }
+    }
+    if (command !== 'plan' && (values.format || 'text') !== 'text' && values.format !== 'json' && !(command === 'crawl' && values.format === 'dot')) {
+      throw new Error(`The ${command} command prints text or json, not ${values.format}.`)
+    }
+
+    for (const name of ['timeout', 'interval']) {
+      if (values[name] !== undefined && !(Number(values[name]) > 0)) {
+        throw new Error(`--${name} must be a positive number, not ${values[name]}.`)
+      }
+    }
+
+    // The counts are whole numbers, e.g. --top 1.5 is not a number of suggestions.
+    for (const name of ['book', 'top', 'weekends', 'quorum']) {
+      if (values[name] !== undefined && !(Number.isInteger(Number(values[name])) && Number(values[name]) > 0)) {
+        throw new Error(`--${name} must be a positive whole number, not ${values[name]}.`)
+      }
+    }
+
+    return { command, target: normalizeStartUrl(positionals[0]), values }
+  }
+
+  /**
+   * Loads the configuration file and applies the options to it, and configures the logger.
+   *
+   * @async
+   * @private
+   * @param {object} values - The option values.
+   * @returns {Promise<object>} - A promise that resolves to the configuration.
+   * @throws {Error} - If the log level or format is unknown.
+   */
+  async #config (values) {
+    const level = values.quiet ? 'error' : values.verbose ? 'info' : undefined
+    const config = await new Config(values.config).load()
+
+    logger.configure({
+      level: values['log-level'] ?? level ?? config.log?.level ?? 'warn',
+      format: values['log-format'] ?? config.log?.format ?? 'pretty'
+    })
+
+    config.format = values.format ?? config.format
+    config.output = values.output ?? config.output
+    config.record = values.record ?? config.record
+    config.replay = values.replay ?? config.replay
+
+    if (values.timeout) {
+      config.http = { ...config.http, timeout: Number(values.timeout) }
+      config.crawl = { ...config.crawl, timeout: Number(values.timeout) }
+    }
+    if (values.profile) {
+      config.profile = await SiteProfile.load(values.profile)
+    }
+    if (values.preferences) {
+      config.preferences = await Config.loadPreferences(values.preferences)
+    }
+    if (values.top) {
+      config.preferences = { ...config.preferences, top: Number(values.top) }
+    }
+    if (values.from) {
+      config.dates = { ...config.dates, referenceDate: values.from }
+    }
+    if (values.weekends) {
+      config.dates = { ...config.dates, weekends: Number(values.weekends) }
+    }
+    if (values.timezone) {
+      config.dates = { ...config.dates, timezone: values.timezone }
+    }
+    if (values.quorum) {
+      config.attendance = { ...config.attendance, quorum: Number(values.quorum) }
+    }
+    if (values['must-attend']) {
+      config.attendance = { ...config.attendance, mustAttend: values['must-attend'].split(',').map(name => name.trim()).filter(Boolean) }
+    }
+
+    return config
+  }
+
+  /**
+   * Runs a command against the start URL of the application.
+   *
+   * @async
+   * @private
+   * @param {string} command - The command.
+   * @param {string} target - The start URL.
+   * @param {Application} application - The application of the start URL.
+   * @param {object} values - The option values.
+   * @param {object} config - The configuration.
+   * @returns {Promise<number>} - A promise that resolves to the exit code.
+   * @throws {Error} - If the stage fails.
+   */
+  async #runCommand (command, target, application, values, config) {
+    if (command === 'plan') {
+      return this.#plan(target, application, values, config)
+    }
+
+    const sites = await application.crawl()
+
+    if (command === 'crawl') {
+      const { report } = sites
+
+      if (values.format === 'dot') {
+        return this.#print({ ...values, format: 'text' }, report, () => [report.toDot()])
+      }
+
+      return this.#print(values, { urls: sites.urls, calendar: sites.calendar, cinema: sites.cinema, restaurant: sites.restaurant, report }, () => [
+        `Crawled ${sites.urls.length} pages`,
+        ...sites.urls.map(url => `* ${url}`),
+        '',
+        ...SiteDiscovery.report(sites),
+        ...report.broken.map(page => `broken: ${page.url} (${page.error ?? `status ${page.status}`}, linked from ${this.#list(page.parents)})`),
+        ...report.outOfScope.map(page => `out of scope: ${page.url} (linked from ${this.#list(page.parents)})`)
+      ])
+    }
+
+    if (command === 'calendar') {
+      const { people, commonDays, attendance } = await application.calendar()
+      const noDay = config.attendance ? 'There is no day when enough of them are free.' : 'There is no day when everyone is free.'
+
+      return this.#print(values, { people, commonDays, attendance }, () => [
+        ...Object.keys(people).map(person => `${person}: ${this.#list(people[person].filter(day => day.available).map(day => day.day))}`),
+        ...(commonDays.length > 0 ? this.#commonDayLines(commonDays, attendance) : [noDay])
+      ])
+    }
+
+    if (command === 'cinema') {
+      const shows = await application.cinema()
+      const at = this.#venueOf(shows, 'cinema')
+
+      return this.#print(values, { shows }, () => shows.map(show =>
+        `* ${show.day} ${show.time} "${show.movie}"${at(show)}${show.soldOut ? ' (fully booked)' : show.seats !== null ? ` (${show.seats} free seats)` : ''}`))
+    }
+
+    const slots = await application.dinner()
+    const at = this.#venueOf(Object.values(slots).flat(), 'restaurant')
+
+    return this.#print(values, { slots }, () => Object.keys(slots).map(day =>
+      `${day}: ${this.#list(slots[day].map(slot => `${slot.start}-${slot.end}${at(slot)}`))}`))
+  }
+
+  /**
+   * Makes the suggestions, and explains, times, books or watches them if asked to.
+   *
+   * @async
+   * @private
+   * @param {string} target - The start URL.
+   * @param {Application} application - The application of the start URL.
+   * @param {object} values - The option values.
+   * @param {object} config - The configuration.
+   * @returns {Promise<number>} - A promise that resolves to the exit code.
+   * @throws {Error} - If there is no suggestion to book.
+   */
+  async #plan (target, application, values, config) {
+    if (values.watch) {
+      const seconds = Number(values.interval ?? config.watch?.interval ?? 300)
+      const controller = new AbortController()
+
+      process.once('SIGINT', () => controller.abort())
+      process.once('SIGTERM', () => controller.abort())
+
+      await new Watcher(target, config, { interval: seconds * 1000 }).watch({ signal: controller.signal })
+      logger.info('Stopped watching.')
+
+      return SUCCESS
+    }
+
+    const suggestions = await application.run()
+
+    if (values.explain || logger.isEnabled('info')) {
+      this.#printReport(`\nDiscovered sites\n================\n${SiteDiscovery.report(application.sites).join('\n')}`, config)
+    }
+
+    if (values.timings) {
+      this.#printTimings(application.timings, config)
+    }
+
+    if (values.book) {
+      const suggestion = suggestions[Number(values.book) - 1]
+
+      if (!suggestion) {
+        throw new Error(`There is no suggestion number ${values.book} to book.`)
+      }
+
+      await application.book(suggestion, { dryRun: values['dry-run'] })
+    }
+
+    return SUCCESS
+  }
+
+  /**
+   * Serves the API until the process is stopped.
+   *
+   * @async
+   * @private
+   * @param {string} [port] - The port to listen on.
+   * @param {object} config - The configuration.
+   * @returns {Promise<number>} - A promise that resolves to the exit code once the server is stopped.
+   */
+  async #serve (port, config) {
+    const server = await new ApiServer(config).start(Number(port || process.env.PORT) || 8080)
+    console.log(`Serving the API at ${server.origin}, e.g. ${server.origin}/suggestions?start=https://courselab.lnu.se/scraper-site-1`)
+
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve)
+      process.once('SIGTERM', resolve)
+    })
+    await server.close()
+
+    return SUCCESS
+  }
+
+  /**
+   * Logs the failures of a command and prints the partial results, if any.
+   *
+   * @async
+   * @private
+   * @param {Error} error - The error the command failed with, with the failures of all stages and the partial results if it was a plan.
+   * @param {object} values - The option values.
+   * @returns {Promise<number>} - A promise that resolves to the exit code of the error.
+   */
+  async #fail (error, values) {
+    for (const failure of error.failures ?? [error]) {
+      logger.error(failure.stage ? `The ${failure.stage} stage failed: ${failure.message}` : failure.message, { stage: failure.stage, type: failure.name })
+    }
+
+    if (error.partial && Object.keys(error.partial).length > 0) {
+      const errors = error.failures.map(failure => ({ stage: failure.stage, type: failure.name, message: failure.message }))
+
+      // The partial results are not suggestions, so they are printed as text unless JSON is asked for.
+      await this.#print({ ...values, format: values.format === 'json' ? 'json' : 'text' }, { partial: error.partial, errors }, () => this.#partialLines(error.partial))
+    }
+
+    return this.#exitCode(error)
+  }
+
+  /**
+   * Describes the partial results of a plan that failed.
+   *
+   * @private
+   * @param {{people: object, commonDays: Array<string>, attendance: Array<object>, shows: object, tables: object}} partial - The results of the stages that did not fail.
+   * @returns {Array<string>} - The lines of text.
+   */
+  #partialLines ({ people = {}, commonDays = [], attendance = [], shows = {}, tables = {} }) {
+    const cinemaOf = this.#venueOf(Object.values(shows).flat(), 'cinema')
+    const restaurantOf = this.#venueOf(Object.values(tables).flat(), 'restaurant')
+
+    return [
+      'Could not make any suggestions, but this could be read:',
+      ...Object.keys(people).map(person => `${person}: ${this.#list(people[person].filter(day => day.available).map(day => day.day))}`),
+      ...this.#commonDayLines(commonDays, attendance),
+      ...Object.keys(shows).map(day => `Free shows on ${day}: ${this.#list(shows[day].map(show => `${show.time} "${show.movie}"${cinemaOf(show)}`))}`),
+      ...Object.keys(tables).map(day => `Free tables on ${day}: ${this.#list(tables[day].map(slot => `${slot.start}-${slot.end}${restaurantOf(slot)}`))}`)
+    ]
+  }
+
+  /**
+   * Prints how long the crawl, each step and the whole plan took, also when the plan failed.
+   *
+   * @private
+   * @param {object} timings - The milliseconds of each, by name.
+   * @param {object} config - The configuration.
+   */
+  #printTimings (timings, config) {
+    this.#printReport(`\nTimings\n=======\n${Object.keys(timings).map(name => `* ${name} ${timings[name]} ms`).join('\n')}`, config)
+  }
+
+  /**
+   * Prints a report next to the suggestions: after them on stdout if they are text, and on stderr otherwise, so the JSON, CSV, iCalendar or HTML stays valid.
+   *
+   * @private
+   * @param {string} text - The report.
+   * @param {object} config - The configuration, with the output format.
+   */
+  #printReport (text, config) {
+    if ((config.format ?? 'text') === 'text') {
+      console.log(text)
+    } else {
+      console.error(text)
+    }
+  }
+
+  /**
+   * Describes the common days: the days everyone is free, and who would miss each of the other days.
+   *
+   * @private
+   * @param {Array<string>} commonDays - The days enough people are free.
+   * @param {Array<{day: string, missing: Array<string>}>} attendance - Who is free on each day.
+   * @returns {Array<string>} - The lines of text.
+   */
+  #commonDayLines (commonDays, attendance) {
+    const missing = new Map(attendance.map(entry => [entry.day, entry.missing]))
+    const everyone = commonDays.filter(day => !missing.get(day)?.length)
+
+    return [
+      ...(everyone.length > 0 ? [`Everyone is free on ${this.#list(everyone)}.`] : []),
+      ...commonDays.filter(day => missing.get(day)?.length > 0).map(day => `${day}: ${this.#list(missing.get(day))} would miss it.`)
+    ]
+  }
+
+  /**
+   * Returns a function that tells the venue of a show or table, if the items are at more than one venue.
+   *
+   * @private
+   * @param {Array<object>} items - The shows or tables.
+   * @param {string} key - The key of the venue, cinema or restaurant.
+   * @returns {Function} - A function that returns " at <venue>" for an item, or an empty string if there is only one venue.
+   */
+  #venueOf (items, key) {
+    const several = new Set(items.map(item => item[key])).size > 1
+
+    return item => several && item[key] ? ` at ${item[key]}` : ''
+  }
+
+  /**
+   * Returns the exit code of an error: 3 for a network error, 4 for a page that could not be read, 5 for a failed login, 6 if there is no common day and 1 otherwise.
+   *
+   * @private
+   * @param {Error} error - The error.
+   * @returns {number} - The exit code.
+   */
+  #exitCode (error) {
+    if (error instanceof NetworkError) {
+      return NETWORK
+    }
+    if (error instanceof ParseError) {
+      return PARSE
+    }
+    if (error instanceof AuthenticationError) {
+      return AUTHENTICATION
+    }
+    if (error instanceof NoCommonDayError) {
+      return NO_COMMON_DAY
+    }
+
+    return FAILURE
+  }
+
+  /**
+   * Prints the result of a stage as text or JSON, to the terminal or the output file.
+   *
+   * @async
+   * @private
+   * @param {object} values - The option values.
+   * @param {object} data - The result, as printed in JSON.
+   * @param {Function} lines - A function that returns the result as lines of text.
+   * @returns {Promise<number>} - A promise that resolves to the exit code.
+   */
+  async #print (values, data, lines) {
+    const output = values.format === 'json' ? JSON.stringify(data, null, 2) : lines().join('\n')
+
+    if (values.output) {
+      await writeFile(values.output, output)
+    } else {
+      console.log(output)
+    }
+
+    return SUCCESS
+  }
+
+  /**
+   * Joins a list of words for a sentence.
+   *
+   * @private
+   * @param {Array<string>} words - The words.
+   * @returns {string} - The words separated by commas, or none.
+   */
+  #list (words) {
+    return words.length > 0 ? words.join(', ') : 'none'
+  }
+
+  /**
+   * Reads the version of the application from package.json.
+   *
+   * @async
+   * @private
+   * @returns {Promise<string>} - A promise that resolves to the version.
+   */
+  async #version () {
+    const { version } = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'))
+    return version
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * The configuration of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { readFile } from 'node:fs/promises'
+import { SiteProfile } from './site-profile.js'
+
+/**
+ * Loads the configuration from a JSON file, overridden by environment variables.
+ */
+export class Config {
+  /**
+   * The path of the configuration file.
+   *
+   * @type {string}
+   */
+  path
+
+  /**
+   * Represents a Config object.
+   *
+   * @param {string} [path] - The path of the configuration file, defaults to GATHERING_CONFIG or gathering.config.json in the working directory.
+   */
+  constructor (path = process.env.GATHERING_CONFIG || 'gathering.config.json') {
+    this.path = path
+  }
+
+  /**
+   * Loads the configuration. A missing file gives an empty configuration.
+   * RESTAURANT_USERNAME and RESTAURANT_PASSWORD override the restaurant credentials of the file.
+   *
+   * @async
+   * @returns {Promise<object>} - A promise that resolves to the configuration.
+   * @throws {Error} - If the file exists but is not valid JSON, or the preferences or site profile file it names cannot be read.
+   */
+  async load () {
+    let config = {}
+
+    try {
+      config = JSON.parse(await readFile(this.path, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read the configuration file ${this.path}: ${error.message}`)
+      }
+    }
+
+    const restaurant = { ...config.restaurant }
+
+    if (process.env.RESTAURANT_USERNAME) {
+      restaurant.username = process.env.RESTAURANT_USERNAME
+    }
+    if (process.env.RESTAURANT_PASSWORD) {
+      restaurant.password = process.env.RESTAURANT_PASSWORD
+    }
+
+    // The preferences and the site profile may be given inline, or as the path of a file.
+    if (typeof config.preferences === 'string') {
+      config.preferences = await Config.loadPreferences(config.preferences)
+    }
+    if (typeof config.profile === 'string') {
+      config.profile = await SiteProfile.load(config.profile)
+    }
+
+    return { ...config, restaurant }
+  }
+
+  /**
+   * Loads a preferences file.
+   *
+   * @async
+   * @param {string} path - The path of the preferences file.
+   * @returns {Promise<object>} - A promise that resolves to the preferences.
+   * @throws {Error} - If the file cannot be read or is not valid JSON.
+   */
+  static async loadPreferences (path) {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not read the preferences file ${path}: ${error.message}`)
+    }
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * The cookie jar of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * Stores cookies from Set-Cookie headers and returns the ones that match a URL, scoped by domain and path.
+ */
+export class CookieJar {
+  /**
+   * The stored cookies.
+   *
+   * @type {Array<{name: string, value: string, domain: string, hostOnly: boolean, path: string, expires: number, secure: boolean}>}
+   */
+  #cookies = []
+
+  /**
+   * Stores the cookies of the Set-Cookie headers of a response.
+   *
+   * @param {string} url - The URL of the request the response belongs to.
+   * @param {Array<string>} setCookieHeaders - The Set-Cookie headers, one per cookie.
+   */
+  setCookies (url, setCookieHeaders) {
+    const requestUrl = new URL(url)
+
+    for (const header of setCookieHeaders) {
+      const cookie = this.#parse(header, requestUrl)
+
+      if (!cookie) {
+        continue
+      }
+
+      // A new cookie replaces the one with the same name, domain and path.
+      this.#cookies = this.#cookies.filter(stored => !(stored.name === cookie.name && stored.domain === cookie.domain && stored.path === cookie.path))
+
+      if (cookie.expires > Date.now()) {
+        this.#cookies.push(cookie)
+      }
+    }
+  }
+
+  /**
+   * Returns the value of the Cookie header to send with a request to the URL.
+   *
+   * @param {string} url - The URL of the request.
+   * @returns {string} - The cookies as name=value pairs, or an empty string if no cookie matches.
+   */
+  getCookieHeader (url) {
+    const requestUrl = new URL(url)
+    const now = Date.now()
+
+    this.#cookies = this.#cookies.filter(cookie => cookie.expires > now)
+
+    return this.#cookies
+      .filter(cookie => this.#domainMatches(cookie, requestUrl.hostname) &&
+        this.#pathMatches(cookie.path, requestUrl.pathname) &&
+        (!cookie.secure || requestUrl.protocol === 'https:'))
+      .sort((a, b) => b.path.length - a.path.length) // Cookies with longer paths are listed first.
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ')
+  }
+
+  /**
+   * Removes all cookies.
+   */
+  clear () {
+    this.#cookies = []
+  }
+
+  /**
+   * Parses a Set-Cookie header.
+   *
+   * @private
+   * @param {string} header - The Set-Cookie header.
+   * @param {URL} requestUrl - The URL of the request the response belongs to.
+   * @returns {object|undefined} - The cookie, or undefined if the header is invalid or the domain is not allowed.
+   */
+  #parse (header, requestUrl) {
+    const [pair, ...attributes] = header.split(';')
+    const separator = pair.indexOf('=')
+
+    if (separator < 1) {
+      return
+    }
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      domain: requestUrl.hostname,
+      hostOnly: true,
+      path: this.#defaultPath(requestUrl.pathname),
+      expires: Infinity,
+      secure: false
+    }
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=')
+      const value = rest.join('=').trim()
+
+      switch (key.trim().toLowerCase()) {
+        case 'domain': {
+          const domain = value.replace(/^\./, '').toLowerCase()
+          // A response may only set cookies for its own domain or a parent domain of it.
+          if (requestUrl.hostname !== domain && !requestUrl.hostname.endsWith(`.${domain}`)) {
+            return
+          }
+          cookie.domain = domain
+          cookie.hostOnly = false
+          break
+        }
+        case 'path':
+          cookie.path = value.startsWith('/') ? value : this.#defaultPath(requestUrl.pathname)
+          break
+        case 'expires':
+          // Max-Age takes precedence over Expires.
+          if (!attributes.some(attribute => attribute.trim().toLowerCase().startsWith('max-age'))) {
+            cookie.expires = Number.isNaN(Date.parse(value)) ? Infinity : Date.parse(value)
+          }
+          break
+        case 'max-age':
+          cookie.expires = Date.now() + parseInt(value) * 1000
+          break
+        case 'secure':
+          cookie.secure = true
+          break
+      }
+    }
+
+    return cookie
+  }
+
+  /**
+   * Returns the default path of a cookie, which is the directory of the request path.
+   *
+   * @private
+   * @param {string} pathname - The path of the request.
+   * @returns {string} - The default path.
+   */
+  #defaultPath (pathname) {
+    const lastSlash = pathname.lastIndexOf('/')
+    return lastSlash > 0 ? pathname.slice(0, lastSlash) : '/'
+  }
+
+  /**
+   * Checks if a cookie may be sent to a host.
+   *
+   * @private
+   * @param {object} cookie - The cookie.
+   * @param {string} hostname - The host of the request.
+   * @returns {boolean} - True if the cookie may be sent.
+   */
+  #domainMatches (cookie, hostname) {
+    return cookie.hostOnly
+      ? hostname === cookie.domain
+      : hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`)
+  }
+
+  /**
+   * Checks if a cookie path matches the path of a request.
+   *
+   * @private
+   * @param {string} cookiePath - The path of the cookie.
+   * @param {string} requestPath - The path of the request.
+   * @returns {boolean} - True if the cookie may be sent.
+   */
+  #pathMatches (cookiePath, requestPath) {
+    return requestPath === cookiePath ||
+      (requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'))
+  }
+}
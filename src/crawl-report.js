@@ -0,0 +1,180 @@
+/**
+ * The crawl report of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * Records how a crawl reached every page: the pages linking to it, its depth, status, content type and response time.
+ * Links that were not followed are kept too, with the reason, so broken and out-of-scope links can be found.
+ */
+export class CrawlReport {
+  /**
+   * The URL the crawl started from.
+   *
+   * @type {string}
+   */
+  start
+
+  /**
+   * The pages, keyed by URL, in the order they were found.
+   *
+   * @type {Map<string, object>}
+   */
+  #pages = new Map()
+
+  /**
+   * Represents a CrawlReport object.
+   *
+   * @param {string} start - The URL the crawl starts from.
+   */
+  constructor (start) {
+    this.start = start
+  }
+
+  /**
+   * Records a link to a page, adding the page the first time it is found.
+   *
+   * @param {string|undefined} parent - The page with the link, or undefined for the start URL.
+   * @param {string} url - The page linked to.
+   * @param {number} depth - The number of links followed from the start page to reach it.
+   */
+  link (parent, url, depth) {
+    if (!this.#pages.has(url)) {
+      this.#pages.set(url, { url, parents: [], depth, status: null, contentType: null, duration: null, error: null, skipped: null })
+    }
+
+    const page = this.#pages.get(url)
+    page.depth = Math.min(page.depth, depth)
+
+    if (parent && !page.parents.includes(parent)) {
+      page.parents.push(parent)
+    }
+  }
+
+  /**
+   * Records that a link was not followed. A page without a recorded link to it is left out of the report.
+   *
+   * @param {string} url - The page linked to.
+   * @param {string} reason - Why it was not followed, e.g. out of scope.
+   */
+  skip (url, reason) {
+    const page = this.#pages.get(url)
+
+    // A page that is reached by another link after all is not skipped.
+    if (page && page.status === null && page.error === null) {
+      page.skipped = reason
+    }
+  }
+
+  /**
+   * Records the response of a page, or the error it failed with.
+   *
+   * @param {string} url - The page.
+   * @param {{status: number, contentType: string, duration: number, error: string}} response - The status and content type of the response and the number of milliseconds it took, or the error if there was no response.
+   */
+  visit (url, { status = null, contentType = null, duration = null, error = null }) {
+    Object.assign(this.#pages.get(url), { status, contentType, duration, error, skipped: null })
+  }
+
+  /**
+   * The pages, in the order they were found.
+   *
+   * @returns {Array<{url: string, parents: Array<string>, depth: number, status: number|null, contentType: string|null, duration: number|null, error: string|null, skipped: string|null}>} - The pages.
+   */
+  get pages () {
+    return Array.from(this.#pages.values(), page => ({ ...page, parents: [...page.parents] }))
+  }
+
+  /**
+   * The pages that were requested but gave no response or an error status.
+   *
+   * @returns {Array<object>} - The broken pages.
+   */
+  get broken () {
+    return this.pages.filter(page => page.error !== null || page.status >= 400)
+  }
+
+  /**
+   * The pages that were linked to but are outside the scope of the crawl.
+   *
+   * @returns {Array<object>} - The out-of-scope pages.
+   */
+  get outOfScope () {
+    return this.pages.filter(page => page.skipped === 'out of scope')
+  }
+
+  /**
+   * Returns the report as plain data, for JSON.
+   *
+   * @returns {{start: string, pages: Array<object>, broken: Array<string>, outOfScope: Array<string>}} - The report.
+   */
+  toJSON () {
+    return {
+      start: this.start,
+      pages: this.pages,
+      broken: this.broken.map(page => page.url),
+      outOfScope: this.outOfScope.map(page => page.url)
+    }
+  }
+
+  /**
+   * Returns the report as a Graphviz DOT graph, with a node per page and an edge per link.
+   * Broken pages are red, out-of-scope pages are grey and dashed, and other pages that were not followed are dashed.
+   *
+   * @returns {string} - The graph.
+   */
+  toDot () {
+    const pages = this.pages
+    const lines = ['digraph crawl {', '  rankdir=LR;', '  node [shape=box, fontname="sans-serif"];']
+
+    for (const page of pages) {
+      lines.push(`  ${this.#quote(page.url)} [${this.#attributes(page)}];`)
+    }
+    for (const page of pages) {
+      for (const parent of page.parents) {
+        lines.push(`  ${this.#quote(parent)} -> ${this.#quote(page.url)};`)
+      }
+    }
+
+    lines.push('}')
+
+    return lines.join('\n')
+  }
+
+  /**
+   * Returns the DOT attributes of a page: its label and the style that highlights it.
+   *
+   * @private
+   * @param {object} page - The page.
+   * @returns {string} - The attributes.
+   */
+  #attributes (page) {
+    const details = page.error ?? page.skipped ?? [page.status, page.contentType?.split(';')[0], page.duration !== null ? `${page.duration} ms` : null].filter(detail => detail !== null && detail !== undefined).join(', ')
+    const label = this.#quote(page.url, details)
+
+    if (page.error !== null || page.status >= 400) {
+      return `label=${label}, color=red, fontcolor=red`
+    }
+    if (page.skipped === 'out of scope') {
+      return `label=${label}, color=grey, fontcolor=grey, style=dashed`
+    }
+    if (page.skipped) {
+      return `label=${label}, style=dashed`
+    }
+
+    return `label=${label}`
+  }
+
+  /**
+   * Quotes a DOT identifier, escaping its backslashes and double quotes. Several lines are joined by \n escapes after that, for a label.
+   *
+   * @private
+   * @param {...string} lines - The lines of the text.
+   * @returns {string} - The quoted text.
+   */
+  #quote (...lines) {
+    return `"${lines.map(line => line.replace(/[\\"]/g, '\\$&')).join('\\n')}"`
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * The date resolver of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { WEEKDAYS, toMinutes } from './time-of-day.js'
+
+// The times of a suggestion, as HH:MM, and the keys of the same times as ISO date-times.
+const TIMES = { movieTime: 'movieStartsAt', movieEnd: 'movieEndsAt', dinnerStart: 'dinnerStartsAt', dinnerEnd: 'dinnerEndsAt' }
+
+// The end times of a suggestion, and the start times they end after.
+const ENDS = { movieEnd: 'movieTime', dinnerEnd: 'dinnerStart' }
+
+/**
+ * Resolves the weekdays of the sites to dates in a timezone, counted from a reference date.
+ * The sites give the same days every week, so the days are planned in whole weeks from Monday to Sunday, starting with the week of the reference date,
+ * and each weekend is the Friday, Saturday and Sunday of one week. The days and times before the reference date and time are left out.
+ */
+export class DateResolver {
+  /**
+   * The IANA name of the timezone the times of the sites are in, e.g. Europe/Stockholm.
+   *
+   * @type {string}
+   */
+  timezone
+
+  /**
+   * The date the days are counted from, as YYYY-MM-DD.
+   *
+   * @type {string}
+   */
+  referenceDate
+
+  /**
+   * The number of weekends to plan.
+   *
+   * @type {number}
+   */
+  weekends
+
+  /**
+   * The instant the suggestions are planned from, in milliseconds since 1970.
+   *
+   * @type {number}
+   */
+  #referenceTime
+
+  /**
+   * The formatter of the date and time of an instant in the timezone.
+   *
+   * @type {Intl.DateTimeFormat}
+   */
+  #format
+
+  /**
+   * Represents a DateResolver object.
+   *
+   * @param {object} [options] - The options of the resolver.
+   * @param {string} [options.timezone] - The IANA name of the timezone, the timezone of the computer by default.
+   * @param {string|Date} [options.referenceDate] - The date the days are counted from, as YYYY-MM-DD, or the instant they are planned from, now by default.
+   * @param {number} [options.weekends=1] - The number of weekends to plan.
+   * @throws {Error} - If the timezone is unknown, the reference date is not a date, or the number of weekends is not a whole number of at least 1.
+   */
+  constructor ({ timezone = Intl.DateTimeFormat().resolvedOptions().timeZone, referenceDate = new Date(), weekends = 1 } = {}) {
+    try {
+      this.#format = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' })
+    } catch (error) {
+      throw new Error(`Unknown timezone "${timezone}", use an IANA name such as Europe/Stockholm.`, { cause: error })
+    }
+
+    if (!Number.isInteger(weekends) || weekends < 1) {
+      throw new Error(`The number of weekends must be a whole number of at least 1, not ${JSON.stringify(weekends)}.`)
+    }
+
+    this.timezone = this.#format.resolvedOptions().timeZone
+    this.weekends = weekends
+    this.referenceDate = referenceDate instanceof Date ? this.dateOf(referenceDate.getTime()) : referenceDate
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(this.referenceDate) || new Date(`${this.referenceDate}T00:00:00Z`).toISOString().slice(0, 10) !== this.referenceDate) {
+      throw new Error(`The reference date ${JSON.stringify(referenceDate)} is not a date as YYYY-MM-DD.`)
+    }
+
+    // A date as YYYY-MM-DD is planned from its start, so nothing on it is left out.
+    this.#referenceTime = referenceDate instanceof Date ? referenceDate.getTime() : Date.parse(this.dateTime(this.referenceDate, '00:00'))
+  }
+
+  /**
+   * Returns the dates of a weekday, one in each week that is planned, except a date before the reference date.
+   *
+   * @param {string} day - The name of the day, e.g. Friday.
+   * @returns {Array<string>} - The dates, as YYYY-MM-DD, or none if the day is not a weekday.
+   */
+  datesOf (day) {
+    const index = WEEKDAYS.indexOf(day)
+
+    if (index === -1) {
+      return []
+    }
+
+    const [year, month, date] = this.referenceDate.split('-').map(Number)
+    const monday = date - (new Date(Date.UTC(year, month - 1, date)).getUTCDay() + 6) % 7
+
+    return Array.from({ length: this.weekends }, (_, week) => new Date(Date.UTC(year, month - 1, monday + index + 7 * week)).toISOString().slice(0, 10))
+      .filter(isoDate => isoDate >= this.referenceDate)
+  }
+
+  /**
+   * Returns the date of an instant in the timezone.
+   *
+   * @param {number} instant - The instant, in milliseconds since 1970.
+   * @returns {string} - The date, as YYYY-MM-DD.
+   */
+  dateOf (instant) {
+    return new Date(instant + this.#offset(instant)).toISOString().slice(0, 10)
+  }
+
+  /**
+   * Returns the ISO date-time of a time of day on a date in the timezone, with its offset from UTC, e.g. 2026-10-23T16:00:00+02:00.
+   *
+   * @param {string} date - The date, as YYYY-MM-DD.
+   * @param {string} time - The time of day, as HH:MM.
+   * @returns {string} - The date-time.
+   */
+  dateTime (date, time) {
+    const [year, month, day] = date.split('-').map(Number)
+    const wallClock = Date.UTC(year, month - 1, day, 0, toMinutes(time))
+
+    // The offset is found at the guessed instant, then again at the instant it gives, in case the guess was on the other side of a change to or from summer time.
+    const instant = wallClock - this.#offset(wallClock - this.#offset(wallClock))
+    const offset = this.#offset(instant) / 60000
+    const sign = offset < 0 ? '-' : '+'
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0')
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0')
+
+    return `${this.dateOf(instant)}T${new Date(instant + this.#offset(instant)).toISOString().slice(11, 19)}${sign}${hours}:${minutes}`
+  }
+
+  /**
+   * Resolves a suggestion to a suggestion on each of its dates, with its times as ISO date-times and those of its activities.
+   * A suggestion that starts before the reference time is left out, and one on a day that is not a weekday keeps its day, without a date.
+   * A time that ends at an earlier time of day than it starts, e.g. a movie from 22:00 to 01:00, ends on the next date.
+   *
+   * @param {object} suggestion - The suggestion, with its day and times as HH:MM.
+   * @returns {Array<object>} - The suggestion on each of its dates, in order.
+   */
+  resolve (suggestion) {
+    const dates = this.datesOf(suggestion.day)
+
+    if (dates.length === 0) {
+      return [{ ...suggestion, date: null }]
+    }
+
+    return dates.map(date => {
+      const dated = { ...suggestion, date }
+
+      for (const [time, iso] of Object.entries(TIMES)) {
+        if (suggestion[time]) {
+          dated[iso] = this.#endTime(date, suggestion[ENDS[time]] ?? suggestion[time], suggestion[time])
+        }
+      }
+
+      if (suggestion.activities) {
+        dated.activities = suggestion.activities.map(activity => ({
+          ...activity,
+          startsAt: this.dateTime(date, activity.start),
+          endsAt: activity.end ? this.#endTime(date, activity.start, activity.end) : null
+        }))
+      }
+
+      return dated
+    }).filter(dated => !this.#startsBefore(dated, this.#referenceTime))
+  }
+
+  /**
+   * Returns the ISO date-time of the end of something that starts on a date, on the next date if it ends at an earlier time of day, i.e. after midnight.
+   *
+   * @private
+   * @param {string} date - The date it starts on, as YYYY-MM-DD.
+   * @param {string} start - The time of day it starts at, as HH:MM.
+   * @param {string} end - The time of day it ends at, as HH:MM.
+   * @returns {string} - The date-time of the end.
+   */
+  #endTime (date, start, end) {
+    const [year, month, day] = date.split('-').map(Number)
+    const nextDate = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10)
+
+    return this.dateTime(toMinutes(end) < toMinutes(start) ? nextDate : date, end)
+  }
+
+  /**
+   * Checks if a dated suggestion, its movie, dinner or any of its activities, starts before an instant.
+   *
+   * @private
+   * @param {object} dated - The suggestion, with its times as ISO date-times.
+   * @param {number} instant - The instant, in milliseconds since 1970.
+   * @returns {boolean} - True if it starts before the instant.
+   */
+  #startsBefore (dated, instant) {
+    const starts = [dated.movieStartsAt, dated.dinnerStartsAt, ...(dated.activities ?? []).map(activity => activity.startsAt)].filter(Boolean)
+
+    return starts.some(start => Date.parse(start) < instant)
+  }
+
+  /**
+   * Returns the offset of the timezone from UTC at an instant.
+   *
+   * @private
+   * @param {number} instant - The instant, in milliseconds since 1970.
+   * @returns {number} - The offset, in milliseconds.
+   */
+  #offset (instant) {
+    const parts = Object.fromEntries(this.#format.formatToParts(new Date(instant)).map(part => [part.type, Number(part.value)]))
+    const wholeSeconds = instant - (((instant % 1000) + 1000) % 1000)
+
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - wholeSeconds
+  }
+}
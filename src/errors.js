@@ -0,0 +1,87 @@
+/**
+ * The errors of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * An error that the application expects and can explain, as opposed to a bug.
+ */
+export class GatheringError extends Error {
+  /**
+   * The stage that failed, e.g. calendar, if known.
+   *
+   * @type {string}
+   */
+  stage
+
+  /**
+   * The results of the stages that did not fail, set by Application#run.
+   *
+   * @type {object}
+   */
+  partial
+
+  /**
+   * The errors of all stages that failed in the same run, this one first, set by Application#run.
+   *
+   * @type {Array<Error>}
+   */
+  failures
+
+  /**
+   * Represents a GatheringError object.
+   *
+   * @param {string} message - The message.
+   * @param {object} [options] - The error options.
+   * @param {Error} [options.cause] - The error that caused this one.
+   * @param {string} [options.stage] - The stage that failed.
+   */
+  constructor (message, { cause, stage } = {}) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.stage = stage
+  }
+}
+
+/**
+ * A request that got no response, timed out or was answered with an error status.
+ */
+export class NetworkError extends GatheringError {
+  /**
+   * The HTTP status of the response, or undefined if there was no response.
+   *
+   * @type {number}
+   */
+  status
+
+  /**
+   * Represents a NetworkError object.
+   *
+   * @param {string} message - The message.
+   * @param {object} [options] - The error options.
+   * @param {Error} [options.cause] - The error that caused this one.
+   * @param {string} [options.stage] - The stage that failed.
+   * @param {number} [options.status] - The HTTP status of the response.
+   */
+  constructor (message, { status, ...options } = {}) {
+    super(message, options)
+    this.status = status
+  }
+}
+
+/**
+ * A page or response that does not look like the application expects, e.g. a calendar with an unknown cell.
+ */
+export class ParseError extends GatheringError {}
+
+/**
+ * A login that was refused, or could not be tried without credentials.
+ */
+export class AuthenticationError extends GatheringError {}
+
+/**
+ * The calendars were read, but there is no day when everyone is free.
+ */
+export class NoCommonDayError extends GatheringError {}
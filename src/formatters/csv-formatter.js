@@ -0,0 +1,53 @@
+/**
+ * The CSV formatter of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Formatter } from './formatter.js'
+
+/**
+ * Formats the suggestions as CSV, with a header row.
+ */
+export class CsvFormatter extends Formatter {
+  /**
+   * The file extension of the format.
+   *
+   * @type {string}
+   */
+  extension = 'csv'
+
+  /**
+   * The content type of the format.
+   *
+   * @type {string}
+   */
+  contentType = 'text/csv'
+
+  /**
+   * Formats the suggestions.
+   *
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {string} - The formatted suggestions.
+   */
+  format (suggestions) {
+    const columns = ['day', 'date', 'movie', 'cinema', 'movieTime', 'movieEnd', 'restaurant', 'dinnerStart', 'dinnerEnd', 'missing', 'score', 'reasons']
+    const rows = this.rows(suggestions)
+      .map(row => ({ ...row, missing: row.missing.join('; '), score: String(row.score), reasons: row.reasons.join('; ') }))
+      .map(row => columns.map(column => this.#escape(row[column] ?? '')))
+
+    return [columns, ...rows].map(row => row.join(',')).join('\r\n')
+  }
+
+  /**
+   * Quotes a field if it contains a comma, a quote or a line break.
+   *
+   * @private
+   * @param {string} field - The field.
+   * @returns {string} - The escaped field.
+   */
+  #escape (field) {
+    return /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * The base formatter of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * Turns the suggestions of the application into text. Every output format extends this class.
+ */
+export class Formatter {
+  /**
+   * The file extension of the format.
+   *
+   * @type {string}
+   */
+  extension = 'txt'
+
+  /**
+   * The content type of the format.
+   *
+   * @type {string}
+   */
+  contentType = 'text/plain'
+
+  /**
+   * Formats the suggestions.
+   *
+   * @abstract
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {string} - The formatted suggestions.
+   * @throws {Error} - If the subclass does not implement it.
+   */
+  format (suggestions) {
+    throw new Error(`${this.constructor.name} does not implement format().`)
+  }
+
+  /**
+   * Returns one row per suggestion, with the times as HH:MM, and with the date as YYYY-MM-DD and the times as ISO date-times if the day was resolved to a date.
+   * The end of the movie is null unless the length of the movies is configured, and the venues are null if they are not known.
+   * The activities are those of the extra steps of the pipeline, if any, and the people attending and missing are those of the calendars, if known.
+   *
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {Array<{day: string, date: string|null, movie: string, cinema: string|null, movieTime: string, movieEnd: string|null, restaurant: string|null, dinnerStart: string, dinnerEnd: string, movieStartsAt: string|null, movieEndsAt: string|null, dinnerStartsAt: string|null, dinnerEndsAt: string|null, activities: Array<{step: string, name: string, venue: string|null, start: string, end: string|null}>, attending: Array<string>, missing: Array<string>, score: number, reasons: Array<string>}>} - The rows, in the order of the suggestions.
+   */
+  rows (suggestions) {
+    return suggestions.map(suggestion => ({
+      day: suggestion.day,
+      date: suggestion.date ?? null,
+      movie: suggestion.movie,
+      cinema: suggestion.cinema ?? null,
+      movieTime: suggestion.movieTime,
+      movieEnd: suggestion.movieEnd ?? null,
+      restaurant: suggestion.restaurant ?? null,
+      dinnerStart: suggestion.dinnerStart,
+      dinnerEnd: suggestion.dinnerEnd,
+      movieStartsAt: suggestion.movieStartsAt ?? null,
+      movieEndsAt: suggestion.movieEndsAt ?? null,
+      dinnerStartsAt: suggestion.dinnerStartsAt ?? null,
+      dinnerEndsAt: suggestion.dinnerEndsAt ?? null,
+      activities: suggestion.activities ?? [],
+      attending: suggestion.attending ?? [],
+      missing: suggestion.missing ?? [],
+      score: suggestion.score ?? 0,
+      reasons: suggestion.reasons ?? []
+    }))
+  }
+
+  /**
+   * Lists names in a sentence, e.g. Paul, Peter and Mary.
+   *
+   * @param {Array<string>} names - The names.
+   * @returns {string} - The list.
+   */
+  listNames (names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names.join('')
+  }
+
+  /**
+   * Checks if the suggestions are at more than one cinema or restaurant, so the venue has to be told.
+   *
+   * @param {Array<object>} rows - The rows of the suggestions.
+   * @returns {boolean} - True if there are several venues.
+   */
+  hasSeveralVenues (rows) {
+    return new Set(rows.map(row => row.cinema)).size > 1 || new Set(rows.map(row => row.restaurant)).size > 1
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * The HTML formatter of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Formatter } from './formatter.js'
+
+/**
+ * Formats the suggestions as a self-contained HTML report, with the styles inlined.
+ */
+export class HtmlFormatter extends Formatter {
+  /**
+   * The file extension of the format.
+   *
+   * @type {string}
+   */
+  extension = 'html'
+
+  /**
+   * The content type of the format.
+   *
+   * @type {string}
+   */
+  contentType = 'text/html'
+
+  /**
+   * Formats the suggestions.
+   *
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {string} - The formatted suggestions.
+   */
+  format (suggestions) {
+    const rows = this.rows(suggestions).map(row => `
+        <tr>
+          <td>${this.#escape(row.day)}${row.date ? ` ${row.date}` : ''}</td>
+          <td>${this.#escape(row.movie)}</td>
+          <td>${this.#escape(row.cinema ?? '')}</td>
+          <td>${row.movieTime}</td>
+          <td>${this.#escape(row.restaurant ?? '')}</td>
+          <td>${row.dinnerStart}&ndash;${row.dinnerEnd}</td>
+          <td>${this.#escape(this.listNames(row.missing))}</td>
+          <td title="${this.#escape(row.reasons.join(', '))}">${row.score}</td>
+        </tr>`)
+
+    const body = rows.length > 0
+      ? `<table>
+      <thead>
+        <tr><th>Day</th><th>Movie</th><th>Cinema</th><th>Begins</th><th>Restaurant</th><th>Table</th><th>Missing</th><th>Score</th></tr>
+      </thead>
+      <tbody>${rows.join('')}
+      </tbody>
+    </table>`
+      : '<p>There are no suggestions.</p>'
+
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>The Gathering - Suggestions</title>
+    <style>
+      body { font-family: sans-serif; margin: 2rem; color: #222; }
+      table { border-collapse: collapse; }
+      th, td { padding: 0.4rem 1rem; border-bottom: 1px solid #ccc; text-align: left; }
+      th { background: #f3f3f3; }
+    </style>
+  </head>
+  <body>
+    <h1>Suggestions</h1>
+    ${body}
+  </body>
+</html>
+`
+  }
+
+  /**
+   * Escapes the characters that have a meaning in HTML.
+   *
+   * @private
+   * @param {string} text - The text.
+   * @returns {string} - The escaped text.
+   */
+  #escape (text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+    return text.replace(/[&<>"']/g, character => entities[character])
+  }
+}
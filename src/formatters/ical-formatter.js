@@ -0,0 +1,131 @@
+/**
+ * The iCalendar formatter of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Formatter } from './formatter.js'
+
+/**
+ * Formats the suggestions as an iCalendar (.ics) file, with one event for the movie and one for the dinner of each suggestion.
+ * The events are placed by the times of the suggestions as resolved by DateResolver, so a suggestion without a date has none.
+ */
+export class ICalFormatter extends Formatter {
+  /**
+   * The file extension of the format.
+   *
+   * @type {string}
+   */
+  extension = 'ics'
+
+  /**
+   * The content type of the format.
+   *
+   * @type {string}
+   */
+  contentType = 'text/calendar'
+
+  /**
+   * Formats the suggestions.
+   *
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {string} - The formatted suggestions.
+   */
+  format (suggestions) {
+    const stamp = this.#utcDateTime(new Date())
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//The Gathering Web Scraper//EN', 'CALSCALE:GREGORIAN']
+
+    this.rows(suggestions).forEach((row, index) => {
+      if (!row.movieStartsAt || !row.dinnerStartsAt || !row.dinnerEndsAt) {
+        return
+      }
+
+      const description = row.missing.length > 0 ? `${this.listNames(row.missing)} would miss it.` : null
+
+      // Without a known length, the movie event lasts until the dinner.
+      lines.push(...this.#event(`movie-${index + 1}`, stamp, this.#utcDateTime(row.movieStartsAt), this.#utcDateTime(row.movieEndsAt ?? row.dinnerStartsAt), `Movie: ${row.movie}`, row.cinema, description))
+      lines.push(...this.#event(`dinner-${index + 1}`, stamp, this.#utcDateTime(row.dinnerStartsAt), this.#utcDateTime(row.dinnerEndsAt), `Dinner after "${row.movie}"`, row.restaurant, description))
+    })
+
+    lines.push('END:VCALENDAR')
+
+    return lines.map(line => this.#fold(line)).join('\r\n') + '\r\n'
+  }
+
+  /**
+   * Creates the lines of an event.
+   *
+   * @private
+   * @param {string} id - The id of the event, unique in the file.
+   * @param {string} stamp - The time the file is created, in UTC.
+   * @param {string} dtstart - The start of the event, as an iCalendar date-time.
+   * @param {string} dtend - The end of the event, as an iCalendar date-time.
+   * @param {string} summary - The title of the event.
+   * @param {string|null} location - The location of the event, if known.
+   * @param {string|null} [description] - The description of the event, if any.
+   * @returns {Array<string>} - The lines.
+   */
+  #event (id, stamp, dtstart, dtend, summary, location, description = null) {
+    return [
+      'BEGIN:VEVENT',
+      `UID:${dtstart}-${id}@the-gathering`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${dtstart}`,
+      `DTEND:${dtend}`,
+      `SUMMARY:${this.#escape(summary)}`,
+      ...(location ? [`LOCATION:${this.#escape(location)}`] : []),
+      ...(description ? [`DESCRIPTION:${this.#escape(description)}`] : []),
+      'END:VEVENT'
+    ]
+  }
+
+  /**
+   * Formats an instant as an iCalendar date-time in UTC, e.g. 20231006T140000Z.
+   *
+   * @private
+   * @param {Date|string} date - The instant, or an ISO date-time with its offset.
+   * @returns {string} - The date-time.
+   */
+  #utcDateTime (date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+  }
+
+  /**
+   * Escapes the special characters of a text value.
+   *
+   * @private
+   * @param {string} text - The text.
+   * @returns {string} - The escaped text.
+   */
+  #escape (text) {
+    return text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n')
+  }
+
+  /**
+   * Folds a line longer than 75 octets in UTF-8 into continuation lines, between characters, so a character such as å is never split.
+   *
+   * @private
+   * @param {string} line - The line.
+   * @returns {string} - The folded line.
+   */
+  #fold (line) {
+    const parts = ['']
+    let octets = 0
+
+    for (const character of line) {
+      const size = Buffer.byteLength(character)
+
+      // The leading space of a continuation line counts towards its length.
+      if (octets + size > 75) {
+        parts.push('')
+        octets = 1
+      }
+
+      parts[parts.length - 1] += character
+      octets += size
+    }
+
+    return parts.join('\r\n ')
+  }
+}
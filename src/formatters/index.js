@@ -0,0 +1,43 @@
+/**
+ * The output formats of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { CsvFormatter } from './csv-formatter.js'
+import { HtmlFormatter } from './html-formatter.js'
+import { ICalFormatter } from './ical-formatter.js'
+import { JsonFormatter } from './json-formatter.js'
+import { TextFormatter } from './text-formatter.js'
+
+/**
+ * The formatter class of each format name.
+ *
+ * @type {object}
+ */
+export const FORMATTERS = {
+  text: TextFormatter,
+  json: JsonFormatter,
+  csv: CsvFormatter,
+  ics: ICalFormatter,
+  html: HtmlFormatter
+}
+
+/**
+ * Creates the formatter of a format.
+ *
+ * @param {string} [format='text'] - The name of the format, one of the keys of FORMATTERS.
+ * @param {object} [options] - The options of the formatter.
+ * @returns {import('./formatter.js').Formatter} - The formatter.
+ * @throws {Error} - If the format is unknown.
+ */
+export function createFormatter (format = 'text', options = {}) {
+  const FormatterClass = FORMATTERS[format]
+
+  if (!FormatterClass) {
+    throw new Error(`Unknown format "${format}", use one of ${Object.keys(FORMATTERS).join(', ')}.`)
+  }
+
+  return new FormatterClass(options)
+}
@@ -0,0 +1,37 @@
+/**
+ * The JSON formatter of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Formatter } from './formatter.js'
+
+/**
+ * Formats the suggestions as a JSON document.
+ */
+export class JsonFormatter extends Formatter {
+  /**
+   * The file extension of the format.
+   *
+   * @type {string}
+   */
+  extension = 'json'
+
+  /**
+   * The content type of the format.
+   *
+   * @type {string}
+   */
+  contentType = 'application/json'
+
+  /**
+   * Formats the suggestions.
+   *
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {string} - The formatted suggestions.
+   */
+  format (suggestions) {
+    return JSON.stringify({ suggestions: this.rows(suggestions) }, null, 2)
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * The text formatter of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Formatter } from './formatter.js'
+
+/**
+ * Formats the suggestions as the list printed in the terminal.
+ */
+export class TextFormatter extends Formatter {
+  /**
+   * Formats the suggestions.
+   *
+   * @param {Array<object>} suggestions - The ranked suggestions, as returned by Application#run.
+   * @returns {string} - The formatted suggestions.
+   */
+  format (suggestions) {
+    const rows = this.rows(suggestions)
+
+    // The venues are only told when there is a choice of them.
+    const venues = this.hasSeveralVenues(rows)
+
+    const lines = rows.flatMap(row => {
+      const movieEnd = row.movieEnd ? ` and ends at ${row.movieEnd}` : ''
+      const cinema = venues && row.cinema ? ` at ${row.cinema}` : ''
+      const restaurant = venues && row.restaurant ? ` at ${row.restaurant}` : ''
+      const activities = row.activities.map(activity => ` Then ${activity.name}${activity.venue ? ` at ${activity.venue}` : ''} ${activity.end ? `between ${activity.start}-${activity.end}` : `at ${activity.start}`}.`).join('')
+      const missing = row.missing.length > 0 ? ` ${this.listNames(row.missing)} would miss it.` : ''
+      const line = `* On ${row.day}${row.date ? ` ${row.date}` : ''}, "${row.movie}" begins at ${row.movieTime}${cinema}${movieEnd}, and there is a free table${restaurant} to book between ${row.dinnerStart}-${row.dinnerEnd}.${activities}${missing}`
+
+      // Explain the score only when the preferences gave the suggestion one.
+      return row.reasons.length > 0 ? [line, `  Score ${row.score}: ${row.reasons.join(', ')}`] : [line]
+    })
+
+    return ['Suggestions\n===========', ...lines].join('\n')
+  }
+}
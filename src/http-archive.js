@@ -0,0 +1,223 @@
+/**
+ * The HTTP archive of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// The headers and form fields that are never written to an archive.
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization']
+const SECRET_FIELDS = ['password']
+
+// The statuses whose responses cannot have a body.
+const NULL_BODY_STATUSES = [101, 204, 205, 304]
+
+/**
+ * Records the requests and responses of a run as a HAR file, and replays them without the network.
+ * The values of cookies and passwords are redacted, so an archive can be attached to a bug report.
+ */
+export class HttpArchive {
+  /**
+   * The directory of the archive.
+   *
+   * @type {string}
+   */
+  dir
+
+  /**
+   * The recorded or loaded entries, in the HAR format.
+   *
+   * @type {Array<object>}
+   */
+  entries = []
+
+  /**
+   * The number of times each request has been replayed, by method and URL.
+   *
+   * @type {Map<string, number>}
+   */
+  #replayed = new Map()
+
+  /**
+   * The names of the form fields whose values are redacted.
+   *
+   * @type {Array<string>}
+   */
+  #secretFields
+
+  /**
+   * Represents a HttpArchive object.
+   *
+   * @param {string} dir - The directory of the archive.
+   * @param {object} [options] - The options of the archive.
+   * @param {Array<string>} [options.secretFields] - The names of other form fields to redact, e.g. the password field of a login form that names it otherwise.
+   */
+  constructor (dir, { secretFields = [] } = {}) {
+    this.dir = dir
+    this.#secretFields = [...new Set([...SECRET_FIELDS, ...secretFields])]
+  }
+
+  /**
+   * The path of the HAR file in the directory.
+   *
+   * @returns {string} - The path.
+   */
+  get path () {
+    return join(this.dir, 'archive.har')
+  }
+
+  /**
+   * Loads the entries of a recorded archive.
+   *
+   * @async
+   * @returns {Promise<HttpArchive>} - A promise that resolves to the archive.
+   * @throws {Error} - If the archive cannot be read.
+   */
+  async load () {
+    try {
+      this.entries = JSON.parse(await readFile(this.path, 'utf8')).log.entries
+    } catch (error) {
+      throw new Error(`Could not read the archive ${this.path}: ${error.message}`)
+    }
+
+    this.#replayed.clear()
+    return this
+  }
+
+  /**
+   * Writes the entries to the HAR file, creating the directory if needed.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves when the file is written.
+   */
+  async save () {
+    const har = { log: { version: '1.2', creator: { name: 'the-gathering', version: '1.1.1' }, entries: this.entries } }
+
+    await mkdir(this.dir, { recursive: true })
+    await writeFile(this.path, JSON.stringify(har, null, 2))
+  }
+
+  /**
+   * Records a request and its response. The body of the response is read from a clone, so the response can still be used.
+   *
+   * @async
+   * @param {string} url - The URL of the request.
+   * @param {object} options - The options of the request, as for fetch.
+   * @param {Headers} headers - The headers of the request.
+   * @param {Response} response - The response.
+   * @param {number} started - When the request was sent, in milliseconds since the epoch.
+   * @returns {Promise<void>} - A promise that resolves when the entry is recorded.
+   */
+  async record (url, options, headers, response, started) {
+    const text = await response.clone().text()
+    const request = {
+      method: (options.method || 'GET').toUpperCase(),
+      url,
+      headers: this.#redactHeaders(headers)
+    }
+
+    if (options.body !== undefined && options.body !== null) {
+      request.postData = {
+        mimeType: headers.get('Content-Type') || '',
+        text: this.#redactBody(String(options.body), headers.get('Content-Type'))
+      }
+    }
+
+    this.entries.push({
+      startedDateTime: new Date(started).toISOString(),
+      time: Date.now() - started,
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this.#redactHeaders(response.headers),
+        content: { size: text.length, mimeType: response.headers.get('Content-Type') || '', text }
+      }
+    })
+  }
+
+  /**
+   * Returns the recorded response to a request. Repeated requests get the recorded responses in order, and the last one once they run out.
+   *
+   * @param {string} url - The URL of the request.
+   * @param {object} [options] - The options of the request, as for fetch.
+   * @returns {Response} - The recorded response.
+   * @throws {Error} - If the archive has no response to the request.
+   */
+  replay (url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase()
+    const key = `${method} ${url}`
+    const matching = this.entries.filter(entry => entry.request.method === method && entry.request.url === url)
+
+    if (matching.length === 0) {
+      throw new Error(`The archive ${this.path} has no response to ${key}.`)
+    }
+
+    const count = this.#replayed.get(key) || 0
+    this.#replayed.set(key, count + 1)
+
+    const { status, statusText, headers, content } = matching[Math.min(count, matching.length - 1)].response
+    const response = new Response(NULL_BODY_STATUSES.includes(status) ? null : content.text, {
+      status,
+      statusText,
+      headers: headers.map(({ name, value }) => [name, value])
+    })
+
+    // A constructed response has no URL, but the scrapers resolve links and report errors by it.
+    Object.defineProperty(response, 'url', { value: url })
+
+    return response
+  }
+
+  /**
+   * Lists headers with the values of the secret ones redacted. A cookie keeps its name and attributes, so a replayed session still has one.
+   *
+   * @private
+   * @param {Headers} headers - The headers.
+   * @returns {Array<{name: string, value: string}>} - The headers, in the HAR format.
+   */
+  #redactHeaders (headers) {
+    const list = []
+
+    for (const [name, value] of headers) {
+      if (name === 'cookie') {
+        list.push({ name, value: value.replace(/=[^;]*/g, '=redacted') })
+      } else if (name !== 'set-cookie') {
+        list.push({ name, value: SECRET_HEADERS.includes(name) ? 'redacted' : value })
+      }
+    }
+
+    for (const cookie of headers.getSetCookie()) {
+      list.push({ name: 'set-cookie', value: cookie.replace(/^([^=;]*)=[^;]*/, '$1=redacted') })
+    }
+
+    return list
+  }
+
+  /**
+   * Redacts the secret fields of a form body.
+   *
+   * @private
+   * @param {string} body - The body of the request.
+   * @param {string|null} contentType - The content type of the body.
+   * @returns {string} - The body with the secret fields redacted.
+   */
+  #redactBody (body, contentType) {
+    if (!contentType?.startsWith('application/x-www-form-urlencoded')) {
+      return body
+    }
+
+    const fields = new URLSearchParams(body)
+
+    for (const field of this.#secretFields) {
+      if (fields.has(field)) {
+        fields.set(field, 'redacted')
+      }
+    }
+
+    return fields.toString()
+  }
+}
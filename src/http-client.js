@@ -0,0 +1,295 @@
+/**
+ * The HTTP client of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises'
+import { NetworkError, ParseError } from './errors.js'
+import { Logger, logger } from './logger.js'
+
+// The statuses that may succeed if the request is sent again a little later.
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+
+/**
+ * Sends the requests of all scrapers, with a timeout, retries with backoff for failures that may pass, a rate limit per host and a User-Agent.
+ */
+export class HttpClient {
+  /**
+   * When the next request to each host may be sent, in milliseconds since the epoch.
+   *
+   * @type {Map<string, number>}
+   */
+  #nextRequest = new Map()
+
+  /**
+   * Represents a HttpClient object.
+   *
+   * @param {object} [options] - The client options.
+   * @param {number} [options.timeout=10000] - The number of milliseconds before a request is aborted.
+   * @param {number} [options.retries=2] - The number of times a GET or HEAD request is sent again after a network error, a timeout, 429 or 5xx.
+   * @param {number} [options.backoff=250] - The delay before the first retry in milliseconds, doubled for every retry after it.
+   * @param {number} [options.maxBackoff=5000] - The longest delay before a retry, also for a Retry-After header.
+   * @param {number} [options.rateLimit=0] - The maximum number of requests per second to each host, 0 for no limit.
+   * @param {string} [options.userAgent='the-gathering/1.1.1'] - The User-Agent header of the requests.
+   * @param {import('./http-archive.js').HttpArchive} [options.record] - An archive to record every request and response in.
+   * @param {import('./http-archive.js').HttpArchive} [options.replay] - A loaded archive to answer every request from, instead of the network.
+   * @param {AbortSignal} [options.signal] - A signal that aborts every request of the client, and the waits between them.
+   */
+  constructor ({ timeout = 10000, retries = 2, backoff = 250, maxBackoff = 5000, rateLimit = 0, userAgent = 'the-gathering/1.1.1', record, replay, signal } = {}) {
+    this.timeout = timeout
+    this.retries = retries
+    this.backoff = backoff
+    this.maxBackoff = maxBackoff
+    this.rateLimit = rateLimit
+    this.userAgent = userAgent
+    this.record = record
+    this.replay = replay
+    this.signal = signal
+  }
+
+  /**
+   * Sends a request, and sends it again with an exponential backoff and jitter if it fails in a way that may pass.
+   * Only GET and HEAD requests are retried unless the number of retries is given, since sending a form twice may do it twice.
+   *
+   * @async
+   * @param {string} url - The URL to request.
+   * @param {object} [options] - The options of the request, as for fetch.
+   * @param {number} [options.retries] - The number of retries of this request, instead of the default.
+   * @returns {Promise<Response>} - A promise that resolves to the last response.
+   * @throws {NetworkError} - If the last attempt fails with a network error or a timeout.
+   * @throws {DOMException} - If the signal of the request is aborted.
+   */
+  async fetch (url, { retries, ...options } = {}) {
+    if (this.signal) {
+      options.signal = options.signal ? AbortSignal.any([this.signal, options.signal]) : this.signal
+    }
+
+    const method = (options.method || 'GET').toUpperCase()
+
+    if (this.replay) {
+      const response = this.replay.replay(url, options)
+      logger.request({ method, url, status: response.status, bytes: await this.#bytes(response), duration: 0 })
+      return response
+    }
+
+    retries ??= method === 'GET' || method === 'HEAD' ? this.retries : 0
+
+    const headers = new Headers(options.headers)
+    if (!headers.has('User-Agent')) {
+      headers.set('User-Agent', this.userAgent)
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.#waitForTurn(url, options.signal)
+
+      const timeoutSignal = AbortSignal.timeout(this.timeout)
+      const started = Date.now()
+      let response
+
+      try {
+        response = await fetch(url, { ...options, headers, signal: options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal })
+      } catch (error) {
+        logger.request({ method, url, status: 0, duration: Date.now() - started, error: error.message })
+
+        // A cancelled request is not retried, only a network error or this client's own timeout.
+        if (options.signal?.aborted) {
+          throw error
+        }
+        if (attempt >= retries) {
+          throw timeoutSignal.aborted
+            ? new NetworkError(`The request to ${url} timed out after ${this.timeout} ms.`, { cause: error })
+            : new NetworkError(`The request to ${url} failed: ${error.cause?.message || error.message}`, { cause: error })
+        }
+        await this.#retryAfter(method, url, this.#delay(attempt), options.signal)
+        continue
+      }
+
+      logger.request({ method, url, status: response.status, bytes: await this.#bytes(response), duration: Date.now() - started })
+
+      if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+        await this.record?.record(url, options, headers, response, started)
+        return response
+      }
+
+      await response.body?.cancel()
+      await this.#retryAfter(method, url, this.#delay(attempt, response.headers.get('Retry-After')), options.signal)
+    }
+  }
+
+  /**
+   * Waits before a retry.
+   *
+   * @async
+   * @private
+   * @param {string} method - The method of the request.
+   * @param {string} url - The URL of the request.
+   * @param {number} delay - The number of milliseconds to wait.
+   * @param {AbortSignal} [signal] - A signal that stops the wait.
+   * @returns {Promise<void>} - A promise that resolves when the request may be sent again.
+   */
+  async #retryAfter (method, url, delay, signal) {
+    logger.debug(`Retrying ${method} ${Logger.redactUrl(url)} in ${Math.round(delay)} ms`, { method, url, delay })
+    await sleep(delay, undefined, { signal })
+  }
+
+  /**
+   * Returns the size of the body of a response for the trace. The body is only read, from a clone, when requests are traced.
+   *
+   * @async
+   * @private
+   * @param {Response} response - The response.
+   * @returns {Promise<number>} - A promise that resolves to the number of bytes, or the Content-Length if the body is not read.
+   */
+  async #bytes (response) {
+    if (logger.isEnabled('trace') && response.body) {
+      return (await response.clone().arrayBuffer()).byteLength
+    }
+
+    return Number(response.headers.get('Content-Length')) || 0
+  }
+
+  /**
+   * Requests a page and returns its HTML.
+   *
+   * @async
+   * @param {string} url - The URL of the page.
+   * @param {object} [options] - The options of the request, as for fetch.
+   * @returns {Promise<string>} - A promise that resolves to the HTML.
+   * @throws {NetworkError} - If the request fails.
+   * @throws {ParseError} - If the response is not HTML.
+   */
+  async getHtml (url, options) {
+    return this.html(await this.fetch(url, options))
+  }
+
+  /**
+   * Requests a JSON document and returns its data.
+   *
+   * @async
+   * @param {string} url - The URL of the document.
+   * @param {object} [options] - The options of the request, as for fetch.
+   * @returns {Promise<any>} - A promise that resolves to the data.
+   * @throws {NetworkError} - If the request fails.
+   * @throws {ParseError} - If the response is not JSON.
+   */
+  async getJson (url, options) {
+    return this.json(await this.fetch(url, options))
+  }
+
+  /**
+   * Reads the HTML of a response.
+   *
+   * @async
+   * @param {Response} response - The response.
+   * @returns {Promise<string>} - A promise that resolves to the HTML.
+   * @throws {NetworkError} - If the response is not ok.
+   * @throws {ParseError} - If the response is not HTML.
+   */
+  async html (response) {
+    this.#check(response, /^(text\/html|application\/xhtml\+xml)/, 'HTML')
+    return response.text()
+  }
+
+  /**
+   * Reads the text of a response, e.g. an iCalendar file.
+   *
+   * @async
+   * @param {Response} response - The response.
+   * @returns {Promise<string>} - A promise that resolves to the text.
+   * @throws {NetworkError} - If the response is not ok.
+   * @throws {ParseError} - If the response is not text.
+   */
+  async text (response) {
+    this.#check(response, /^text\//, 'text')
+    return response.text()
+  }
+
+  /**
+   * Reads the data of a JSON response.
+   *
+   * @async
+   * @param {Response} response - The response.
+   * @returns {Promise<any>} - A promise that resolves to the data.
+   * @throws {NetworkError} - If the response is not ok.
+   * @throws {ParseError} - If the response is not JSON, or the JSON is not valid.
+   */
+  async json (response) {
+    this.#check(response, /^application\/([\w.-]+\+)?json/, 'JSON')
+
+    try {
+      return await response.json()
+    } catch (error) {
+      throw new ParseError(`The JSON from ${response.url} is not valid: ${error.message}`, { cause: error })
+    }
+  }
+
+  /**
+   * Checks that a response is ok and has the expected content type.
+   *
+   * @private
+   * @param {Response} response - The response.
+   * @param {RegExp} contentType - The expected content type.
+   * @param {string} name - The name of the expected content, for the error.
+   * @throws {NetworkError} - If the response is not ok.
+   * @throws {ParseError} - If the response has another content type.
+   */
+  #check (response, contentType, name) {
+    if (!response.ok) {
+      throw new NetworkError(`HTTP error! status: ${response.status} from ${response.url}`, { status: response.status })
+    }
+
+    const type = response.headers.get('Content-Type') || 'no content type'
+
+    if (!contentType.test(type.toLowerCase())) {
+      throw new ParseError(`Expected ${name} from ${response.url} but got ${type}.`)
+    }
+  }
+
+  /**
+   * Returns the delay before a retry: the Retry-After header if the server sent one, otherwise an exponential backoff with full jitter.
+   *
+   * @private
+   * @param {number} attempt - The number of the attempt that failed, from 0.
+   * @param {string|null} [retryAfter] - The Retry-After header of the response, in seconds or as a date.
+   * @returns {number} - The delay in milliseconds.
+   */
+  #delay (attempt, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter)
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+
+      if (!Number.isNaN(delay)) {
+        return Math.min(this.maxBackoff, Math.max(0, delay))
+      }
+    }
+
+    return Math.random() * Math.min(this.maxBackoff, this.backoff * 2 ** attempt)
+  }
+
+  /**
+   * Waits until a request may be sent to the host of the URL by the rate limit, and reserves the turn.
+   *
+   * @async
+   * @private
+   * @param {string} url - The URL that is about to be requested.
+   * @param {AbortSignal} [signal] - A signal that stops the wait.
+   * @returns {Promise<void>} - A promise that resolves when the request may be sent.
+   */
+  async #waitForTurn (url, signal) {
+    if (!this.rateLimit) {
+      return
+    }
+
+    const host = new URL(url).host
+    const now = Date.now()
+    const turn = Math.max(now, this.#nextRequest.get(host) || 0)
+
+    this.#nextRequest.set(host, turn + 1000 / this.rateLimit)
+
+    if (turn > now) {
+      await sleep(turn - now, undefined, { signal })
+    }
+  }
+}
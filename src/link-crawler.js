@@ -6,22 +6,64 @@
  */
 
 import validator from 'validator'
-import { UniversalScraper } from './universal-scraper.js'
+import { JSDOM } from 'jsdom'
+import { RobotsTxt } from './robots-txt.js'
+import { CrawlReport } from './crawl-report.js'
+import { HttpClient } from './http-client.js'
+import { logger } from './logger.js'
 
 /**
  * A class that extracts links from a given URL.
  */
 export class LinkCrawler {
+  /**
+   * The robots.txt rules of each origin that has been crawled, as promises so each file is only fetched once.
+   *
+   * @type {Map<string, Promise<RobotsTxt>>}
+   */
+  #robots = new Map()
+
+  /**
+   * The client that sends the requests of the crawler.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
+
+  /**
+   * The report of the last crawl, or undefined before the first one.
+   *
+   * @type {CrawlReport}
+   */
+  report
+
   /**
    * Represents a LinkCrawler object.
    * The constructor validates the URL and adds a trailing slash if needed.
    *
    * @class
    * @param {string} baseUrl - The base URL for crawling.
+   * @param {object} [options] - The crawl options.
+   * @param {number} [options.concurrency=4] - The maximum number of pages fetched at the same time.
+   * @param {number} [options.maxDepth=Infinity] - The maximum number of links followed from the start page.
+   * @param {number} [options.maxPages=100] - The maximum number of pages visited.
+   * @param {string|Array<string>} [options.scope='same-origin'] - Either 'same-origin', or a list of URL prefixes the crawl may visit.
+   * @param {number} [options.timeout=3000] - The number of milliseconds before the request for a page is aborted.
+   * @param {boolean} [options.robots=true] - Whether to honour the robots.txt file of each origin.
+   * @param {string} [options.userAgent='the-gathering'] - The user agent robots.txt rules are read for.
+   * @param {HttpClient} [options.httpClient] - The client that sends the requests.
    * @throws {Error} Throws an error if the URL is not valid.
    */
-  constructor (baseUrl) {
+  constructor (baseUrl, { concurrency = 4, maxDepth = Infinity, maxPages = 100, scope = 'same-origin', timeout = 3000, robots = true, userAgent = 'the-gathering', httpClient = new HttpClient() } = {}) {
     this.baseUrl = baseUrl
+    this.concurrency = concurrency
+    this.maxDepth = maxDepth
+    this.maxPages = maxPages
+    this.scope = scope
+    this.timeout = timeout
+    this.robots = robots
+    this.userAgent = userAgent
+    this.#httpClient = httpClient
 
     if (!validator.isURL(this.baseUrl)) {
       throw new Error('The URL is not valid.')
@@ -32,21 +74,40 @@ export class LinkCrawler {
   }
 
   /**
-   * Extracts URLs from a given webpage.
+   * Extracts URLs from a given webpage, and records its response in the report.
    *
    * @async
    * @private
    * @param {string} url - The URL of the webpage to extract URLs from.
    * @param {string} baseUrl - The base URL of the webpage.
+   * @param {AbortSignal} signal - The signal that aborts the request.
+   * @param {Function} [onPage] - A function that is called with the URL and the html element of the webpage.
    * @returns {Array<string>} - An array of extracted URLs.
-   * @throws {Error} - If no 'a' elements exist on the webpage.
+   * @throws {Error} - If the request fails or the response is not HTML.
    */
-  async #extractUrls (url, baseUrl) {
+  async #extractUrls (url, baseUrl, signal, onPage) {
     const element = 'a'
-    const universalScraper = new UniversalScraper()
-    const htmlElements = await universalScraper.extractHtml(url, element)
+    const started = Date.now()
+    let response
+
+    try {
+      response = await this.#httpClient.fetch(url, { signal })
+    } catch (error) {
+      if (!signal.aborted) {
+        this.report.visit(url, { duration: Date.now() - started, error: error.message })
+      }
+      throw error
+    }
+
+    this.report.visit(url, { status: response.status, contentType: response.headers.get('Content-Type'), duration: Date.now() - started })
+
+    const html = await this.#httpClient.html(response)
+    const page = new JSDOM(html).window.document.querySelector('html')
+    const htmlElements = Array.from(page.querySelectorAll(element))
     const linksArray = htmlElements.map(anchorElement => anchorElement.href)
 
+    onPage?.(url, page)
+
     return this.#handleRelativeLinks(linksArray, baseUrl)
   }
 
@@ -105,46 +166,136 @@ export class LinkCrawler {
     return sortedLinks
   }
 
+  /**
+   * Checks if a URL is within the scope of the crawl.
+   *
+   * @private
+   * @param {string} url - The URL to check.
+   * @returns {boolean} - True if the URL may be crawled.
+   */
+  #inScope (url) {
+    if (Array.isArray(this.scope)) {
+      return this.scope.some(prefix => url.startsWith(prefix))
+    }
+    return new URL(url).origin === new URL(this.baseUrl).origin
+  }
+
+  /**
+   * Checks if the robots.txt file of the URL's origin allows crawling it.
+   * A missing or unreadable robots.txt file allows everything.
+   *
+   * @async
+   * @private
+   * @param {string} url - The URL to check.
+   * @param {AbortSignal} [signal] - The signal that cancels the crawl.
+   * @returns {Promise<boolean>} - A promise that resolves to true if the URL may be crawled.
+   */
+  async #isAllowed (url, signal) {
+    if (!this.robots) {
+      return true
+    }
+
+    const { origin, pathname, search } = new URL(url)
+
+    if (!this.#robots.has(origin)) {
+      const timeoutSignal = AbortSignal.timeout(this.timeout)
+      this.#robots.set(origin, this.#httpClient.fetch(`${origin}/robots.txt`, { signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal })
+        .then(async response => new RobotsTxt(response.ok ? await response.text() : '', this.userAgent))
+        .catch(() => new RobotsTxt('')))
+    }
+
+    const robotsTxt = await this.#robots.get(origin)
+    return robotsTxt.isAllowed(`${pathname}${search}`)
+  }
+
   /**
    * Crawls the web starting from a given link and extracts all visited URLs.
+   * Pages are fetched by a pool of at most `concurrency` requests, breadth first, until the depth or page limit is reached.
    *
    * @async
-   * @param {string} link - The starting link to crawl from.
-   * @param {Set<string>} visitedUrls - A set of visited URLs to keep track of visited links.
-   * @param {string} baseUrl - The base URL used for relative URL extraction.
-   * @returns {Promise<string[]>} - A promise that resolves with an array of visited URLs.
-   * @throws {Error} - If the timeout is reached.
+   * @param {string} [link] - The starting link to crawl from, defaults to the base URL.
+   * @param {object} [options] - The options of this crawl.
+   * @param {AbortSignal} [options.signal] - A signal that cancels the crawl, aborting the requests in progress.
+   * @param {Function} [options.onPage] - A function that is called with the URL and the html element of each page, so it can be inspected without fetching it again.
+   * @returns {Promise<string[]>} - A promise that resolves with an array of visited URLs. The links that were found, followed or not, are in the report.
+   * @throws {Error} - If the crawl is cancelled.
    */
-  async crawl (link, visitedUrls = new Set(), baseUrl) {
+  async crawl (link = this.baseUrl, { signal, onPage } = {}) {
+    const visitedUrls = new Set()
+    const queue = []
+    const running = new Set()
+    const report = this.report = new CrawlReport(link)
+
     /**
-     * A promise that rejects after a given time.
-     * Used to set a timeout for the crawling.
-     * Timeout variable - Source: https://phind.com/
-     * Phind is an AI-powered search engine for developers.
+     * Records a link and adds it to the queue if it is new, in scope, allowed by robots.txt and within the limits.
      *
-     * @param {number} ms - The number of milliseconds to wait before rejecting the promise.
+     * @param {string|undefined} parent - The page with the link, or undefined for the start URL.
+     * @param {string} url - The link to add.
+     * @param {number} depth - The number of links followed from the start page to reach it.
      * @returns {Promise<void>}
-     * @throws {Error} - If the timeout is reached.
      */
-    const timeout = ms => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Request timed out')), ms))
+    const enqueue = async (parent, url, depth) => {
+      report.link(parent, url, depth)
 
-    while (!visitedUrls.has(link)) {
-      visitedUrls.add(link)
+      if (visitedUrls.has(url)) {
+        return
+      }
+      if (!this.#inScope(url)) {
+        return report.skip(url, 'out of scope')
+      }
+      if (depth > this.maxDepth) {
+        return report.skip(url, 'deeper than maxDepth')
+      }
+      if (!await this.#isAllowed(url, signal)) {
+        return report.skip(url, 'disallowed by robots.txt')
+      }
+      if (visitedUrls.has(url)) {
+        return
+      }
+      if (visitedUrls.size >= this.maxPages) {
+        return report.skip(url, 'over maxPages')
+      }
 
+      visitedUrls.add(url)
+      queue.push({ url, depth })
+    }
+
+    /**
+     * Fetches a page, with a timeout, and enqueues the links on it.
+     *
+     * @param {{url: string, depth: number}} page - The page to visit.
+     * @returns {Promise<void>}
+     */
+    const visit = async ({ url, depth }) => {
       try {
-        baseUrl = link
-        const extractedURLs = await Promise.race([
-          this.#extractUrls(link, baseUrl),
-          timeout(3000) // Timeout after 3 seconds
-        ])
-
-        for (const link of extractedURLs) {
-          await this.crawl(link, visitedUrls, baseUrl)
+        const timeoutSignal = AbortSignal.timeout(this.timeout)
+        const extractedURLs = await this.#extractUrls(url, url, signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal, onPage)
+
+        for (const extractedURL of extractedURLs) {
+          await enqueue(url, extractedURL, depth + 1)
         }
       } catch (error) {
-        console.error(`Error crawling ${link}: ${error.message}`)
+        if (!signal?.aborted) {
+          logger.warn(`Error crawling ${url}: ${error.message}`, { url })
+        }
       }
     }
+
+    signal?.throwIfAborted()
+    await enqueue(undefined, link, 0)
+
+    while ((queue.length > 0 || running.size > 0) && !signal?.aborted) {
+      while (queue.length > 0 && running.size < this.concurrency) {
+        const task = visit(queue.shift()).finally(() => running.delete(task))
+        running.add(task)
+      }
+      await Promise.race(running)
+    }
+
+    // Wait for the aborted requests to settle before reporting the cancellation.
+    await Promise.all(running)
+    signal?.throwIfAborted()
+
     return Array.from(visitedUrls)
   }
 }
@@ -0,0 +1,330 @@
+/**
+ * The logger of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * The levels of the messages, from the most to the least severe.
+ *
+ * @type {Array<string>}
+ */
+export const LEVELS = ['error', 'warn', 'info', 'debug', 'trace']
+
+/**
+ * The output formats of the messages.
+ *
+ * @type {Array<string>}
+ */
+export const LOG_FORMATS = ['pretty', 'json']
+
+// The fields, headers and query parameters whose values are never logged.
+const SECRETS = /cookie|password|passwd|authorization|token|secret|session/i
+
+/**
+ * Logs messages at five levels, as pretty lines or JSON, with the secrets redacted.
+ * It also counts the requests, failures and timings of a run for a summary at the end.
+ */
+export class Logger {
+  /**
+   * The most detailed level that is logged.
+   *
+   * @type {string}
+   */
+  level
+
+  /**
+   * The output format, pretty or json.
+   *
+   * @type {string}
+   */
+  format
+
+  /**
+   * The warnings and errors that have been logged.
+   *
+   * @type {Array<{level: string, message: string}>}
+   */
+  #failures = []
+
+  /**
+   * The number of milliseconds each timed step took.
+   *
+   * @type {Map<string, number>}
+   */
+  #timings = new Map()
+
+  /**
+   * The requests that have been traced.
+   *
+   * @type {{count: number, failed: number, bytes: number}}
+   */
+  #requests = { count: 0, failed: 0, bytes: 0 }
+
+  /**
+   * Represents a Logger object.
+   *
+   * @param {object} [options] - The logger options.
+   * @param {string} [options.level='warn'] - The most detailed level that is logged: error, warn, info, debug or trace.
+   * @param {string} [options.format='pretty'] - The output format, pretty or json.
+   */
+  constructor ({ level = 'warn', format = 'pretty' } = {}) {
+    this.configure({ level, format })
+  }
+
+  /**
+   * Changes the level or the format.
+   *
+   * @param {object} options - The options to change.
+   * @param {string} [options.level] - The most detailed level that is logged.
+   * @param {string} [options.format] - The output format, pretty or json.
+   * @throws {Error} - If the level or format is unknown.
+   */
+  configure ({ level = this.level, format = this.format }) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}", use one of ${LEVELS.join(', ')}.`)
+    }
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unknown log format "${format}", use pretty or json.`)
+    }
+
+    this.level = level
+    this.format = format
+  }
+
+  /**
+   * Checks if a level is logged.
+   *
+   * @param {string} level - The level.
+   * @returns {boolean} - True if messages at the level are logged.
+   */
+  isEnabled (level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level)
+  }
+
+  /**
+   * Logs an error, something that stops a stage from giving a result.
+   *
+   * @param {string} message - The message.
+   * @param {object} [fields] - Details of the message.
+   */
+  error (message, fields) {
+    this.#log('error', message, fields)
+  }
+
+  /**
+   * Logs a warning, something that makes a result less complete.
+   *
+   * @param {string} message - The message.
+   * @param {object} [fields] - Details of the message.
+   */
+  warn (message, fields) {
+    this.#log('warn', message, fields)
+  }
+
+  /**
+   * Logs what is done.
+   *
+   * @param {string} message - The message.
+   * @param {object} [fields] - Details of the message.
+   */
+  info (message, fields) {
+    this.#log('info', message, fields)
+  }
+
+  /**
+   * Logs details for debugging.
+   *
+   * @param {string} message - The message.
+   * @param {object} [fields] - Details of the message.
+   */
+  debug (message, fields) {
+    this.#log('debug', message, fields)
+  }
+
+  /**
+   * Logs the finest details, such as every request.
+   *
+   * @param {string} message - The message.
+   * @param {object} [fields] - Details of the message.
+   */
+  trace (message, fields) {
+    this.#log('trace', message, fields)
+  }
+
+  /**
+   * Traces a request that has been answered or has failed, and counts it for the summary.
+   *
+   * @param {{method: string, url: string, status: number, bytes: number, duration: number, error: string}} request - The request, with a status of 0 if it got no response.
+   */
+  request ({ method, url, status, bytes = 0, duration, error }) {
+    this.#requests.count++
+    this.#requests.bytes += bytes
+
+    if (!status || status >= 400) {
+      this.#requests.failed++
+    }
+
+    this.trace(`${method} ${Logger.redactUrl(url)} ${status || error} ${bytes} bytes ${duration} ms`, { method, url, status, bytes, duration, error })
+  }
+
+  /**
+   * Starts timing a step of the run.
+   *
+   * @param {string} name - The name of the step, e.g. crawl.
+   * @returns {Function} - A function that stops the timing and returns the number of milliseconds.
+   */
+  time (name) {
+    const start = performance.now()
+
+    return () => {
+      const duration = Math.round(performance.now() - start)
+      this.#timings.set(name, (this.#timings.get(name) || 0) + duration)
+      this.debug(`${name} took ${duration} ms`, { step: name, duration })
+      return duration
+    }
+  }
+
+  /**
+   * Returns what has happened since the logger was created or reset.
+   *
+   * @returns {{requests: {count: number, failed: number, bytes: number}, timings: object, errors: Array<string>, warnings: Array<string>}} - The summary.
+   */
+  summary () {
+    return {
+      requests: { ...this.#requests },
+      timings: Object.fromEntries(this.#timings),
+      errors: this.#failures.filter(failure => failure.level === 'error').map(failure => failure.message),
+      warnings: this.#failures.filter(failure => failure.level === 'warn').map(failure => failure.message)
+    }
+  }
+
+  /**
+   * Logs the summary of the run. It is a warning if anything failed, so it is shown by default, and information otherwise.
+   */
+  logSummary () {
+    const summary = this.summary()
+    const { requests, timings, errors, warnings } = summary
+    const failed = errors.length > 0 || warnings.length > 0 || requests.failed > 0
+
+    const lines = [
+      `Summary: ${requests.count} requests (${requests.failed} failed${requests.bytes > 0 ? `, ${(requests.bytes / 1000).toFixed(1)} kB` : ''}), ${errors.length} errors, ${warnings.length} warnings`,
+      ...Object.keys(timings).map(name => `  ${name} ${timings[name]} ms`),
+      ...errors.map(message => `  error: ${message}`),
+      ...warnings.map(message => `  warning: ${message}`)
+    ]
+
+    this.#log(failed ? 'warn' : 'info', lines.join('\n'), { summary }, false)
+  }
+
+  /**
+   * Forgets the failures, timings and requests, to start a new run.
+   */
+  reset () {
+    this.#failures = []
+    this.#timings.clear()
+    this.#requests = { count: 0, failed: 0, bytes: 0 }
+  }
+
+  /**
+   * Replaces the values of secret fields, and of secret fields nested in them, with redacted.
+   *
+   * @param {any} value - The value to redact.
+   * @param {string} [key] - The name of the value.
+   * @returns {any} - A copy of the value, with the secrets redacted.
+   */
+  static redact (value, key = '') {
+    if (SECRETS.test(key) && value !== undefined && value !== null) {
+      return 'redacted'
+    }
+    if (key === 'url' && typeof value === 'string') {
+      return Logger.redactUrl(value)
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => Logger.redact(item))
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, Logger.redact(item, name)]))
+    }
+
+    return value
+  }
+
+  /**
+   * Redacts the password and the secret query parameters of a URL.
+   *
+   * @param {string} url - The URL.
+   * @returns {string} - The URL with the secrets redacted, or the URL as it is if it has none.
+   */
+  static redactUrl (url) {
+    let parsed
+
+    try {
+      parsed = new URL(url)
+    } catch {
+      return url
+    }
+
+    const secrets = Array.from(parsed.searchParams.keys()).filter(name => SECRETS.test(name))
+
+    if (!parsed.password && secrets.length === 0) {
+      return url
+    }
+    if (parsed.password) {
+      parsed.password = 'redacted'
+    }
+    for (const name of secrets) {
+      parsed.searchParams.set(name, 'redacted')
+    }
+
+    return parsed.href
+  }
+
+  /**
+   * Redacts the secrets written into a message: those of the URLs in it, and the value of each secret name=value pair, e.g. of a relative URL.
+   *
+   * @param {string} text - The message.
+   * @returns {string} - The message with the secrets redacted.
+   */
+  static redactText (text) {
+    return String(text)
+      .replace(/\bhttps?:\/\/[^\s"'<>]*[^\s"'<>.,:;)]/g, url => Logger.redactUrl(url))
+      .replace(/([\w-]+)=([^\s&"'<>]+)/g, (pair, name) => SECRETS.test(name) ? `${name}=redacted` : pair)
+  }
+
+  /**
+   * Writes a message to stderr if its level is logged, and keeps the warnings and errors for the summary, with the secrets of the message and its fields redacted.
+   *
+   * @private
+   * @param {string} level - The level.
+   * @param {string} message - The message.
+   * @param {object} [fields] - Details of the message.
+   * @param {boolean} [keep=true] - Whether a warning or error is kept for the summary.
+   */
+  #log (level, message, fields = {}, keep = true) {
+    message = Logger.redactText(message)
+
+    if (keep && (level === 'error' || level === 'warn')) {
+      this.#failures.push({ level, message })
+    }
+    if (!this.isEnabled(level)) {
+      return
+    }
+
+    const details = Logger.redact(fields)
+
+    if (this.format === 'json') {
+      console.error(JSON.stringify({ time: new Date().toISOString(), level, message, ...details }))
+    } else {
+      console.error(`${level.toUpperCase().padEnd(5)} ${message}`)
+    }
+  }
+}
+
+/**
+ * The logger shared by all modules, configured by the command line.
+ *
+ * @type {Logger}
+ */
+export const logger = new Logger()
@@ -0,0 +1,155 @@
+/**
+ * The calendar plugin of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Plugin } from './plugin.js'
+import { CalendarScraper } from '../calendar-scraper.js'
+import { createCalendarSource } from '../calendar-sources/index.js'
+import { HtmlCalendarSource } from '../calendar-sources/html-calendar-source.js'
+import { NoCommonDayError } from '../errors.js'
+import { logger } from '../logger.js'
+
+/**
+ * Reads the calendars of the friends, and starts a plan on each day they are all free, or enough of them as set in the attendance setting.
+ * The calendars are read from the sources in the calendars setting, by default the calendar pages the crawl found.
+ * All calendars are read as one venue, so a calendar that cannot be read fails the step instead of leaving a friend out.
+ */
+export class CalendarPlugin extends Plugin {
+  /**
+   * The role of the venues of the plugin.
+   *
+   * @type {string}
+   */
+  role = 'calendar'
+
+  /**
+   * Finds the calendar sources, as one venue.
+   *
+   * @param {object} sites - The sites found by SiteDiscovery.
+   * @param {object} context - The context of the run.
+   * @param {object} context.config - The configuration of the application, with the calendar sources.
+   * @returns {Array<{name: string, sources: Array<import('../calendar-sources/calendar-source.js').CalendarSource>}>} - The calendars, or none if they are only read from the crawled pages and none was found.
+   * @throws {Error} - If a calendar source is unknown or not valid.
+   */
+  discover (sites, { config }) {
+    const sources = (config.calendars ?? [{ source: 'html' }]).map(options => createCalendarSource(options))
+    const crawledOnly = sources.every(source => source instanceof HtmlCalendarSource && !source.url)
+
+    return crawledOnly && sites.calendar.length === 0 ? [] : [{ name: 'the calendars', sources }]
+  }
+
+  /**
+   * Reads the calendar of each person from the sources, in order. A person whose calendar is read again is replaced, so one source can override another for a friend.
+   *
+   * @async
+   * @param {{sources: Array<import('../calendar-sources/calendar-source.js').CalendarSource>}} venue - The calendars.
+   * @param {object} context - The context of the run.
+   * @returns {Promise<object>} - A promise that resolves to the calendar of each person.
+   * @throws {import('../errors.js').ParseError} - If a calendar cannot be read.
+   */
+  async fetchAvailability (venue, context) {
+    const people = {}
+
+    for (const source of venue.sources) {
+      for (const { person, calendarInfo } of await source.read(context)) {
+        people[person] = calendarInfo
+      }
+    }
+
+    return people
+  }
+
+  /**
+   * Finds the days enough people are available, by default everyone, and who is available on each day.
+   *
+   * @param {Array<object>} availabilities - The calendars of the people.
+   * @param {object} context - The context of the run.
+   * @param {object} context.config - The configuration of the application, with the attendance: the quorum and the people who must attend.
+   * @returns {{people: object, commonDays: Array<string>, attendance: Array<{day: string, attending: Array<string>, missing: Array<string>}>, quorum: number, mustAttend: Array<string>}} - The calendar of each person, the days enough people are available, who is available on each day and who has to be.
+   * @throws {Error} - If the attendance is not valid.
+   */
+  merge ([people], { config }) {
+    const { quorum, mustAttend = [] } = config.attendance ?? {}
+    const calendarScraper = new CalendarScraper()
+
+    return {
+      people,
+      commonDays: calendarScraper.findCommonDays(people, { quorum, mustAttend }),
+      attendance: calendarScraper.findAttendance(people),
+      quorum: quorum ?? Object.keys(people).length,
+      mustAttend
+    }
+  }
+
+  /**
+   * Checks that there is a day when everyone is free, or enough of them.
+   *
+   * @param {{people: object, commonDays: Array<string>, quorum: number, mustAttend: Array<string>}} availability - The result of the step.
+   * @returns {NoCommonDayError|undefined} - The error if there is no common day.
+   */
+  check ({ people, commonDays, quorum, mustAttend }) {
+    if (commonDays.length > 0) {
+      return
+    }
+
+    const count = Object.keys(people).length
+    const including = mustAttend.length > 0 ? `, including ${mustAttend.join(', ')}` : ''
+    const message = quorum >= count ? 'There is no day when everyone is free.' : `There is no day when at least ${quorum} of ${count} are free${including}.`
+
+    return new NoCommonDayError(message, { stage: this.name })
+  }
+
+  /**
+   * Adds the calendars, the common days and the attendance to the partial results.
+   *
+   * @param {{people: object, commonDays: Array<string>, attendance: Array<object>}} availability - The result of the step.
+   * @returns {{people: object, commonDays: Array<string>, attendance: Array<object>}} - The keys to add.
+   */
+  partial (availability) {
+    return availability
+  }
+
+  /**
+   * Checks who is free on the date of each suggestion. A calendar with dates, e.g. an iCalendar file, makes a person free only on those dates of a weekday,
+   * so a suggestion on another date has them missing, and is left out if too few are left or one who must attend is missing.
+   *
+   * @param {Array<object>} suggestions - The suggestions, each on one date.
+   * @param {{people: object, quorum: number, mustAttend: Array<string>}} availability - The result of the step.
+   * @returns {Array<object>} - The suggestions that enough people are free on, with who would attend and who would miss each.
+   */
+  onDates (suggestions, { people, quorum, mustAttend }) {
+    return suggestions.flatMap(suggestion => {
+      if (!suggestion.date) {
+        return [suggestion]
+      }
+
+      const attending = Object.keys(people).filter(person => people[person].some(data => data.day === suggestion.day && data.available && (!data.dates || data.dates.includes(suggestion.date))))
+
+      if (attending.length < quorum || !mustAttend.every(person => attending.includes(person))) {
+        return []
+      }
+
+      return [{ ...suggestion, attending, missing: Object.keys(people).filter(person => !attending.includes(person)) }]
+    })
+  }
+
+  /**
+   * Starts a plan on each common day, with who would attend and who would miss it.
+   *
+   * @param {Array<object>} plans - The plans of the steps before, usually one empty plan.
+   * @param {{commonDays: Array<string>, attendance: Array<object>}} availability - The result of the step.
+   * @returns {Array<object>} - The plans, one for each common day.
+   */
+  chain (plans, { commonDays, attendance }) {
+    logger.debug(`The common days are ${commonDays.join(', ')}`, { commonDays })
+
+    return plans.flatMap(plan => commonDays.map(day => {
+      const { attending, missing } = attendance.find(entry => entry.day === day)
+
+      return { ...plan, suggestion: { ...plan.suggestion, day, attending, missing } }
+    }))
+  }
+}
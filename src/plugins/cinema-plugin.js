@@ -0,0 +1,133 @@
+/**
+ * The cinema plugin of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Plugin } from './plugin.js'
+import { CinemaScraper } from '../cinema-scraper.js'
+import { logger } from '../logger.js'
+import { WEEKDAYS, formatMinutes, toMinutes } from '../time-of-day.js'
+
+/**
+ * Reads the shows of every cinema, and adds a movie with free seats to each plan on the day of the show.
+ */
+export class CinemaPlugin extends Plugin {
+  /**
+   * The role of the venues of the plugin.
+   *
+   * @type {string}
+   */
+  role = 'cinema'
+
+  /**
+   * The maximum number of shows requested from a cinema at the same time.
+   *
+   * @type {number}
+   */
+  concurrency
+
+  /**
+   * Represents a CinemaPlugin object.
+   *
+   * @param {object} [options] - The options of the step.
+   * @param {string} [options.name] - The name of the step in the pipeline.
+   * @param {number} [options.concurrency=4] - The maximum number of shows requested from a cinema at the same time.
+   */
+  constructor ({ concurrency = 4, ...options } = {}) {
+    super(options)
+    this.concurrency = concurrency
+  }
+
+  /**
+   * Reads the shows of a cinema, only on the days of the plans if it depends on steps that have made them, or else on every day.
+   *
+   * @async
+   * @param {{url: string, name: string}} venue - The cinema.
+   * @param {object} context - The context of the run.
+   * @param {string} context.baseUrl - The start URL.
+   * @param {import('../http-client.js').HttpClient} context.httpClient - The client that sends the requests.
+   * @param {object} context.sites - The sites found by SiteDiscovery.
+   * @param {import('../site-profile.js').SiteProfile} context.profile - How the cinema is read.
+   * @param {Array<object>} [context.plans] - The plans of the steps it depends on, if it depends on any.
+   * @returns {Promise<Array<{day: string, time: string, movie: string, cinema: string, soldOut: boolean, seats: number|null}>>} - A promise that resolves to the shows.
+   * @throws {import('../errors.js').ParseError} - If the shows cannot be read.
+   */
+  async fetchAvailability (venue, { baseUrl, httpClient, sites, profile, plans }) {
+    const days = plans?.length > 0 && plans.every(plan => plan.suggestion.day) ? [...new Set(plans.map(plan => plan.suggestion.day))] : undefined
+
+    return new CinemaScraper(baseUrl, httpClient, { concurrency: this.concurrency, profile }).displayCinemaInfo(sites, venue, { days })
+  }
+
+  /**
+   * Adds the free shows to the partial results: those of the common days, or of every day with a show if there are no common days.
+   *
+   * @param {Array<object>} shows - The shows.
+   * @param {{commonDays: Array<string>}} partial - The partial results of the steps before it.
+   * @returns {{shows: object}} - The free shows of each day.
+   */
+  partial (shows, { commonDays = [] }) {
+    const days = commonDays.length > 0
+      ? commonDays
+      : WEEKDAYS.filter(day => shows.some(show => show.day === day))
+
+    return { shows: this.freeShows(days, shows) }
+  }
+
+  /**
+   * Adds each free show on the day of a plan to it. The next activity may start after the minimum gap from the start of the movie, or the end of the movie if that is later,
+   * and then the travel time, whether or not the length of the movie is known. The end of a movie that runs past midnight is a time of the next day.
+   *
+   * @param {Array<object>} plans - The plans of the steps before.
+   * @param {Array<object>} shows - The shows.
+   * @param {object} context - The context of the run, with the timing rules.
+   * @param {object} context.timing - The timing rules, in minutes.
+   * @returns {Array<object>} - The plans with a movie.
+   */
+  chain (plans, shows, { timing }) {
+    const freeShows = this.freeShows([...new Set(plans.map(plan => plan.suggestion.day))], shows)
+    logger.debug('Found the shows with free seats', { shows: freeShows })
+
+    const { minimumGap, movieLength, travelTime, maxWait } = timing
+
+    return plans.flatMap(plan => (freeShows[plan.suggestion.day] || [])
+      .filter(show => this.fits(plan, toMinutes(show.time)))
+      .map(show => {
+        const start = toMinutes(show.time)
+        const ready = Math.max(start + minimumGap, start + (movieLength || 0)) + travelTime
+
+        return {
+          suggestion: {
+            ...plan.suggestion,
+            movie: show.movie,
+            cinema: show.cinema,
+            movieTime: formatMinutes(start),
+            // A show that ends after midnight ends at the time of day of the next day.
+            movieEnd: movieLength ? formatMinutes((start + movieLength) % 1440) : null
+          },
+          ready,
+          latest: maxWait === undefined || maxWait === null ? undefined : ready + maxWait
+        }
+      }))
+  }
+
+  /**
+   * Returns the shows with free seats on each of the days.
+   *
+   * @param {Array<string>} days - The days, e.g. Friday.
+   * @param {Array<object>} shows - The shows.
+   * @returns {object} - The free shows of each day, with the time, movie and cinema.
+   */
+  freeShows (days, shows) {
+    const freeShows = {}
+
+    for (const day of days) {
+      freeShows[day] = shows
+        .filter(show => !show.soldOut && show.day === day)
+        .map(show => ({ time: show.time, movie: show.movie, cinema: show.cinema }))
+    }
+
+    return freeShows
+  }
+}
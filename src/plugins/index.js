@@ -0,0 +1,109 @@
+/**
+ * The plugins of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { Plugin } from './plugin.js'
+import { CalendarPlugin } from './calendar-plugin.js'
+import { CinemaPlugin } from './cinema-plugin.js'
+import { RestaurantPlugin } from './restaurant-plugin.js'
+
+/**
+ * The built-in plugin class of each plugin name.
+ *
+ * @type {object}
+ */
+export const PLUGINS = {
+  calendar: CalendarPlugin,
+  cinema: CinemaPlugin,
+  restaurant: RestaurantPlugin
+}
+
+/**
+ * The default pipeline: the common days of the calendars, a movie on one of them and a table at a restaurant after it.
+ * The cinema needs the common days, but the restaurants are read at the same time as the calendars.
+ *
+ * @type {Array<{name: string, plugin: string, dependsOn: Array<string>}>}
+ */
+export const PIPELINE = [
+  { name: 'calendar', plugin: 'calendar' },
+  { name: 'cinema', plugin: 'cinema', dependsOn: ['calendar'] },
+  { name: 'dinner', plugin: 'restaurant' }
+]
+
+/**
+ * Creates the plugins of a pipeline, in order.
+ * The plugin of a step is the name of a built-in plugin, the path of a module whose default export is a Plugin class, a Plugin class or a Plugin.
+ * The other options of a step are passed to the constructor of its plugin, e.g. dependsOn, the names of the steps before it whose plans it needs.
+ *
+ * @async
+ * @param {Array<{name: string, plugin: string|Function|Plugin, dependsOn: Array<string>}>} [pipeline] - The steps, PIPELINE by default.
+ * @returns {Promise<Array<Plugin>>} - A promise that resolves to the plugin of each step, named after it.
+ * @throws {Error} - If a plugin is unknown, its module cannot be loaded, two steps have the same name, or a step depends on one that is not before it.
+ */
+export async function createPipeline (pipeline = PIPELINE) {
+  const plugins = []
+
+  for (const { name, plugin = name, ...options } of pipeline) {
+    if (!name) {
+      throw new Error('Every step of the pipeline needs a name.')
+    }
+    if (plugins.some(other => other.name === name)) {
+      throw new Error(`The pipeline has two steps named "${name}".`)
+    }
+
+    const instance = plugin instanceof Plugin ? plugin : new (await pluginClass(plugin))({ ...options, name })
+    instance.name = name
+
+    // A step can only depend on the steps before it, so the steps are chained in order and never wait for each other in a circle.
+    for (const dependency of instance.dependsOn) {
+      if (!plugins.some(other => other.name === dependency)) {
+        throw new Error(`The step "${name}" depends on "${dependency}", which is not a step before it.`)
+      }
+    }
+
+    plugins.push(instance)
+  }
+
+  return plugins
+}
+
+/**
+ * Finds the class of a plugin.
+ *
+ * @async
+ * @param {string|Function} plugin - The name of a built-in plugin, the path of a module, or the class.
+ * @returns {Promise<Function>} - A promise that resolves to the Plugin class.
+ * @throws {Error} - If the plugin is unknown, or its module cannot be loaded or has no Plugin class as its default export.
+ */
+async function pluginClass (plugin) {
+  if (typeof plugin === 'function') {
+    return plugin
+  }
+  if (PLUGINS[plugin]) {
+    return PLUGINS[plugin]
+  }
+  if (typeof plugin !== 'string' || !/[/\\]|\.m?js$/.test(plugin)) {
+    throw new Error(`Unknown plugin "${plugin}", use one of ${Object.keys(PLUGINS).join(', ')} or the path of a module.`)
+  }
+
+  let module
+
+  try {
+    module = await import(pathToFileURL(resolve(plugin)).href)
+  } catch (error) {
+    throw new Error(`Could not load the plugin ${plugin}: ${error.message}`, { cause: error })
+  }
+
+  if (!(module.default?.prototype instanceof Plugin)) {
+    throw new Error(`The plugin ${plugin} does not export a Plugin class as its default export.`)
+  }
+
+  return module.default
+}
+
+export { Plugin }
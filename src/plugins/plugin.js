@@ -0,0 +1,223 @@
+/**
+ * The base plugin of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { toMinutes } from '../time-of-day.js'
+
+/**
+ * Reads the availability of one kind of venue and chains it onto the plans of the earlier steps of the pipeline.
+ * Every step of the pipeline is a plugin that extends this class.
+ *
+ * The default implementation reads slots of the form {day, start, end, name}, e.g. the lanes of a bowling alley,
+ * and adds them to each plan as an activity that starts after the one before it, by the timing rules.
+ */
+export class Plugin {
+  /**
+   * The name of the step in the pipeline, e.g. dinner.
+   *
+   * @type {string}
+   */
+  name
+
+  /**
+   * The names of the steps whose plans the step needs before it reads its availability, e.g. the cinema only reads the shows of the common days.
+   * The plans are chained in the order of the pipeline, so the step is read once every step up to the last of them is, at the same time as the others.
+   *
+   * @type {Array<string>}
+   */
+  dependsOn
+
+  /**
+   * The role of the venues of the plugin, as SiteDiscovery classifies the pages, or null if it finds its venues otherwise.
+   *
+   * @type {string|null}
+   */
+  role = null
+
+  /**
+   * Whether the plugin can book the activity of a suggestion.
+   *
+   * @type {boolean}
+   */
+  bookable = false
+
+  /**
+   * Represents a Plugin object.
+   *
+   * @param {object} [options] - The options of the step.
+   * @param {string} [options.name] - The name of the step in the pipeline.
+   * @param {Array<string>} [options.dependsOn] - The names of the steps before it whose plans it needs, none by default.
+   */
+  constructor ({ name, dependsOn = [] } = {}) {
+    this.name = name
+    this.dependsOn = dependsOn
+  }
+
+  /**
+   * Finds the venues of the plugin among the crawled sites.
+   *
+   * @param {object} sites - The sites found by SiteDiscovery.
+   * @param {object} context - The context of the run: the baseUrl, httpClient, sites, config, timing and dates.
+   * @returns {Array<{url: string, name: string}>} - The venues, none if the plugin has no role.
+   */
+  discover (sites, context) {
+    return this.role ? sites[this.role] ?? [] : []
+  }
+
+  /**
+   * Prepares a new read of the venues, before any of them is logged in to, e.g. by ending the sessions of an earlier run. Nothing is needed by default.
+   *
+   * @async
+   * @param {object} context - The context of the run.
+   * @returns {Promise<void>} - A promise that resolves once prepared.
+   */
+  async prepare (context) {}
+
+  /**
+   * Logs in to a venue before its availability is read. Most venues need no login.
+   *
+   * @async
+   * @param {{url: string, name: string}} venue - The venue.
+   * @param {object} context - The context of the run: the baseUrl, httpClient, sites, config, timing and dates, and the plans of the steps it depends on if it depends on any.
+   * @returns {Promise<void>} - A promise that resolves once logged in.
+   */
+  async authenticate (venue, context) {}
+
+  /**
+   * Reads the availability of a venue.
+   *
+   * @abstract
+   * @async
+   * @param {{url: string, name: string}} venue - The venue.
+   * @param {object} context - The context of the run: the baseUrl, httpClient, sites, config, timing and dates, and the plans of the steps it depends on if it depends on any.
+   * @returns {Promise<any>} - A promise that resolves to the availability of the venue, by default slots of the form {day, start, end, name}.
+   * @throws {Error} - If the subclass does not implement it.
+   */
+  async fetchAvailability (venue, context) {
+    throw new Error(`${this.constructor.name} does not implement fetchAvailability().`)
+  }
+
+  /**
+   * Merges the availability of the venues that could be read into the result of the step.
+   *
+   * @param {Array<any>} availabilities - The availability of each venue.
+   * @param {object} context - The context of the run, e.g. the configuration.
+   * @returns {any} - The result of the step.
+   */
+  merge (availabilities, context) {
+    return availabilities.flat()
+  }
+
+  /**
+   * Checks that the result of the step can be planned with, although it was read.
+   *
+   * @param {any} availability - The result of the step.
+   * @returns {Error|undefined} - The error that explains why nothing can be planned, or undefined.
+   */
+  check (availability) {
+    return undefined
+  }
+
+  /**
+   * Returns what the result of the step adds to the partial results of a failed run.
+   *
+   * @param {any} availability - The result of the step.
+   * @param {object} partial - The partial results of the steps before it.
+   * @returns {object} - The keys to add.
+   */
+  partial (availability, partial) {
+    return { [this.name]: availability }
+  }
+
+  /**
+   * Chains the result of the step onto the plans of the steps before it, one new plan for each activity that fits.
+   * A plan is a suggestion in the making, with the earliest and latest time the next activity may start.
+   *
+   * @param {Array<{suggestion: object, ready: number, latest: number}>} plans - The plans of the steps before.
+   * @param {Array<{day: string, start: string, end: string, name: string, venue: string}>} slots - The result of the step.
+   * @param {object} context - The context of the run, with the timing rules.
+   * @returns {Array<{suggestion: object, ready: number, latest: number}>} - The plans with this step added.
+   */
+  chain (plans, slots, context) {
+    return plans.flatMap(plan => slots
+      .filter(slot => slot.day === plan.suggestion.day && this.fits(plan, toMinutes(slot.start)))
+      .map(slot => ({
+        suggestion: {
+          ...plan.suggestion,
+          activities: [...(plan.suggestion.activities || []), { step: this.name, name: slot.name, venue: slot.venue ?? null, start: slot.start, end: slot.end ?? null }]
+        },
+        ...this.readyAfter(toMinutes(slot.end ?? slot.start), context.timing)
+      })))
+  }
+
+  /**
+   * Checks the suggestions once they are made on their dates, e.g. that the venue is open on the date and not only on the weekday. Every suggestion is kept by default.
+   *
+   * @param {Array<object>} suggestions - The suggestions, each on one date.
+   * @param {any} availability - The result of the step.
+   * @param {object} context - The context of the run.
+   * @returns {Array<object>} - The suggestions that can be made on their dates.
+   */
+  onDates (suggestions, availability, context) {
+    return suggestions
+  }
+
+  /**
+   * Books the activity of a suggestion.
+   *
+   * @async
+   * @param {object} suggestion - The suggestion.
+   * @param {object} [options] - The booking options.
+   * @param {boolean} [options.dryRun=false] - Whether to only return the request instead of sending it.
+   * @returns {Promise<{request: object, booked: boolean, message: string}>} - A promise that resolves to the request and the outcome of the booking.
+   * @throws {Error} - If the plugin cannot book.
+   */
+  async book (suggestion, options) {
+    throw new Error(`The ${this.name} step cannot be booked.`)
+  }
+
+  /**
+   * Describes what is booked for a suggestion, e.g. a table at a restaurant on a day.
+   *
+   * @param {object} suggestion - The suggestion.
+   * @returns {string} - The description.
+   */
+  describeBooking (suggestion) {
+    return `${this.name} on ${suggestion.day}`
+  }
+
+  /**
+   * Ends the sessions of the plugin, e.g. by logging out.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves once closed.
+   */
+  async close () {}
+
+  /**
+   * Checks if an activity may start at a time in a plan, by when the activity before it leaves the group ready.
+   *
+   * @param {{ready: number, latest: number}} plan - The plan.
+   * @param {number} start - The start of the activity, in minutes after midnight.
+   * @returns {boolean} - True if the activity fits.
+   */
+  fits (plan, start) {
+    return (plan.ready === undefined || start >= plan.ready) && (plan.latest === undefined || start <= plan.latest)
+  }
+
+  /**
+   * Returns when the next activity may start, after an activity that ends at a time: after the travel time, and within the longest wait.
+   *
+   * @param {number} end - The end of the activity, in minutes after midnight.
+   * @param {{travelTime: number, maxWait: number}} timing - The timing rules, in minutes.
+   * @returns {{ready: number, latest: number|undefined}} - The earliest and latest start of the next activity, in minutes after midnight.
+   */
+  readyAfter (end, { travelTime, maxWait }) {
+    const ready = end + travelTime
+
+    return { ready, latest: maxWait === undefined || maxWait === null ? undefined : ready + maxWait }
+  }
+}
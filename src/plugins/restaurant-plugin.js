@@ -0,0 +1,221 @@
+/**
+ * The restaurant plugin of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { Plugin } from './plugin.js'
+import { BarScraper } from '../bar-scraper.js'
+import { logger } from '../logger.js'
+import { AuthenticationError } from '../errors.js'
+import { formatMinutes, toMinutes } from '../time-of-day.js'
+
+/**
+ * Logs in to every restaurant and reads the free tables, and adds a table to each plan that is free when the group is ready for dinner.
+ * The sessions are kept to book a table.
+ */
+export class RestaurantPlugin extends Plugin {
+  /**
+   * The role of the venues of the plugin.
+   *
+   * @type {string}
+   */
+  role = 'restaurant'
+
+  /**
+   * Whether the plugin can book the activity of a suggestion.
+   *
+   * @type {boolean}
+   */
+  bookable = true
+
+  /**
+   * The bar scrapers of the last run, with the name of their restaurant, keyed by its URL, kept to book a table with the same session. Cleared at the start of each run.
+   *
+   * @type {Map<string, {name: string, barScraper: BarScraper}>}
+   */
+  #barScrapers = new Map()
+
+  /**
+   * Logs out of the restaurants of an earlier run and forgets them, so only the restaurants of this run can be booked.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves once logged out.
+   */
+  async prepare () {
+    try {
+      await this.close()
+    } finally {
+      this.#barScrapers.clear()
+    }
+  }
+
+  /**
+   * Logs in to a restaurant with its credentials.
+   *
+   * @async
+   * @param {{url: string, name: string}} venue - The restaurant.
+   * @param {object} context - The context of the run.
+   * @param {string} context.baseUrl - The start URL.
+   * @param {import('../http-client.js').HttpClient} context.httpClient - The client that sends the requests.
+   * @param {object} context.config - The configuration of the application, with the credentials.
+   * @param {import('../site-profile.js').SiteProfile} context.profile - How the restaurant is read.
+   * @returns {Promise<void>} - A promise that resolves once logged in.
+   * @throws {import('../errors.js').AuthenticationError} - If the login fails.
+   */
+  async authenticate (venue, { baseUrl, httpClient, config, profile }) {
+    const barScraper = new BarScraper(baseUrl, this.#credentials(venue, config), httpClient, { profile })
+    this.#barScrapers.set(venue.url, { name: venue.name, barScraper })
+
+    await barScraper.login(venue.url)
+  }
+
+  /**
+   * Reads the free tables of a restaurant.
+   *
+   * @async
+   * @param {{url: string, name: string}} venue - The restaurant.
+   * @param {object} context - The context of the run.
+   * @param {object} context.sites - The sites found by SiteDiscovery.
+   * @returns {Promise<object>} - A promise that resolves to the free tables of each day, each with the name of its restaurant.
+   * @throws {import('../errors.js').ParseError} - If the booking page cannot be read.
+   */
+  async fetchAvailability (venue, { sites }) {
+    return this.#barScrapers.get(venue.url).barScraper.displayBarInfo(sites, venue)
+  }
+
+  /**
+   * Merges the free tables of the restaurants by day.
+   *
+   * @param {Array<object>} availabilities - The free tables of each restaurant.
+   * @returns {object} - The free tables of each day.
+   */
+  merge (availabilities) {
+    const slots = {}
+
+    for (const tables of availabilities) {
+      for (const day of Object.keys(tables)) {
+        slots[day] = [...(slots[day] || []), ...tables[day]]
+      }
+    }
+
+    return slots
+  }
+
+  /**
+   * Adds the free tables to the partial results.
+   *
+   * @param {object} tables - The free tables of each day.
+   * @returns {{tables: object}} - The keys to add.
+   */
+  partial (tables) {
+    return { tables }
+  }
+
+  /**
+   * Adds each free table to the plans of its day that are ready for dinner when it starts.
+   * The plans of a day are ordered by the table, as the restaurant lists them.
+   *
+   * @param {Array<object>} plans - The plans of the steps before.
+   * @param {object} tables - The free tables of each day.
+   * @param {object} context - The context of the run, with the timing rules.
+   * @param {object} context.timing - The timing rules, in minutes.
+   * @returns {Array<object>} - The plans with a table.
+   */
+  chain (plans, tables, { timing }) {
+    const days = [...new Set(plans.map(plan => plan.suggestion.day))].filter(day => tables[day])
+
+    return days.flatMap(day => {
+      const dinners = tables[day].map(dinner => ({ start: toMinutes(dinner.start), end: toMinutes(dinner.end), restaurant: dinner.restaurant }))
+      const plansOfDay = plans.filter(plan => plan.suggestion.day === day)
+
+      const matches = dinners.flatMap(dinner => plansOfDay
+        .filter(plan => this.fits(plan, dinner.start))
+        .map(plan => ({
+          suggestion: {
+            ...plan.suggestion,
+            restaurant: dinner.restaurant,
+            dinnerStart: formatMinutes(dinner.start),
+            dinnerEnd: formatMinutes(dinner.end)
+          },
+          ...this.readyAfter(dinner.end, timing)
+        })))
+
+      if (matches.length === 0) {
+        logger.warn(`No matching times for dinner and movie on ${day}`, { day })
+      }
+
+      return matches
+    })
+  }
+
+  /**
+   * Pre-books the table of a suggestion, using the booking form of its restaurant, or of the first one with a free table at its time if it does not say.
+   * Only the restaurants of the last run that were logged in to are booked at.
+   *
+   * @async
+   * @param {{day: string, dinnerStart: string, restaurant: string}} suggestion - The suggestion.
+   * @param {object} [options] - The booking options.
+   * @param {boolean} [options.dryRun=false] - Whether to only return the request instead of sending it.
+   * @returns {Promise<{request: object, booked: boolean, message: string}>} - A promise that resolves to the request and the outcome of the booking.
+   * @throws {Error} - If no restaurant has been read.
+   * @throws {AuthenticationError} - If no restaurant with the table was logged in to.
+   * @throws {import('../errors.js').ParseError} - If the table could not be booked, e.g. the restaurant did not confirm the booking.
+   * @throws {import('../errors.js').NetworkError} - If the booking request fails.
+   */
+  async book (suggestion, { dryRun = false } = {}) {
+    if (this.#barScrapers.size === 0) {
+      throw new Error('Run the application before booking a table.')
+    }
+
+    const entries = [...this.#barScrapers.values()].filter(({ barScraper }) => barScraper.session?.loggedIn)
+    const entry = suggestion.restaurant === undefined
+      ? entries.find(({ barScraper }) => barScraper.hasTable(suggestion.day, suggestion.dinnerStart))
+      : entries.find(({ name }) => name === suggestion.restaurant)
+
+    if (!entry) {
+      throw new AuthenticationError(suggestion.restaurant === undefined
+        ? `No restaurant that was logged in to has a free table on ${suggestion.day} at ${suggestion.dinnerStart}.`
+        : `There is no restaurant ${suggestion.restaurant} that was logged in to, to book a table at.`)
+    }
+
+    return entry.barScraper.bookTable(suggestion.day, suggestion.dinnerStart, { dryRun })
+  }
+
+  /**
+   * Describes the table of a suggestion.
+   *
+   * @param {{day: string, dinnerStart: string, dinnerEnd: string, restaurant: string}} suggestion - The suggestion.
+   * @returns {string} - The description.
+   */
+  describeBooking (suggestion) {
+    return `a table${suggestion.restaurant ? ` at ${suggestion.restaurant}` : ''} on ${suggestion.day} between ${suggestion.dinnerStart}-${suggestion.dinnerEnd}`
+  }
+
+  /**
+   * Logs out of the restaurants.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves once logged out.
+   */
+  async close () {
+    for (const { barScraper } of this.#barScrapers.values()) {
+      await barScraper.logout()
+    }
+  }
+
+  /**
+   * Returns the credentials of a restaurant: those of the restaurants setting with the start of its URL or its name, or else the default ones.
+   *
+   * @private
+   * @param {{url: string, name: string}} restaurant - The restaurant, as found by SiteDiscovery.
+   * @param {object} config - The configuration of the application.
+   * @returns {{username: string, password: string}|undefined} - The credentials.
+   */
+  #credentials (restaurant, config) {
+    const credentials = (config.restaurants || []).find(entry => entry.name === restaurant.name || (entry.url && restaurant.url.startsWith(entry.url)))
+
+    return credentials || config.restaurant
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * The robots.txt parser of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * The Allow and Disallow rules of a robots.txt file that apply to one user agent.
+ */
+export class RobotsTxt {
+  /**
+   * The rules, as path prefixes that are allowed or not.
+   *
+   * @type {Array<{allow: boolean, path: string}>}
+   */
+  #rules
+
+  /**
+   * Represents a RobotsTxt object.
+   *
+   * @param {string} text - The content of the robots.txt file.
+   * @param {string} [userAgent='*'] - The user agent to read the rules for, the rules for * are used if it has none.
+   */
+  constructor (text, userAgent = '*') {
+    const groups = this.#parseGroups(text)
+    const agent = userAgent.toLowerCase()
+
+    this.#rules = groups.find(group => group.agents.some(name => name !== '*' && agent.includes(name)))?.rules ||
+      groups.find(group => group.agents.includes('*'))?.rules ||
+      []
+  }
+
+  /**
+   * Checks if a path may be crawled. The longest matching rule wins, and Allow wins a tie.
+   *
+   * @param {string} path - The path of the URL, including the query string.
+   * @returns {boolean} - True if the path may be crawled.
+   */
+  isAllowed (path) {
+    const matching = this.#rules
+      .filter(rule => path.startsWith(rule.path))
+      .sort((a, b) => b.path.length - a.path.length || b.allow - a.allow)
+
+    return matching.length === 0 || matching[0].allow
+  }
+
+  /**
+   * Splits a robots.txt file into groups of user agents and their rules.
+   *
+   * @private
+   * @param {string} text - The content of the robots.txt file.
+   * @returns {Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>}>} - The groups.
+   */
+  #parseGroups (text) {
+    const groups = []
+    let group
+
+    for (const line of text.split(/\r?\n/)) {
+      const [key, ...rest] = line.replace(/#.*/, '').split(':')
+      const field = key.trim().toLowerCase()
+      const value = rest.join(':').trim()
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share the rules that follow them.
+        if (!group || group.rules.length > 0) {
+          group = { agents: [], rules: [] }
+          groups.push(group)
+        }
+        group.agents.push(value.toLowerCase())
+      } else if (group && (field === 'allow' || field === 'disallow') && value) {
+        group.rules.push({ allow: field === 'allow', path: value })
+      }
+    }
+
+    return groups
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * The HTTP session of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { CookieJar } from './cookie-jar.js'
+import { HttpClient } from './http-client.js'
+
+/**
+ * Sends requests with the cookies of a cookie jar and logs in again once if the session has expired.
+ */
+export class Session {
+  /**
+   * The cookies of the session.
+   *
+   * @type {CookieJar}
+   */
+  cookieJar = new CookieJar()
+
+  /**
+   * Whether the session is logged in.
+   *
+   * @type {boolean}
+   */
+  loggedIn = false
+
+  /**
+   * Logs in, using this session to send the requests.
+   *
+   * @type {Function}
+   */
+  #authenticate
+
+  /**
+   * The client that sends the requests.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
+
+  /**
+   * Represents a Session object.
+   *
+   * @param {object} [options] - The session options.
+   * @param {Function} [options.authenticate] - An async function that logs in, using the session it is given to send the requests.
+   * @param {HttpClient} [options.httpClient] - The client that sends the requests.
+   */
+  constructor ({ authenticate, httpClient = new HttpClient() } = {}) {
+    this.#authenticate = authenticate
+    this.#httpClient = httpClient
+  }
+
+  /**
+   * Logs in.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves once logged in.
+   * @throws {Error} - If the session has no way to log in, or the login fails.
+   */
+  async login () {
+    if (!this.#authenticate) {
+      throw new Error('The session has no way to log in.')
+    }
+
+    this.loggedIn = false
+    this.cookieJar.clear()
+    await this.#authenticate(this)
+    this.loggedIn = true
+  }
+
+  /**
+   * Logs out by requesting the given URL and forgets all cookies.
+   *
+   * @async
+   * @param {string} url - The URL that ends the session on the server.
+   * @returns {Promise<void>} - A promise that resolves once logged out.
+   */
+  async logout (url) {
+    if (this.loggedIn) {
+      this.loggedIn = false
+      await this.fetch(url, { redirect: 'manual' }, false)
+    }
+    this.cookieJar.clear()
+  }
+
+  /**
+   * Sends a request with the cookies that match the URL and stores the cookies of the response.
+   * If a logged in request is refused with 401 or 403 the session has expired, so it logs in again and retries once.
+   *
+   * @async
+   * @param {string} url - The URL to request.
+   * @param {object} [options] - The options of the request, as for HttpClient#fetch.
+   * @param {boolean} [retry=true] - Whether to log in again and retry if the session has expired.
+   * @returns {Promise<Response>} - A promise that resolves to the response.
+   */
+  async fetch (url, options = {}, retry = true) {
+    const headers = new Headers(options.headers)
+    const cookie = this.cookieJar.getCookieHeader(url)
+
+    if (cookie) {
+      headers.set('Cookie', cookie)
+    } else {
+      headers.delete('Cookie')
+    }
+
+    const response = await this.#httpClient.fetch(url, { ...options, headers })
+
+    this.cookieJar.setCookies(url, response.headers.getSetCookie())
+
+    if (retry && this.loggedIn && (response.status === 401 || response.status === 403)) {
+      await this.login()
+      return this.fetch(url, options, false)
+    }
+
+    return response
+  }
+}
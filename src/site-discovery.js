@@ -0,0 +1,141 @@
+/**
+ * The site discovery of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { LinkCrawler } from './link-crawler.js'
+import { SiteProfile } from './site-profile.js'
+import { WEEKDAYS } from './time-of-day.js'
+
+/**
+ * Crawls the start URL once and classifies the pages as calendar, cinema or restaurant by their markup.
+ */
+export class SiteDiscovery {
+  /**
+   * Represents a SiteDiscovery object.
+   *
+   * @param {string} baseUrl - The start URL to crawl.
+   * @param {object} [crawlOptions] - The options of the LinkCrawler, e.g. concurrency, maxDepth and the httpClient.
+   * @param {SiteProfile} [crawlOptions.profile] - The profile the pages are classified by, the default profile if it is not given.
+   */
+  constructor (baseUrl, { profile = new SiteProfile(), ...crawlOptions } = {}) {
+    this.baseUrl = baseUrl
+    this.crawlOptions = crawlOptions
+    this.profile = profile
+  }
+
+  /**
+   * Crawls the site and classifies every page.
+   *
+   * @async
+   * @param {object} [options] - The discovery options.
+   * @param {AbortSignal} [options.signal] - A signal that cancels the crawl.
+   * @returns {Promise<{urls: Array<string>, calendar: Array<{url: string, name: string, reason: string}>, cinema: Array<{url: string, name: string, reason: string}>, restaurant: Array<{url: string, name: string, reason: string}>, report: import('./crawl-report.js').CrawlReport}>} - A promise that resolves to the crawled URLs, the pages found for each role, in crawl order, and the report of the crawl.
+   * The name of a page is its heading, so a plan with several cinemas or restaurants can say which one it means.
+   */
+  async discover ({ signal } = {}) {
+    const linkCrawler = new LinkCrawler(this.baseUrl, this.crawlOptions)
+    const pages = new Map()
+
+    /**
+     * Classifies a page as soon as the crawler has fetched it.
+     *
+     * @param {string} url - The URL of the page.
+     * @param {HTMLElement} page - The html element of the page.
+     */
+    const onPage = (url, page) => {
+      const classified = this.#classify(page)
+
+      if (classified) {
+        pages.set(url, { ...classified, name: this.#name(page, url) })
+      }
+    }
+
+    const urls = await linkCrawler.crawl(this.baseUrl, { signal, onPage })
+
+    const sites = { urls, calendar: [], cinema: [], restaurant: [], report: linkCrawler.report }
+
+    // Keep the crawl order, pages are classified as they are fetched which is in no particular order.
+    for (const url of urls) {
+      const page = pages.get(url)
+      if (page) {
+        sites[page.role].push({ url, name: page.name, reason: page.reason })
+      }
+    }
+
+    // Pages of the same role with the same heading are told apart by their path, e.g. two pages headed Cinema.
+    for (const role of ['cinema', 'restaurant']) {
+      for (const page of sites[role]) {
+        if (sites[role].filter(other => other.name === page.name).length > 1) {
+          page.name = `${page.name} (${new URL(page.url).pathname})`
+        }
+      }
+    }
+
+    return sites
+  }
+
+  /**
+   * Describes the pages picked for each role and why, one line each.
+   *
+   * @param {object} sites - The discovered sites.
+   * @returns {Array<string>} - The lines of the report.
+   */
+  static report (sites) {
+    const lines = []
+
+    for (const role of ['calendar', 'cinema', 'restaurant']) {
+      if (sites[role].length === 0) {
+        lines.push(`${role}: no page found`)
+      }
+      for (const { url, name, reason } of sites[role]) {
+        // A calendar is named after its person, which says nothing about the page.
+        lines.push(`${role}: ${url}${name && role !== 'calendar' ? ` "${name}"` : ''} (${reason})`)
+      }
+    }
+
+    return lines
+  }
+
+  /**
+   * Names a page by its first heading, or its title if it has none, or its URL.
+   *
+   * @private
+   * @param {HTMLElement} page - The html element of the page.
+   * @param {string} url - The URL of the page.
+   * @returns {string} - The name.
+   */
+  #name (page, url) {
+    return page.querySelector('h1')?.textContent.trim() || page.querySelector('title')?.textContent.trim() || url
+  }
+
+  /**
+   * Classifies a page by its markup, as described by the profile.
+   *
+   * @private
+   * @param {HTMLElement} page - The html element of the page.
+   * @returns {{role: string, reason: string}|undefined} - The role of the page and why, or undefined if it has none.
+   */
+  #classify (page) {
+    const { cinema, restaurant, calendar } = this.profile
+
+    if (page.querySelector(cinema.day) && page.querySelector(cinema.movie)) {
+      return { role: 'cinema', reason: `has a form with ${cinema.day} and ${cinema.movie}` }
+    }
+
+    if (page.querySelector(restaurant.password)) {
+      return { role: 'restaurant', reason: 'has a login form with a password field' }
+    }
+
+    for (const table of page.querySelectorAll(calendar.table)) {
+      const headers = Array.from(table.querySelectorAll(calendar.day), header => header.textContent.trim())
+      const days = headers.filter(header => WEEKDAYS.some(day => day.toLowerCase() === header.toLowerCase()))
+
+      if (days.length > 0 && table.querySelector(calendar.availability)) {
+        return { role: 'calendar', reason: `has a calendar table for ${days.join(', ')}` }
+      }
+    }
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * The site profile of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { readFile } from 'node:fs/promises'
+
+const DEFAULT = JSON.parse(await readFile(new URL('./site-profiles/default.json', import.meta.url), 'utf8'))
+
+/**
+ * Describes how the calendar, cinema and restaurant sites are read: the selectors, endpoints, form fields and values of each kind of site.
+ * The default profile, in src/site-profiles/default.json, describes the sites of the assignment. A profile only gives what differs from it,
+ * and each key it gives replaces the one of the default, e.g. the days of a restaurant replace all the days of the default.
+ */
+export class SiteProfile {
+  /**
+   * How a calendar page is read: the selectors of its table, the day headers, the availability cells and the name of the person.
+   *
+   * @type {{table: string, day: string, availability: string, person: string}}
+   */
+  calendar
+
+  /**
+   * How a cinema is read: the selectors of the day and movie lists and their options, the endpoint of the shows of a day and movie,
+   * the weekday of each day value, the fields of a show and the status values of a show with free seats or sold out.
+   *
+   * @type {{day: string, movie: string, option: string, shows: string, days: object, fields: object, status: {free: any, soldOut: any}}}
+   */
+  cinema
+
+  /**
+   * How a restaurant is read: the selector of the password field of its login form, the login endpoint, the form field of each credential
+   * and the other values of the form, the selector of the free tables of a day, the radio button that books a table, the value of each day, the logout link, the pattern the heading of a confirmed booking matches
+   * and the selector of the error message of a booking that failed.
+   *
+   * @type {{password: string, login: string, loginFields: object, loginValues: object, table: string, radio: string, days: object, logout: string, confirmation: string, bookingError: string}}
+   */
+  restaurant
+
+  /**
+   * Represents a SiteProfile object.
+   *
+   * @param {object} [profile] - The parts of the profile that differ from the default, by kind of site.
+   * @param {object} [profile.calendar] - How a calendar page is read.
+   * @param {object} [profile.cinema] - How a cinema is read.
+   * @param {object} [profile.restaurant] - How a restaurant is read.
+   */
+  constructor ({ calendar, cinema, restaurant } = {}) {
+    this.calendar = { ...DEFAULT.calendar, ...calendar }
+    this.cinema = { ...DEFAULT.cinema, ...cinema }
+    this.restaurant = { ...DEFAULT.restaurant, ...restaurant }
+  }
+
+  /**
+   * Fills in the placeholders of a selector or an endpoint, e.g. {day} in check?day={day}&movie={movie}.
+   *
+   * @param {string} template - The selector or endpoint.
+   * @param {object} values - The value of each placeholder.
+   * @param {object} [options] - The options of the template.
+   * @param {boolean} [options.encode=false] - Whether to encode the values as URL components, for an endpoint.
+   * @returns {string} - The selector or endpoint.
+   */
+  fill (template, values, { encode = false } = {}) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      if (!(key in values)) {
+        return placeholder
+      }
+
+      return encode ? encodeURIComponent(values[key]) : values[key]
+    })
+  }
+
+  /**
+   * Loads a profile file.
+   *
+   * @async
+   * @param {string} path - The path of the profile file, a JSON file.
+   * @returns {Promise<SiteProfile>} - A promise that resolves to the profile.
+   * @throws {Error} - If the file cannot be read or is not valid JSON.
+   */
+  static async load (path) {
+    try {
+      return new SiteProfile(JSON.parse(await readFile(path, 'utf8')))
+    } catch (error) {
+      throw new Error(`Could not read the site profile ${path}: ${error.message}`)
+    }
+  }
+}
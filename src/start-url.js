@@ -0,0 +1,26 @@
+/**
+ * The start URL of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import validator from 'validator'
+
+/**
+ * Validates a start URL and adds a trailing slash if needed, so the relative links of the start page resolve below it.
+ *
+ * @param {string} url - The start URL, as given by the user.
+ * @returns {string} - The start URL, ending with a slash.
+ * @throws {Error} - If the URL is missing, or not an http or https URL.
+ */
+export function normalizeStartUrl (url) {
+  if (!url) {
+    throw new Error('The start URL is missing, e.g. https://courselab.lnu.se/scraper-site-1.')
+  }
+  if (!validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+    throw new Error(`The start URL ${url} is not valid, it must be an http or https URL such as https://courselab.lnu.se/scraper-site-1.`)
+  }
+
+  return url.slice(-1) === '/' ? url : `${url}/`
+}
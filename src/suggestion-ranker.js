@@ -0,0 +1,102 @@
+/**
+ * The suggestion ranker of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { formatMinutes, toMinutes } from './time-of-day.js'
+
+/**
+ * Scores the suggestions by the preferences of the group and ranks them, best first.
+ */
+export class SuggestionRanker {
+  /**
+   * The preferences of the group.
+   *
+   * @type {object}
+   */
+  #preferences
+
+  /**
+   * Represents a SuggestionRanker object.
+   *
+   * @param {object} [preferences] - The preferences of the group.
+   * @param {Array<string>} [preferences.favouriteMovies] - Movies that score 10 points.
+   * @param {Array<string>} [preferences.excludedMovies] - Movies that are never suggested.
+   * @param {string|Array<string>} [preferences.preferredDays] - Days that score 5 points, by name or date, e.g. Friday or 2026-10-23.
+   * @param {string} [preferences.earliestDinner] - The earliest acceptable start of the dinner, as HH:MM.
+   * @param {string} [preferences.latestDinner] - The latest acceptable start of the dinner, as HH:MM.
+   * @param {boolean} [preferences.shortestWait] - Whether to take a point for every started half hour between the movie and the dinner.
+   * @param {number} [preferences.top] - The number of suggestions to keep.
+   */
+  constructor (preferences = {}) {
+    this.#preferences = preferences
+  }
+
+  /**
+   * Scores and ranks the suggestions. Suggestions with the same score keep their order.
+   * A suggestion that someone would miss, when not everyone has to be free, loses 5 points for each of them.
+   *
+   * @param {Array<object>|object} suggestions - The suggestions, each with its day, or the suggestions for each day.
+   * @returns {Array<object>} - The suggestions that are acceptable, best first, each with its day, score and the reasons for the score.
+   */
+  rank (suggestions) {
+    const { excludedMovies = [], earliestDinner, latestDinner, top } = this.#preferences
+
+    const all = Array.isArray(suggestions)
+      ? suggestions
+      : Object.keys(suggestions).flatMap(day => suggestions[day].map(suggestion => ({ day, ...suggestion })))
+
+    const ranked = all
+      .filter(suggestion => !excludedMovies.includes(suggestion.movie))
+      .filter(suggestion => !earliestDinner || toMinutes(suggestion.dinnerStart) >= toMinutes(earliestDinner))
+      .filter(suggestion => !latestDinner || toMinutes(suggestion.dinnerStart) <= toMinutes(latestDinner))
+      .map(suggestion => ({ ...suggestion, ...this.#score(suggestion) }))
+      .sort((a, b) => b.score - a.score)
+
+    return top > 0 ? ranked.slice(0, top) : ranked
+  }
+
+  /**
+   * Scores a suggestion.
+   *
+   * @private
+   * @param {object} suggestion - The suggestion, with its day.
+   * @returns {{score: number, reasons: Array<string>}} - The score and a short explanation of each part of it.
+   */
+  #score (suggestion) {
+    const { favouriteMovies = [], preferredDays = [], shortestWait } = this.#preferences
+    const reasons = []
+    let score = 0
+
+    if (favouriteMovies.includes(suggestion.movie)) {
+      score += 10
+      reasons.push('+10 favourite movie')
+    }
+
+    const preferredDay = [suggestion.date, suggestion.day].find(day => day && [].concat(preferredDays).includes(day))
+
+    if (preferredDay) {
+      score += 5
+      reasons.push(`+5 preferred day (${preferredDay})`)
+    }
+
+    if (suggestion.missing?.length > 0) {
+      const penalty = 5 * suggestion.missing.length
+      score -= penalty
+      reasons.push(`-${penalty} without ${suggestion.missing.join(', ')}`)
+    }
+
+    if (shortestWait) {
+      const wait = toMinutes(suggestion.dinnerStart) - toMinutes(suggestion.movieEnd ?? suggestion.movieTime)
+      const penalty = Math.ceil(wait / 30)
+      if (penalty > 0) {
+        score -= penalty
+        reasons.push(`-${penalty} waits ${formatMinutes(wait)} between the movie and the dinner`)
+      }
+    }
+
+    return { score, reasons }
+  }
+}
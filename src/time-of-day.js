@@ -0,0 +1,41 @@
+/**
+ * The time of day helpers of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+/**
+ * The names of the weekdays, from Monday to Sunday, as the days of the application are named.
+ *
+ * @type {Array<string>}
+ */
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+
+/**
+ * Converts a time of day to the number of minutes after midnight, e.g. 19:30 is 1170.
+ *
+ * @param {string|number} time - The time as HH:MM, or a whole hour such as 19 or '19'.
+ * @returns {number} - The minutes after midnight.
+ * @throws {Error} - If the time is not a time of day.
+ */
+export function toMinutes (time) {
+  const match = String(time).trim().match(/^(\d{1,2})(?:[:.](\d{2}))?$/)
+
+  if (!match || Number(match[1]) > 24 || Number(match[2] || 0) > 59) {
+    throw new Error(`"${time}" is not a time of day.`)
+  }
+
+  return Number(match[1]) * 60 + Number(match[2] || 0)
+}
+
+/**
+ * Formats a number of minutes after midnight as HH:MM, e.g. 1170 is 19:30.
+ *
+ * @param {number} minutes - The minutes after midnight.
+ * @returns {string} - The time.
+ */
+export function formatMinutes (minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0')
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`
+}
@@ -6,36 +6,53 @@
  */
 
 import { JSDOM } from 'jsdom'
+import { HttpClient } from './http-client.js'
 
 /**
  * A class that extracts links from a given URL.
  */
 export class UniversalScraper {
   /**
-   * Extracts URLs from the given URL.
+   * The signal that aborts the requests of the scraper.
    *
-   * @async
-   * @param {string} url - The URL to extract Html Elements from.
-   * @param {string} element - The Html Element to extract.
-   * @param {string} cookie - The cookie to use for the request.
-   * @returns {Promise<void>} - A promise that resolves once the Html Elements are extracted.
+   * @type {AbortSignal}
    */
-  async extractHtml (url, element, cookie) {
-    if (cookie) {
-      const extractedHtml = await this.#getHtml(url, cookie)
-      const dom = new JSDOM(extractedHtml)
+  #signal
 
-      const htmlElementArray = Array.from(dom.window.document.querySelectorAll(element))
+  /**
+   * The client that sends the requests of the scraper.
+   *
+   * @type {HttpClient}
+   */
+  #httpClient
 
-      return htmlElementArray
-    } else {
-      const extractedHtml = await this.#getHtml(url)
-      const dom = new JSDOM(extractedHtml)
+  /**
+   * Represents a UniversalScraper object.
+   *
+   * @param {object} [options] - The scraper options.
+   * @param {AbortSignal} [options.signal] - A signal that aborts the requests, e.g. on a timeout.
+   * @param {HttpClient} [options.httpClient] - The client that sends the requests.
+   */
+  constructor ({ signal, httpClient = new HttpClient() } = {}) {
+    this.#signal = signal
+    this.#httpClient = httpClient
+  }
 
-      const htmlElementArray = Array.from(dom.window.document.querySelectorAll(element))
+  /**
+   * Extracts the Html Elements that match a selector from the page of the given URL.
+   *
+   * @async
+   * @param {string} url - The URL to extract Html Elements from.
+   * @param {string} element - The selector of the Html Elements to extract.
+   * @param {import('./session.js').Session} [session] - The session to send the request with, for pages that require a login.
+   * @returns {Promise<Array<Element>>} - A promise that resolves to the Html Elements, in the order of the page.
+   * @throws {Error} - If there is an HTTP error while fetching the HTML, or the response is not HTML.
+   */
+  async extractHtml (url, element, session) {
+    const extractedHtml = await this.#getHtml(url, session)
+    const dom = new JSDOM(extractedHtml)
 
-      return htmlElementArray
-    }
+    return Array.from(dom.window.document.querySelectorAll(element))
   }
 
   /**
@@ -44,32 +61,17 @@ export class UniversalScraper {
    * @async
    * @private
    * @param {string} url - The URL to fetch the HTML from.
-   * @param {string} cookie - The cookie to use for the request.
+   * @param {import('./session.js').Session} [session] - The session to send the request with, for pages that require a login.
    * @returns {Promise<string>} - A promise that resolves with the HTML content.
-   * @throws {Error} - If there is an HTTP error while fetching the HTML.
+   * @throws {Error} - If there is an HTTP error while fetching the HTML, or the response is not HTML.
    */
-  async #getHtml (url, cookie) {
-    if (cookie) {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          Cookie: cookie
-        }
-      })
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
+  async #getHtml (url, session) {
+    if (session) {
+      const response = await session.fetch(url, { signal: this.#signal })
 
-      return response.text()
+      return this.#httpClient.html(response)
     } else {
-      const response = await fetch(url)
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
-
-      return response.text()
+      return this.#httpClient.getHtml(url, { signal: this.#signal })
     }
   }
 }
@@ -0,0 +1,171 @@
+/**
+ * The watch mode of the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises'
+import { Application } from './application.js'
+import { NoCommonDayError } from './errors.js'
+import { logger } from './logger.js'
+
+/**
+ * Runs the application again at an interval and reports the suggestions that appeared or disappeared since the last run.
+ */
+export class Watcher {
+  /**
+   * The suggestions of the last successful run.
+   *
+   * @type {Array<object>}
+   */
+  #previous
+
+  /**
+   * Represents a Watcher object.
+   *
+   * @param {string} baseUrl - The start URL of the application.
+   * @param {object} [config] - The configuration of the application, as loaded by Config.
+   * @param {object} [options] - The watch options.
+   * @param {number} [options.interval=300000] - The number of milliseconds from the end of one run to the start of the next.
+   */
+  constructor (baseUrl, config = {}, { interval = 300000 } = {}) {
+    this.baseUrl = baseUrl
+    this.config = config
+    this.interval = interval
+  }
+
+  /**
+   * Runs the application once and compares the suggestions with the last run.
+   * The first run has nothing to compare with, so all its suggestions are added. A run without a common day has no suggestions, so all are removed.
+   *
+   * @async
+   * @param {object} [options] - The options of this check.
+   * @param {AbortSignal} [options.signal] - A signal that stops the run, aborting the requests in progress.
+   * @param {boolean} [options.print=false] - Whether the application prints all suggestions.
+   * @returns {Promise<{suggestions: Array<object>, added: Array<object>, removed: Array<object>}>} - A promise that resolves to the suggestions and what changed.
+   */
+  async check ({ signal, print = false } = {}) {
+    const application = new Application(this.baseUrl, this.config)
+
+    try {
+      const suggestions = await application.run({ signal, print }).catch(error => {
+        if (error instanceof NoCommonDayError) {
+          return []
+        }
+        throw error
+      })
+      const changes = Watcher.diff(this.#previous || [], suggestions)
+
+      this.#previous = suggestions
+
+      return { suggestions, ...changes }
+    } finally {
+      await application.close().catch(error => {
+        if (!signal?.aborted) {
+          logger.warn(error.message)
+        }
+      })
+    }
+  }
+
+  /**
+   * Checks for changes at the interval until the signal is aborted. The first run prints all suggestions, the later ones only what changed.
+   * A failed run is reported and the next one compares with the last successful run.
+   *
+   * @async
+   * @param {object} [options] - The watch options.
+   * @param {AbortSignal} [options.signal] - A signal that stops watching, aborting the requests in progress.
+   * @returns {Promise<void>} - A promise that resolves once the watch has stopped.
+   */
+  async watch ({ signal } = {}) {
+    let first = true
+
+    while (!signal?.aborted) {
+      try {
+        const { added, removed } = await this.check({ signal, print: first })
+
+        if (!first) {
+          console.log(Watcher.report(added, removed))
+        }
+        first = false
+      } catch (error) {
+        if (signal?.aborted) {
+          break
+        }
+        logger.error(`${Watcher.#time()} The run failed: ${error.message}`)
+      }
+
+      try {
+        await sleep(this.interval, undefined, { signal })
+      } catch {
+        break
+      }
+    }
+  }
+
+  /**
+   * Compares two lists of suggestions.
+   *
+   * @param {Array<object>} previous - The suggestions of the last run.
+   * @param {Array<object>} current - The suggestions of this run.
+   * @returns {{added: Array<object>, removed: Array<object>}} - The suggestions that appeared and disappeared.
+   */
+  static diff (previous, current) {
+    const previousKeys = new Set(previous.map(Watcher.#key))
+    const currentKeys = new Set(current.map(Watcher.#key))
+
+    return {
+      added: current.filter(suggestion => !previousKeys.has(Watcher.#key(suggestion))),
+      removed: previous.filter(suggestion => !currentKeys.has(Watcher.#key(suggestion)))
+    }
+  }
+
+  /**
+   * Describes the changes of a run, one line per suggestion.
+   *
+   * @param {Array<object>} added - The suggestions that appeared.
+   * @param {Array<object>} removed - The suggestions that disappeared.
+   * @returns {string} - The report.
+   */
+  static report (added, removed) {
+    if (added.length === 0 && removed.length === 0) {
+      return `${Watcher.#time()} No changes.`
+    }
+
+    /**
+     * Describes a suggestion.
+     *
+     * @param {object} suggestion - The suggestion.
+     * @returns {string} - The description.
+     */
+    const describe = suggestion => `On ${suggestion.day}${suggestion.date ? ` ${suggestion.date}` : ''}, "${suggestion.movie}" begins at ${suggestion.movieTime}${suggestion.cinema ? ` at ${suggestion.cinema}` : ''}, with a table${suggestion.restaurant ? ` at ${suggestion.restaurant}` : ''} between ${suggestion.dinnerStart}-${suggestion.dinnerEnd}.`
+
+    return [
+      `${Watcher.#time()} Changes`,
+      ...added.map(suggestion => `+ ${describe(suggestion)}`),
+      ...removed.map(suggestion => `- ${describe(suggestion)}`)
+    ].join('\n')
+  }
+
+  /**
+   * Identifies a suggestion by its day and date, movie, venues and times.
+   *
+   * @private
+   * @param {object} suggestion - The suggestion.
+   * @returns {string} - The key.
+   */
+  static #key (suggestion) {
+    return [suggestion.day, suggestion.date, suggestion.movie, suggestion.cinema, suggestion.movieTime, suggestion.restaurant, suggestion.dinnerStart, suggestion.dinnerEnd].join('|')
+  }
+
+  /**
+   * The current time, to stamp the reports with.
+   *
+   * @private
+   * @returns {string} - The time as [HH:MM:SS].
+   */
+  static #time () {
+    return `[${new Date().toTimeString().slice(0, 8)}]`
+  }
+}
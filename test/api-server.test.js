@@ -0,0 +1,131 @@
+/**
+ * Tests of the HTTP API against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { ApiServer } from '../src/api-server.js'
+import { logger } from '../src/logger.js'
+
+describe('ApiServer', () => {
+  const server = new FixtureServer()
+  const config = { restaurant: { username: 'zeke', password: 'coys' }, dates: { timezone: 'Europe/Stockholm', referenceDate: '2026-10-19' } }
+  const api = new ApiServer(config)
+
+  before(async () => {
+    await server.start()
+    await api.start()
+  })
+  after(async () => {
+    await api.close()
+    await server.close()
+  })
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  /**
+   * Requests an endpoint of the API.
+   *
+   * @param {string} path - The path and query of the endpoint.
+   * @param {object} [options] - The options of the request, as for fetch.
+   * @param {ApiServer} [to=api] - The server to request.
+   * @returns {Promise<{status: number, body: object}>} - The status and the JSON body of the response.
+   */
+  const request = async (path, options, to = api) => {
+    const response = await fetch(`${to.origin}${path}`, options)
+    return { status: response.status, body: await response.json() }
+  }
+
+  it('makes the full plan', async () => {
+    const { status, body } = await request(`/suggestions?start=${server.startUrl('scraper-site-2')}`)
+
+    assert.equal(status, 200)
+    assert.deepEqual(body.suggestions.map(suggestion => `${suggestion.day} ${suggestion.movieTime} ${suggestion.dinnerStart}`), [
+      'Saturday 18:00 20:00',
+      'Sunday 18:00 20:00'
+    ])
+  })
+
+  it('forgets the failures, timings and requests of each plan once it is answered', async () => {
+    await request(`/suggestions?start=${server.startUrl('multi-venue')}`)
+
+    assert.deepEqual(logger.summary(), { requests: { count: 0, failed: 0, bytes: 0 }, timings: {}, errors: [], warnings: [] })
+  })
+
+  it('returns the data of each stage', async () => {
+    const start = server.startUrl('scraper-site-1')
+
+    const calendar = await request(`/calendar?start=${start}`)
+    assert.deepEqual(calendar.body.commonDays, ['Friday'])
+    assert.deepEqual(Object.keys(calendar.body.people).sort(), ['Mary', 'Paul', 'Peter'])
+
+    const cinema = await request(`/cinema?start=${start}`)
+    assert.ok(cinema.body.shows.some(show => show.movie === 'A Day at the Races' && show.time === '16:00' && !show.soldOut))
+
+    const restaurant = await request(`/restaurant?start=${start}`)
+    assert.deepEqual(restaurant.body.slots.Friday.map(slot => `${slot.start}-${slot.end}`), ['14:00-16:00', '18:00-20:00'])
+  })
+
+  it('runs a long plan as a job', async () => {
+    const started = await request(`/jobs?start=${server.startUrl('scraper-site-1')}`, { method: 'POST' })
+
+    assert.equal(started.status, 202)
+    assert.equal(started.body.status, 'running')
+
+    let job = started
+    while (job.body.status === 'running') {
+      await sleep(20)
+      job = await request(started.body.links.self)
+    }
+
+    assert.equal(job.body.status, 'done')
+    assert.equal(job.body.suggestions.length, 2)
+  })
+
+  it('forgets the jobs that finished longer ago than they are kept', async () => {
+    const shortLived = await new ApiServer(config, { jobTtl: 50 }).start()
+
+    try {
+      const started = await request(`/jobs?start=${server.startUrl('scraper-site-2')}`, { method: 'POST' }, shortLived)
+
+      let job = started
+      while (job.body.status === 'running') {
+        await sleep(10)
+        job = await request(started.body.links.self, undefined, shortLived)
+      }
+      assert.equal(job.body.status, 'done')
+
+      await sleep(100)
+      assert.equal((await request(started.body.links.self, undefined, shortLived)).status, 404)
+    } finally {
+      await shortLived.close()
+    }
+  })
+
+  it('returns JSON errors', async () => {
+    assert.deepEqual(await request('/suggestions'), {
+      status: 400,
+      body: { error: { status: 400, message: 'The start parameter is missing, e.g. ?start=https://courselab.lnu.se/scraper-site-1.' } }
+    })
+    assert.equal((await request('/suggestions?start=not a url')).status, 400)
+    assert.equal((await request('/jobs/unknown')).status, 404)
+    assert.equal((await request('/nothing')).status, 404)
+    assert.equal((await request('/suggestions?start=http://127.0.0.1/', { method: 'DELETE' })).status, 405)
+
+    const { status, body } = await request(`/suggestions?start=${server.startUrl('broken-calendar')}`)
+    assert.equal(status, 502)
+    assert.match(body.error.message, /has 3 day headers but 2 day cells/)
+    assert.equal(body.error.type, 'ParseError')
+    assert.ok(Object.keys(body.error.partial.tables).length > 0)
+
+    assert.equal((await request(`/suggestions?start=${server.startUrl('no-common-day')}`)).status, 422)
+  })
+})
@@ -0,0 +1,419 @@
+/**
+ * End to end tests of the application against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { Application } from '../src/application.js'
+import { AuthenticationError, NoCommonDayError, ParseError } from '../src/errors.js'
+import { RestaurantPlugin } from '../src/plugins/restaurant-plugin.js'
+
+const config = { restaurant: { username: 'zeke', password: 'coys' }, dates: { timezone: 'Europe/Stockholm', referenceDate: '2026-10-19' } }
+
+describe('Application', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  it('suggests Friday for scraper-site-1', async () => {
+    const suggestions = await new Application(server.startUrl('scraper-site-1'), config).run()
+
+    assert.deepEqual(suggestions, [
+      { day: 'Friday', date: '2026-10-23', movie: 'Keep Your Seats, Please', cinema: 'Cinema', movieTime: '16:00', movieEnd: null, restaurant: "Zeke's Bar", dinnerStart: '18:00', dinnerEnd: '20:00', movieStartsAt: '2026-10-23T16:00:00+02:00', dinnerStartsAt: '2026-10-23T18:00:00+02:00', dinnerEndsAt: '2026-10-23T20:00:00+02:00', attending: ['Mary', 'Paul', 'Peter'], missing: [], score: 0, reasons: [] },
+      { day: 'Friday', date: '2026-10-23', movie: 'A Day at the Races', cinema: 'Cinema', movieTime: '16:00', movieEnd: null, restaurant: "Zeke's Bar", dinnerStart: '18:00', dinnerEnd: '20:00', movieStartsAt: '2026-10-23T16:00:00+02:00', dinnerStartsAt: '2026-10-23T18:00:00+02:00', dinnerEndsAt: '2026-10-23T20:00:00+02:00', attending: ['Mary', 'Paul', 'Peter'], missing: [], score: 0, reasons: [] }
+    ])
+  })
+
+  it('only asks the cinema for the shows of the common days', async t => {
+    t.mock.method(globalThis, 'fetch')
+
+    await new Application(server.startUrl('scraper-site-1'), config).run()
+
+    const days = fetch.mock.calls.map(call => new URL(call.arguments[0])).filter(url => url.pathname.endsWith('/check')).map(url => url.searchParams.get('day'))
+    assert.deepEqual([...new Set(days)], ['05'])
+  })
+
+  it('prints the suggestions for scraper-site-1', async () => {
+    await new Application(server.startUrl('scraper-site-1'), config).run()
+
+    assert.equal(console.log.mock.calls[0].arguments[0], [
+      'Suggestions\n===========',
+      '* On Friday 2026-10-23, "Keep Your Seats, Please" begins at 16:00, and there is a free table to book between 18:00-20:00.',
+      '* On Friday 2026-10-23, "A Day at the Races" begins at 16:00, and there is a free table to book between 18:00-20:00.'
+    ].join('\n'))
+  })
+
+  it('prints the suggestions in the configured format', async () => {
+    await new Application(server.startUrl('scraper-site-1'), { ...config, format: 'json' }).run()
+
+    const json = JSON.parse(console.log.mock.calls[0].arguments[0])
+    assert.deepEqual(json.suggestions.map(suggestion => suggestion.movie), ['Keep Your Seats, Please', 'A Day at the Races'])
+  })
+
+  it('writes the suggestions to the output file', async () => {
+    const output = join(await mkdtemp(join(tmpdir(), 'gathering-')), 'plan.ics')
+
+    await new Application(server.startUrl('scraper-site-2'), { ...config, format: 'ics', output }).run()
+
+    assert.equal(console.log.mock.callCount(), 0)
+    assert.match(await readFile(output, 'utf8'), /^BEGIN:VCALENDAR\r\n/)
+  })
+
+  it('suggests Saturday and Sunday for scraper-site-2', async () => {
+    const suggestions = await new Application(server.startUrl('scraper-site-2'), config).run()
+
+    assert.deepEqual(suggestions, [
+      { day: 'Saturday', date: '2026-10-24', movie: 'Keep Your Seats, Please', cinema: 'Cinema', movieTime: '18:00', movieEnd: null, restaurant: "Zeke's Bar", dinnerStart: '20:00', dinnerEnd: '22:00', movieStartsAt: '2026-10-24T18:00:00+02:00', dinnerStartsAt: '2026-10-24T20:00:00+02:00', dinnerEndsAt: '2026-10-24T22:00:00+02:00', attending: ['Mary', 'Paul', 'Peter'], missing: [], score: 0, reasons: [] },
+      { day: 'Sunday', date: '2026-10-25', movie: 'Keep Your Seats, Please', cinema: 'Cinema', movieTime: '18:00', movieEnd: null, restaurant: "Zeke's Bar", dinnerStart: '20:00', dinnerEnd: '22:00', movieStartsAt: '2026-10-25T18:00:00+01:00', dinnerStartsAt: '2026-10-25T20:00:00+01:00', dinnerEndsAt: '2026-10-25T22:00:00+01:00', attending: ['Mary', 'Paul', 'Peter'], missing: [], score: 0, reasons: [] }
+    ])
+  })
+
+  it('plans the next weekends in the order of their dates', async () => {
+    const dates = { timezone: 'Europe/Stockholm', referenceDate: '2026-10-25', weekends: 2 }
+
+    const suggestions = await new Application(server.startUrl('scraper-site-2'), { ...config, dates }).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.day} ${suggestion.dinnerStartsAt}`), [
+      'Sunday 2026-10-25T20:00:00+01:00',
+      'Saturday 2026-10-31T20:00:00+01:00',
+      'Sunday 2026-11-01T20:00:00+01:00'
+    ])
+  })
+
+  it('finds the sites by their content, not their links', async () => {
+    const suggestions = await new Application(server.startUrl('renamed'), config).run()
+
+    assert.deepEqual(suggestions.map(suggestion => suggestion.day), ['Friday', 'Friday'])
+  })
+
+  it('suggests every cinema and restaurant, each with its own credentials', async () => {
+    const restaurants = [{ url: server.startUrl('second-venue'), username: 'ada', password: 'lovelace' }]
+    const application = new Application(server.startUrl('multi-venue'), { ...config, restaurants })
+    const suggestions = await application.run()
+
+    assert.equal(suggestions.length, 6)
+    assert.deepEqual(new Set(suggestions.map(suggestion => suggestion.cinema)), new Set(['Cinema', 'Bio Rio']))
+    assert.deepEqual(new Set(suggestions.map(suggestion => suggestion.restaurant)), new Set(["Zeke's Bar", "Ada's Diner"]))
+    assert.match(console.log.mock.calls[0].arguments[0], /"The Flying Deuces" begins at 16:00 at Bio Rio, and there is a free table at Ada's Diner to book between 18:00-20:00\./)
+
+    const booking = await application.book(suggestions.find(suggestion => suggestion.restaurant === "Ada's Diner"))
+
+    assert.equal(booking.booked, true)
+    assert.deepEqual(server.bookings('second-venue'), ['fri1820'])
+    assert.deepEqual(server.bookings('multi-venue'), [])
+    await application.close()
+  })
+
+  it('skips a restaurant it cannot log in to if another one can be read', async () => {
+    const suggestions = await new Application(server.startUrl('multi-venue'), config).run()
+
+    assert.deepEqual(new Set(suggestions.map(suggestion => suggestion.restaurant)), new Set(["Zeke's Bar"]))
+    assert.match(console.error.mock.calls[0].arguments[0], /Could not read Ada's Diner: Could not log in to the restaurant/)
+  })
+
+  it('retries the pages of a flaky site', async () => {
+    const suggestions = await new Application(server.startUrl('flaky'), config).run()
+
+    assert.equal(suggestions.length, 2)
+  })
+
+  it('replays a recorded run without the network', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'gathering-'))
+    const recorded = await new Application(server.startUrl('scraper-site-2'), { ...config, record: dir }).run()
+    const hits = server.hits('/scraper-site-2/')
+
+    const replayed = await new Application(server.startUrl('scraper-site-2'), { ...config, replay: dir }).run()
+
+    assert.deepEqual(replayed, recorded)
+    assert.equal(server.hits('/scraper-site-2/'), hits)
+  })
+
+  it('redacts the cookies and password of a recording', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'gathering-'))
+    const application = new Application(server.startUrl('scraper-site-1'), { ...config, record: dir })
+    await application.run()
+    await application.close()
+
+    const { log } = JSON.parse(await readFile(join(dir, 'archive.har'), 'utf8'))
+    const login = log.entries.find(entry => entry.request.method === 'POST')
+    const headers = log.entries.flatMap(entry => [...entry.request.headers, ...entry.response.headers])
+
+    assert.equal(login.request.postData.text, 'username=zeke&password=redacted&submit=login')
+    assert.ok(headers.some(header => header.name === 'set-cookie'))
+    assert.ok(headers.filter(header => header.name === 'cookie' || header.name === 'set-cookie').every(header => /^PHPSESSID=redacted/.test(header.value)))
+    assert.ok(log.entries.some(entry => entry.request.url.endsWith('/logout')))
+  })
+
+  it('crawls the start URL once', async () => {
+    const hits = server.hits('/scraper-site-2/')
+
+    await new Application(server.startUrl('scraper-site-2'), config).run()
+
+    assert.equal(server.hits('/scraper-site-2/'), hits + 1)
+  })
+
+  it('keeps the minutes of the shows and tables', async () => {
+    const suggestions = await new Application(server.startUrl('timing'), config).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.movieTime} ${suggestion.dinnerStart}-${suggestion.dinnerEnd}`), [
+      '16:00 18:00-20:00',
+      '16:00 18:30-20:30',
+      '16:00 21:00-23:00',
+      '16:30 18:30-20:30',
+      '16:30 21:00-23:00'
+    ])
+  })
+
+  it('limits the wait before dinner', async () => {
+    const suggestions = await new Application(server.startUrl('timing'), { ...config, timing: { maxWait: 60 } }).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.movieTime} ${suggestion.dinnerStart}`), ['16:00 18:00', '16:00 18:30', '16:30 18:30'])
+  })
+
+  it('adds the movie length and the travel time', async () => {
+    const timing = { movieLength: 100, travelTime: 30 }
+    const suggestions = await new Application(server.startUrl('timing'), { ...config, timing }).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.movieTime}-${suggestion.movieEnd} ${suggestion.dinnerStart}`), [
+      '16:00-17:40 18:30',
+      '16:00-17:40 21:00',
+      '16:30-18:10 21:00'
+    ])
+    assert.match(console.log.mock.calls[0].arguments[0], /"A Day at the Races" begins at 16:00 and ends at 17:40, and there is a free table to book between 18:30-20:30\./)
+  })
+
+  it('adds the travel time after the minimum gap when the movie length is not known', async () => {
+    const suggestions = await new Application(server.startUrl('timing'), { ...config, timing: { travelTime: 15 } }).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.movieTime} ${suggestion.dinnerStart}`), ['16:00 18:30', '16:00 21:00', '16:30 21:00'])
+  })
+
+  it('ranks the suggestions by the preferences', async () => {
+    const preferences = { favouriteMovies: ['A Day at the Races'], shortestWait: true, top: 2 }
+    const suggestions = await new Application(server.startUrl('timing'), { ...config, preferences }).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.movie} ${suggestion.movieTime} ${suggestion.dinnerStart} ${suggestion.score}`), [
+      'A Day at the Races 16:00 18:00 6',
+      'A Day at the Races 16:00 18:30 5'
+    ])
+    assert.match(console.log.mock.calls[0].arguments[0], /\n {2}Score 6: \+10 favourite movie, -4 waits 02:00 between the movie and the dinner\n/)
+  })
+
+  it('plans the days enough friends are free, with who would miss them', async () => {
+    const suggestions = await new Application(server.startUrl('scraper-site-1'), { ...config, attendance: { quorum: 2 } }).run()
+
+    assert.deepEqual(suggestions.map(suggestion => `${suggestion.day} ${suggestion.movie} ${suggestion.missing.join(', ')} ${suggestion.score}`), [
+      'Friday Keep Your Seats, Please  0',
+      'Friday A Day at the Races  0',
+      'Saturday The Flying Deuces Paul -5',
+      'Saturday Keep Your Seats, Please Paul -5',
+      'Sunday Keep Your Seats, Please Peter -5'
+    ])
+    assert.match(console.log.mock.calls[0].arguments[0], /\* On Saturday 2026-10-24, "The Flying Deuces" .* Paul would miss it\.\n/)
+  })
+
+  it('plans only the days the friends who must attend are free', async () => {
+    const suggestions = await new Application(server.startUrl('scraper-site-1'), { ...config, attendance: { quorum: 2, mustAttend: ['Paul'] } }).run()
+
+    assert.deepEqual([...new Set(suggestions.map(suggestion => suggestion.day))], ['Friday', 'Sunday'])
+  })
+
+  it('fails with the calendars when there is no common day, without reading the cinema', async t => {
+    const application = new Application(server.startUrl('no-common-day'), config)
+    t.mock.method(globalThis, 'fetch')
+
+    await assert.rejects(application.run(), error => {
+      assert.ok(error instanceof NoCommonDayError)
+      assert.equal(error.stage, 'calendar')
+      assert.deepEqual(error.partial.commonDays, [])
+      assert.equal(Object.keys(error.partial.people).length, 3)
+      assert.equal(error.partial.shows, undefined)
+      return true
+    })
+    assert.ok(fetch.mock.calls.every(call => !new URL(call.arguments[0]).pathname.endsWith('/check')))
+  })
+
+  it('cancels the dinner in progress when there is no common day, and times every step', async t => {
+    let read = false
+    t.mock.method(RestaurantPlugin.prototype, 'fetchAvailability', async (venue, { httpClient }) => {
+      await httpClient.fetch(`${server.startUrl('slow')}dinner/`)
+      read = true
+    })
+    const application = new Application(server.startUrl('no-common-day'), config)
+
+    await assert.rejects(application.run(), error => {
+      assert.ok(error instanceof NoCommonDayError)
+      assert.deepEqual(error.failures, [error])
+      assert.equal(error.partial.tables, undefined)
+      return true
+    })
+    assert.equal(read, false)
+    assert.ok(application.timings.dinner < 1000)
+    assert.equal(application.timings.cinema, 0)
+    assert.deepEqual(Object.keys(application.timings).sort(), ['calendar', 'cinema', 'crawl', 'dinner', 'run'])
+  })
+
+  it('stops with a clear error on a calendar it cannot read, skipping the cinema and keeping the dinner', async () => {
+    const application = new Application(server.startUrl('broken-calendar'), config)
+
+    await assert.rejects(application.run(), error => {
+      assert.ok(error instanceof ParseError)
+      assert.match(error.message, /The calendar at .*peter\.html has 3 day headers but 2 day cells\./)
+      assert.equal(error.stage, 'calendar')
+      assert.deepEqual(error.failures, [error])
+      assert.equal(error.partial.people, undefined)
+      assert.equal(error.partial.shows, undefined)
+      assert.ok(Object.keys(error.partial.tables).length > 0)
+      return true
+    })
+  })
+
+  it('suggests nothing when every show is sold out', async () => {
+    const suggestions = await new Application(server.startUrl('sold-out'), config).run()
+
+    assert.deepEqual(suggestions, [])
+  })
+
+  it('fails with the common days and free shows when the restaurant login fails', async () => {
+    const application = new Application(server.startUrl('failed-login'), config)
+
+    await assert.rejects(application.run(), error => {
+      assert.ok(error instanceof AuthenticationError)
+      assert.match(error.message, /Could not log in to the restaurant/)
+      assert.equal(error.stage, 'dinner')
+      assert.deepEqual(error.failures, [error])
+      assert.ok(error.partial.commonDays.length > 0)
+      assert.deepEqual(Object.keys(error.partial.shows), error.partial.commonDays)
+      assert.equal(error.partial.tables, undefined)
+      return true
+    })
+  })
+
+  it('fails without restaurant credentials', async () => {
+    await assert.rejects(new Application(server.startUrl('scraper-site-1')).run(), {
+      name: 'AuthenticationError',
+      message: /No credentials for the restaurant/
+    })
+  })
+
+  it('logs out of the restaurant when closed', async () => {
+    const application = new Application(server.startUrl('scraper-site-2'), config)
+    const sessions = server.sessions('scraper-site-2')
+    await application.run()
+    assert.equal(server.sessions('scraper-site-2'), sessions + 1)
+
+    await application.close()
+
+    assert.equal(server.sessions('scraper-site-2'), sessions)
+  })
+
+  it('logs out of the session of the last run before logging in again', async () => {
+    const application = new Application(server.startUrl('scraper-site-2'), config)
+    const sessions = server.sessions('scraper-site-2')
+
+    await application.run()
+    await application.run()
+    assert.equal(server.sessions('scraper-site-2'), sessions + 1)
+
+    await application.close()
+    assert.equal(server.sessions('scraper-site-2'), sessions)
+  })
+})
+
+describe('Application#book', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  it('books the table of a suggestion', async () => {
+    const application = new Application(server.startUrl('scraper-site-2'), config)
+    const suggestions = await application.run()
+
+    const booking = await application.book(suggestions[0])
+
+    assert.equal(booking.booked, true)
+    assert.match(booking.message, /Saturday 20-22 is booked/)
+    assert.deepEqual(server.bookings('scraper-site-2'), ['sat2022'])
+  })
+
+  it('only shows the request in a dry run', async () => {
+    const application = new Application(server.startUrl('scraper-site-1'), config)
+    const suggestions = await application.run()
+
+    const booking = await application.book(suggestions[0], { dryRun: true })
+
+    assert.equal(booking.booked, false)
+    assert.equal(booking.request.method, 'POST')
+    assert.equal(booking.request.url, `${server.startUrl('scraper-site-1')}dinner/login/booking`)
+    assert.match(booking.request.body, /^csrf_token=[\w-]+&group1=fri1820$/)
+    assert.deepEqual(server.bookings('scraper-site-1'), [])
+  })
+
+  it('rejects a table that has been booked since the run', async () => {
+    const first = new Application(server.startUrl('scraper-site-1'), config)
+    const second = new Application(server.startUrl('scraper-site-1'), config)
+    const suggestions = await first.run()
+    await second.run()
+
+    await first.book(suggestions[0])
+
+    await assert.rejects(second.book(suggestions[0]), /fri1820 is no longer free/)
+  })
+
+  it('does not take a failure page that mentions a booking for a confirmation', async () => {
+    const application = new Application(server.startUrl('refused-booking'), config)
+    const suggestions = await application.run()
+
+    await assert.rejects(application.book(suggestions[0]), /The booking was not confirmed: Not reserved Sorry, the table was already booked by someone else\./)
+  })
+
+  it('logs in again when the session has expired', async () => {
+    const application = new Application(server.startUrl('scraper-site-2'), config)
+    const suggestions = await application.run()
+    server.expireSessions()
+
+    const booking = await application.book(suggestions.find(suggestion => suggestion.day === 'Sunday'))
+
+    assert.equal(booking.booked, true)
+    assert.deepEqual(server.bookings('scraper-site-2'), ['sat2022', 'sun2022'])
+  })
+
+  it('books only at a restaurant of the last run that was logged in to', async () => {
+    const application = new Application(server.startUrl('multi-venue'), config)
+    await application.run()
+    await application.run()
+
+    const booking = await application.book({ day: 'Friday', dinnerStart: '18:00' })
+
+    assert.equal(booking.booked, true)
+    assert.deepEqual(server.bookings('multi-venue'), ['fri1820'])
+    assert.deepEqual(server.bookings('second-venue'), [])
+    await assert.rejects(application.book({ day: 'Friday', dinnerStart: '18:00', restaurant: "Ada's Diner" }), /There is no restaurant Ada's Diner that was logged in to/)
+    await application.close()
+  })
+
+  it('refuses to book before the application has run', async () => {
+    const application = new Application(server.startUrl('scraper-site-1'), config)
+
+    await assert.rejects(application.book({ day: 'Friday', dinnerStart: '18:00' }), /Run the application/)
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * Tests of the calendar scraper against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { CalendarScraper } from '../src/calendar-scraper.js'
+
+describe('CalendarScraper', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  it('reads the days from the table headers', async () => {
+    const people = await new CalendarScraper(server.startUrl('scraper-site-1')).displayCalendarInfo()
+
+    assert.deepEqual(people.Peter, [
+      { day: 'Friday', info: 'ok', available: true },
+      { day: 'Saturday', info: 'ok', available: true },
+      { day: 'Sunday', info: '--', available: false }
+    ])
+  })
+
+  it('supports any weekdays and availability variants', async () => {
+    const people = await new CalendarScraper(server.startUrl('weekdays')).displayCalendarInfo()
+
+    /**
+     * Returns the days a person is available.
+     *
+     * @param {string} person - The name of the person.
+     * @returns {Array<string>} - The days.
+     */
+    const available = person => people[person].filter(data => data.available).map(data => data.day)
+    assert.deepEqual(available('Paul'), ['Thursday', 'Friday'])
+    assert.deepEqual(available('Peter'), ['Friday', 'Saturday'])
+    assert.deepEqual(available('Mary Jane'), ['Friday'])
+    assert.deepEqual(people.Peter.map(data => data.day), ['Monday', 'Friday', 'Saturday', 'Sunday'])
+  })
+
+  it('names people after the heading of their calendar', async () => {
+    const people = await new CalendarScraper(server.startUrl('weekdays')).displayCalendarInfo()
+
+    assert.deepEqual(Object.keys(people).sort(), ['Mary Jane', 'Paul', 'Peter'])
+  })
+
+  it('finds the days enough people are free, and who would miss each day', () => {
+    const calendarScraper = new CalendarScraper()
+    const people = {
+      Paul: [{ day: 'Friday', available: true }, { day: 'Saturday', available: false }],
+      Peter: [{ day: 'Friday', available: false }, { day: 'Saturday', available: true }],
+      Mary: [{ day: 'Friday', available: true }, { day: 'Saturday', available: true }]
+    }
+
+    assert.deepEqual(calendarScraper.findCommonDays(people), [])
+    assert.deepEqual(calendarScraper.findCommonDays(people, { quorum: 2 }), ['Friday', 'Saturday'])
+    assert.deepEqual(calendarScraper.findCommonDays(people, { quorum: 2, mustAttend: ['Peter'] }), ['Saturday'])
+    assert.deepEqual(calendarScraper.findAttendance(people)[0], { day: 'Friday', attending: ['Paul', 'Mary'], missing: ['Peter'] })
+    assert.deepEqual(calendarScraper.findCommonDays({}), [])
+    assert.throws(() => calendarScraper.findCommonDays(people, { quorum: 0 }), /The quorum must be a whole number of at least 1, not 0\./)
+    assert.throws(() => calendarScraper.findCommonDays(people, { mustAttend: ['Ringo'] }), /Ringo must attend, but there is no calendar of Ringo\./)
+  })
+
+  it('rejects a calendar that does not match its headers', async () => {
+    const calendarScraper = new CalendarScraper(server.startUrl('broken-calendar'))
+
+    await assert.rejects(calendarScraper.displayCalendarInfo(), /peter\.html has 3 day headers but 2 day cells/)
+  })
+
+  it('rejects a mark it cannot tell is available or busy', async () => {
+    const calendarScraper = new CalendarScraper(server.startUrl('ambiguous-calendar'))
+
+    await assert.rejects(calendarScraper.displayCalendarInfo(), /paul\.html has the unknown availability "x" on Friday/)
+  })
+})
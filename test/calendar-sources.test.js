@@ -0,0 +1,132 @@
+/**
+ * Tests of the calendar sources, alone and mixed in the application.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { Application } from '../src/application.js'
+import { createCalendarSource } from '../src/calendar-sources/index.js'
+import { DateResolver } from '../src/date-resolver.js'
+import { HttpClient } from '../src/http-client.js'
+import { ParseError } from '../src/errors.js'
+
+const PETER_ICS = fileURLToPath(new URL('./fixtures/calendars/peter.ics', import.meta.url))
+const DATA = fileURLToPath(new URL('../data/', import.meta.url))
+
+describe('CalendarSource', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  it('reads a JSON file once per day, named after the file', async () => {
+    const [calendar] = await createCalendarSource({ source: 'json', path: join(DATA, 'Paul.json') }).read({})
+
+    assert.deepEqual(calendar, {
+      person: 'Paul',
+      calendarInfo: [
+        { day: 'Friday', info: 'ok', available: true },
+        { day: 'Saturday', info: 'ok', available: true },
+        { day: 'Sunday', info: 'ok', available: true }
+      ]
+    })
+  })
+
+  it('reads a JSON calendar over HTTP', async () => {
+    const path = `${server.startUrl('scraper-site-1')}calendar/paul.json`
+
+    const [calendar] = await createCalendarSource({ source: 'json', path }).read({ httpClient: new HttpClient() })
+
+    assert.equal(calendar.person, 'Paul')
+    assert.deepEqual(calendar.calendarInfo.map(data => data.day), ['Friday', 'Sunday'])
+  })
+
+  it('reads the free and busy events of an iCalendar file', async () => {
+    const dates = new DateResolver({ timezone: 'Europe/Stockholm', referenceDate: '2026-10-19', weekends: 2 })
+    const [calendar] = await createCalendarSource({ source: 'ics', path: PETER_ICS }).read({ dates })
+
+    assert.equal(calendar.person, 'Peter')
+    assert.deepEqual(calendar.calendarInfo, [
+      { day: 'Friday', info: 'Free', available: true, dates: ['2026-10-23', '2026-10-30'] },
+      { day: 'Saturday', info: 'Busy', available: false, dates: [] }
+    ])
+  })
+
+  it('reads the dates of the events in the timezone of the plan, by the free and busy rules', async () => {
+    const path = join(await mkdtemp(join(tmpdir(), 'gathering-')), 'ada.ics')
+    await writeFile(path, [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT', 'UID:fridays', 'DTSTART;VALUE=DATE:20261023', 'RRULE:FREQ=WEEKLY;COUNT=3', 'EXDATE;VALUE=DATE:20261030', 'SUMMARY:Free', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:dentist', 'DTSTART:20261106T090000Z', 'SUMMARY:Dentist', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:late', 'DTSTART:20261030T230000Z', 'SUMMARY:Free', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:new-york', 'DTSTART;TZID=America/New_York:20261031T200000', 'SUMMARY:OK!', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'))
+    const dates = new DateResolver({ timezone: 'Europe/Stockholm', referenceDate: '2026-10-19', weekends: 3 })
+
+    const [calendar] = await createCalendarSource({ source: 'ics', path }).read({ dates })
+
+    assert.equal(calendar.person, 'Ada')
+    assert.deepEqual(calendar.calendarInfo, [
+      { day: 'Friday', info: 'Free', available: true, dates: ['2026-10-23'] },
+      { day: 'Saturday', info: 'Free', available: true, dates: ['2026-10-31'] },
+      { day: 'Sunday', info: 'OK!', available: true, dates: ['2026-11-01'] }
+    ])
+  })
+
+  it('suggests only the dates an iCalendar file is free on, not every date of the weekday', async () => {
+    const path = join(await mkdtemp(join(tmpdir(), 'gathering-')), 'peter.ics')
+    await writeFile(path, 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20261023\r\nSUMMARY:Free\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n')
+    const config = {
+      restaurant: { username: 'zeke', password: 'coys' },
+      dates: { timezone: 'Europe/Stockholm', referenceDate: '2026-10-19', weekends: 2 },
+      calendars: [{ source: 'html' }, { source: 'ics', path }]
+    }
+
+    const suggestions = await new Application(server.startUrl('scraper-site-1'), config).run()
+
+    assert.ok(suggestions.length > 0)
+    assert.deepEqual(new Set(suggestions.map(suggestion => suggestion.date)), new Set(['2026-10-23']))
+  })
+
+  it('rejects an unknown source, a missing path and a day that is not a weekday', async () => {
+    assert.throws(() => createCalendarSource({ source: 'xml' }), /Unknown calendar source "xml", use one of html, json, ics\./)
+    assert.throws(() => createCalendarSource({ source: 'json' }), /A json calendar needs the path of its file\./)
+
+    const path = join(await mkdtemp(join(tmpdir(), 'gathering-')), 'ada.json')
+    await writeFile(path, JSON.stringify({ availableDays: ['Friday', 'Caturday'] }))
+
+    await assert.rejects(createCalendarSource({ source: 'json', path }).read({}), error => {
+      assert.ok(error instanceof ParseError)
+      assert.match(error.message, /has the day "Caturday", which is not a weekday\./)
+      return true
+    })
+  })
+
+  it('finds the common days the same way whatever the sources', async () => {
+    const start = server.startUrl('scraper-site-1')
+
+    const crawled = await new Application(start).calendar()
+    const files = await new Application(start, { calendars: ['Mary', 'Paul', 'Peter'].map(person => ({ source: 'json', path: join(DATA, `${person}.json`) })) }).calendar()
+    const mixed = await new Application(start, { dates: { referenceDate: '2026-10-19' }, calendars: [{ source: 'html' }, { source: 'json', path: join(DATA, 'Paul.json') }, { source: 'ics', path: PETER_ICS }] }).calendar()
+
+    assert.deepEqual(crawled.commonDays, ['Friday'])
+    assert.deepEqual(files.commonDays, ['Friday', 'Saturday', 'Sunday'])
+    assert.deepEqual(Object.keys(mixed.people), ['Mary', 'Paul', 'Peter'])
+    assert.equal(mixed.people.Paul.length, 3)
+    assert.deepEqual(mixed.commonDays, ['Friday'])
+  })
+})
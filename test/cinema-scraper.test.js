@@ -0,0 +1,121 @@
+/**
+ * Tests of the cinema scraper against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { CinemaScraper } from '../src/cinema-scraper.js'
+import { HttpClient } from '../src/http-client.js'
+import { ParseError } from '../src/errors.js'
+
+describe('CinemaScraper', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  it('returns every show, sold out or not, with the seats the cinema tells', async () => {
+    const shows = await new CinemaScraper(server.startUrl('seat-details')).displayCinemaInfo()
+
+    assert.deepEqual(shows, [
+      { day: 'Friday', time: '16:00', movie: 'The Flying Deuces', cinema: 'Cinema', soldOut: true, seats: 0 },
+      { day: 'Friday', time: '16:00', movie: 'Keep Your Seats, Please', cinema: 'Cinema', soldOut: false, seats: 12 },
+      { day: 'Saturday', time: '18:00', movie: 'The Flying Deuces', cinema: 'Cinema', soldOut: false, seats: 3 },
+      { day: 'Saturday', time: '09:30', movie: 'Keep Your Seats, Please', cinema: 'Cinema', soldOut: false, seats: null }
+    ])
+  })
+
+  it('only asks for the shows of the days that are needed', async t => {
+    const httpClient = new HttpClient()
+    t.mock.method(httpClient, 'fetch')
+
+    const shows = await new CinemaScraper(server.startUrl('scraper-site-1'), httpClient).displayCinemaInfo(undefined, undefined, { days: ['Saturday'] })
+
+    const checks = httpClient.fetch.mock.calls.map(call => call.arguments[0]).filter(url => url.includes('check?'))
+    assert.deepEqual(checks.map(url => new URL(url).searchParams.get('day')), ['06', '06', '06'])
+    assert.ok(shows.length > 0 && shows.every(show => show.day === 'Saturday'))
+  })
+
+  it('finds the same shows with one request at a time', async () => {
+    const parallel = await new CinemaScraper(server.startUrl('scraper-site-2')).displayCinemaInfo()
+    const serial = await new CinemaScraper(server.startUrl('scraper-site-2'), undefined, { concurrency: 1 }).displayCinemaInfo()
+
+    assert.deepEqual(parallel, serial)
+  })
+
+  it('sends no more than the concurrency of requests at a time', async t => {
+    const httpClient = new HttpClient()
+    const getJson = httpClient.getJson.bind(httpClient)
+    let inFlight = 0
+    let most = 0
+
+    t.mock.method(httpClient, 'getJson', async url => {
+      most = Math.max(most, ++inFlight)
+
+      try {
+        return await getJson(url)
+      } finally {
+        inFlight--
+      }
+    })
+
+    await new CinemaScraper(server.startUrl('scraper-site-2'), httpClient, { concurrency: 2 }).displayCinemaInfo()
+
+    assert.ok(httpClient.getJson.mock.callCount() > 2)
+    assert.equal(most, 2)
+  })
+
+  it('starts no more requests once one has failed', async t => {
+    const httpClient = new HttpClient()
+    const getJson = httpClient.getJson.bind(httpClient)
+    t.mock.method(httpClient, 'getJson', async url => {
+      if (httpClient.getJson.mock.callCount() === 0) {
+        throw new Error('The cinema is down.')
+      }
+      return getJson(url)
+    })
+
+    await assert.rejects(new CinemaScraper(server.startUrl('scraper-site-1'), httpClient, { concurrency: 2 }).displayCinemaInfo(), /The cinema is down\./)
+    await sleep(100)
+
+    assert.equal(httpClient.getJson.mock.callCount(), 2)
+  })
+
+  it('aborts the requests in flight once one has failed', async t => {
+    const httpClient = new HttpClient()
+    let inFlight = 0
+    let aborted = 0
+
+    t.mock.method(httpClient, 'getJson', async (url, { signal }) => {
+      if (httpClient.getJson.mock.callCount() === 0) {
+        await sleep(20)
+        throw new Error('The cinema is down.')
+      }
+
+      inFlight++
+      await new Promise((resolve, reject) => signal.addEventListener('abort', () => {
+        aborted++
+        inFlight--
+        reject(signal.reason)
+      }))
+    })
+
+    await assert.rejects(new CinemaScraper(server.startUrl('scraper-site-1'), httpClient, { concurrency: 3 }).displayCinemaInfo(), /The cinema is down\./)
+
+    assert.equal(aborted, 2)
+    assert.equal(inFlight, 0)
+  })
+
+  it('rejects a show that does not match the schema', async () => {
+    await assert.rejects(new CinemaScraper(server.startUrl('malformed-shows')).displayCinemaInfo(), error => {
+      assert.ok(error instanceof ParseError)
+      assert.match(error.message, /A show at .*check\?day=05&movie=01 is not valid, its time "4 pm" is not HH:MM\./)
+      return true
+    })
+  })
+})
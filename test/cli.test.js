@@ -0,0 +1,154 @@
+/**
+ * Tests of the command-line interface against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { Cli } from '../src/cli.js'
+
+describe('Cli', () => {
+  const server = new FixtureServer()
+  let config
+
+  before(async () => {
+    await server.start()
+    config = join(await mkdtemp(join(tmpdir(), 'gathering-')), 'gathering.config.json')
+    await writeFile(config, JSON.stringify({ restaurant: { username: 'zeke', password: 'coys' }, dates: { timezone: 'Europe/Stockholm', referenceDate: '2026-10-19' } }))
+  })
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  /**
+   * Returns everything printed to a console method, as one string.
+   *
+   * @param {string} method - The console method, log or error.
+   * @returns {string} - The printed text.
+   */
+  const printed = method => console[method].mock.calls.map(call => call.arguments[0]).join('\n')
+
+  it('shows the help and the version', async () => {
+    assert.equal(await new Cli().run(['--help']), 0)
+    assert.match(printed('log'), /Usage: npm start -- \[command\] <start-url> \[options\]/)
+    assert.match(printed('log'), /calendar <start-url>/)
+
+    assert.equal(await new Cli().run(['-V']), 0)
+    assert.match(printed('log'), /\n1\.1\.1$/)
+  })
+
+  it('rejects a missing or invalid start URL before doing anything', async () => {
+    assert.equal(await new Cli().run([]), 2)
+    assert.match(printed('error'), /The start URL is missing/)
+
+    assert.equal(await new Cli().run(['cinema', 'courselab.lnu.se']), 2)
+    assert.match(printed('error'), /The start URL courselab\.lnu\.se is not valid/)
+  })
+
+  it('rejects unknown options and formats', async () => {
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '--nope']), 2)
+    assert.equal(await new Cli().run(['calendar', server.startUrl('scraper-site-1'), '--format', 'ics']), 2)
+    assert.match(printed('error'), /The calendar command prints text or json, not ics\./)
+
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '-f', 'xml']), 2)
+    assert.match(printed('error'), /Unknown format "xml", use one of text, json, csv, ics, html\./)
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '--log-level', 'foo']), 2)
+    assert.match(printed('error'), /Unknown log level "foo"/)
+    assert.equal(await new Cli().run(['serve', '--log-format', 'xml']), 2)
+    assert.match(printed('error'), /Unknown log format "xml"/)
+  })
+
+  it('rejects a count that is not a positive whole number', async () => {
+    for (const [name, value] of [['--top', '1.5'], ['--quorum', '0.5'], ['--weekends', '2.5'], ['--book', '0']]) {
+      assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), name, value]), 2)
+      assert.match(printed('error'), new RegExp(`${name} must be a positive whole number, not ${value.replace('.', '\\.')}\\.`))
+    }
+
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '--interval', '0.5', '--timeout', '0']), 2)
+    assert.match(printed('error'), /--timeout must be a positive number, not 0\./)
+  })
+
+  it('plans by default, as before', async () => {
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '--config', config]), 0)
+
+    assert.match(printed('log'), /\* On Friday \d{4}-\d{2}-\d{2}, "A Day at the Races" begins at 16:00, and there is a free table to book between 18:00-20:00\./)
+  })
+
+  it('shows how long the crawl and each step took', async () => {
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '-c', config, '--timings']), 0)
+
+    assert.match(printed('log'), /\nTimings\n=======\n\* crawl \d+ ms\n/)
+    for (const step of ['calendar', 'cinema', 'dinner']) {
+      assert.match(printed('log'), new RegExp(`\\n\\* ${step} \\d+ ms\\n`))
+    }
+    assert.match(printed('log'), /\n\* run \d+ ms$/)
+  })
+
+  it('keeps the reports out of the suggestions when they are not text', async () => {
+    assert.equal(await new Cli().run([server.startUrl('scraper-site-1'), '-c', config, '-f', 'json', '--explain', '--timings']), 0)
+
+    assert.ok(JSON.parse(printed('log')).suggestions.length > 0)
+    assert.match(printed('error'), /\nDiscovered sites\n/)
+    assert.match(printed('error'), /\nTimings\n=======\n/)
+  })
+
+  it('runs one stage at a time', async () => {
+    const start = server.startUrl('scraper-site-1')
+
+    assert.equal(await new Cli().run(['calendar', start, '-c', config]), 0)
+    assert.match(printed('log'), /Everyone is free on Friday\./)
+
+    assert.equal(await new Cli().run(['calendar', start, '-c', config, '--quorum', '2', '--must-attend', 'Paul']), 0)
+    assert.match(printed('log'), /Everyone is free on Friday\.\nSunday: Peter would miss it\./)
+
+    assert.equal(await new Cli().run(['cinema', start, '-c', config, '--format', 'json']), 0)
+    assert.ok(JSON.parse(console.log.mock.calls.at(-1).arguments[0]).shows.length > 0)
+
+    assert.equal(await new Cli().run(['dinner', start, '-c', config]), 0)
+    assert.match(printed('log'), /Friday: 14:00-16:00, 18:00-20:00/)
+
+    assert.equal(await new Cli().run(['crawl', start, '-c', config, '-v']), 0)
+    assert.match(printed('log'), /restaurant: .*dinner\/ "Zeke's Bar" \(has a login form with a password field\)/)
+    assert.match(printed('error'), /INFO +Crawled \d+ pages/)
+  })
+
+  it('prints the broken and out-of-scope links of a crawl, or the graph of it', async () => {
+    const start = server.startUrl('dead-links')
+
+    assert.equal(await new Cli().run(['crawl', start, '-c', config]), 0)
+    assert.match(printed('log'), /broken: .*dead-links\/news\/ \(status 404, linked from .*dead-links\/\)/)
+    assert.match(printed('log'), /out of scope: http:\/\/localhost:\d+\/scraper-site-2\/ \(linked from /)
+
+    assert.equal(await new Cli().run(['crawl', start, '-c', config, '--format', 'dot']), 0)
+    assert.match(console.log.mock.calls.at(-1).arguments[0], /^digraph crawl \{/)
+  })
+
+  it('fails with the exit code of the error and prints the partial results', async () => {
+    assert.equal(await new Cli().run([server.startUrl('broken-calendar'), '-c', config]), 4)
+    assert.match(printed('error'), /The calendar stage failed: .*has 3 day headers but 2 day cells/)
+    assert.match(printed('log'), /Could not make any suggestions, but this could be read:\nFree tables on /)
+
+    assert.equal(await new Cli().run([server.startUrl('no-common-day'), '-c', config]), 6)
+    assert.match(printed('error'), /There is no day when everyone is free\./)
+
+    assert.equal(await new Cli().run([server.startUrl('failed-login'), '-c', config, '--format', 'json']), 5)
+    const { partial, errors } = JSON.parse(console.log.mock.calls.at(-1).arguments[0])
+    assert.ok(partial.commonDays.length > 0)
+    assert.deepEqual(errors.map(error => error.type), ['AuthenticationError'])
+  })
+
+  it('fails with the exit code of the error of a booking that was not confirmed', async () => {
+    assert.equal(await new Cli().run([server.startUrl('refused-booking'), '-c', config, '--book', '1']), 4)
+    assert.match(printed('error'), /The booking was not confirmed: Not reserved Sorry, the table was already booked by someone else\./)
+    assert.deepEqual(server.bookings('refused-booking'), [])
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Tests of the cookie jar.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { CookieJar } from '../src/cookie-jar.js'
+
+describe('CookieJar', () => {
+  it('stores several cookies of one response', () => {
+    const jar = new CookieJar()
+    jar.setCookies('http://example.com/dinner/login', ['a=1; Path=/; HttpOnly', 'b=2; Path=/'])
+
+    assert.equal(jar.getCookieHeader('http://example.com/'), 'a=1; b=2')
+  })
+
+  it('scopes cookies by path', () => {
+    const jar = new CookieJar()
+    jar.setCookies('http://example.com/dinner/login', ['session=abc; Path=/dinner/', 'id=1'])
+
+    assert.equal(jar.getCookieHeader('http://example.com/dinner/login/booking'), 'session=abc; id=1')
+    assert.equal(jar.getCookieHeader('http://example.com/dinner2/'), '')
+    assert.equal(jar.getCookieHeader('http://example.com/cinema/'), '')
+  })
+
+  it('scopes cookies by domain', () => {
+    const jar = new CookieJar()
+    jar.setCookies('http://www.example.com/', ['host=1', 'shared=2; Domain=.example.com', 'other=3; Domain=example.org'])
+
+    assert.equal(jar.getCookieHeader('http://www.example.com/'), 'host=1; shared=2')
+    assert.equal(jar.getCookieHeader('http://api.example.com/'), 'shared=2')
+    assert.equal(jar.getCookieHeader('http://example.org/'), '')
+  })
+
+  it('drops expired and deleted cookies', () => {
+    const jar = new CookieJar()
+    jar.setCookies('http://example.com/', ['old=1; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'session=abc', 'short=1; Max-Age=60'])
+    jar.setCookies('http://example.com/', ['session=deleted; Max-Age=0'])
+
+    assert.equal(jar.getCookieHeader('http://example.com/'), 'short=1')
+  })
+
+  it('only sends secure cookies over https', () => {
+    const jar = new CookieJar()
+    jar.setCookies('https://example.com/', ['token=1; Secure'])
+
+    assert.equal(jar.getCookieHeader('http://example.com/'), '')
+    assert.equal(jar.getCookieHeader('https://example.com/'), 'token=1')
+  })
+})
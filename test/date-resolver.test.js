@@ -0,0 +1,64 @@
+/**
+ * Tests of the date resolver.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { DateResolver } from '../src/date-resolver.js'
+
+describe('DateResolver', () => {
+  it('resolves a weekday to its date in each whole weekend from the week of the reference date', () => {
+    const dates = new DateResolver({ timezone: 'Europe/Stockholm', referenceDate: '2026-10-24', weekends: 3 })
+
+    assert.deepEqual(dates.datesOf('Friday'), ['2026-10-30', '2026-11-06'])
+    assert.deepEqual(dates.datesOf('Saturday'), ['2026-10-24', '2026-10-31', '2026-11-07'])
+    assert.deepEqual(dates.datesOf('Sunday'), ['2026-10-25', '2026-11-01', '2026-11-08'])
+    assert.deepEqual(dates.datesOf('Fredag'), [])
+
+    const sunday = new DateResolver({ timezone: 'Europe/Stockholm', referenceDate: '2026-10-18' })
+
+    assert.deepEqual(['Friday', 'Saturday', 'Sunday'].map(day => sunday.datesOf(day)), [[], [], ['2026-10-18']])
+  })
+
+  it('leaves out the suggestions that start before the reference time', () => {
+    const dates = new DateResolver({ timezone: 'Europe/Stockholm', referenceDate: new Date('2026-10-18T15:00:00Z'), weekends: 2 })
+    const suggestion = { day: 'Sunday', movie: 'The Flying Deuces', movieTime: '16:00', dinnerStart: '18:00', dinnerEnd: '20:00' }
+
+    assert.deepEqual(dates.resolve(suggestion).map(dated => dated.date), ['2026-10-25'])
+    assert.deepEqual(dates.resolve({ ...suggestion, movieTime: '18:00', dinnerStart: '20:00' }).map(dated => dated.date), ['2026-10-18', '2026-10-25'])
+  })
+
+  it('gives the times with the offset of the timezone on the date, summer time or not', () => {
+    const dates = new DateResolver({ timezone: 'Europe/Stockholm', referenceDate: '2026-10-19' })
+
+    assert.equal(dates.dateTime('2026-10-24', '18:00'), '2026-10-24T18:00:00+02:00')
+    assert.equal(dates.dateTime('2026-10-25', '18:00'), '2026-10-25T18:00:00+01:00')
+    assert.equal(dates.dateTime('2026-10-25', '24:00'), '2026-10-26T00:00:00+01:00')
+    assert.equal(new DateResolver({ timezone: 'America/St_Johns' }).dateTime('2026-07-03', '19:30'), '2026-07-03T19:30:00-02:30')
+  })
+
+  it('makes a suggestion on each of its dates, without a date if its day is not a weekday', () => {
+    const dates = new DateResolver({ timezone: 'UTC', referenceDate: '2026-10-19', weekends: 2 })
+    const suggestion = { day: 'Friday', movie: 'The Flying Deuces', movieTime: '16:00', movieEnd: null, dinnerStart: '18:00', dinnerEnd: '20:00', activities: [{ name: 'Lane 1', start: '20:00', end: null }] }
+
+    const [first, second] = dates.resolve(suggestion)
+
+    assert.equal(first.date, '2026-10-23')
+    assert.equal(first.movieStartsAt, '2026-10-23T16:00:00+00:00')
+    assert.equal(first.movieEndsAt, undefined)
+    assert.equal(first.dinnerEndsAt, '2026-10-23T20:00:00+00:00')
+    assert.deepEqual(first.activities, [{ name: 'Lane 1', start: '20:00', end: null, startsAt: '2026-10-23T20:00:00+00:00', endsAt: null }])
+    assert.equal(second.date, '2026-10-30')
+    assert.deepEqual(dates.resolve({ ...suggestion, day: 'Fredag' }).map(dated => dated.date), [null])
+  })
+
+  it('defaults to today in the timezone and rejects what is not valid', () => {
+    assert.match(new DateResolver({ timezone: 'Pacific/Kiritimati' }).referenceDate, /^\d{4}-\d{2}-\d{2}$/)
+    assert.throws(() => new DateResolver({ timezone: 'Europe/Gothenburg' }), /Unknown timezone "Europe\/Gothenburg", use an IANA name such as Europe\/Stockholm\./)
+    assert.throws(() => new DateResolver({ referenceDate: '2026-02-30' }), /The reference date "2026-02-30" is not a date as YYYY-MM-DD\./)
+    assert.throws(() => new DateResolver({ weekends: 0 }), /The number of weekends must be a whole number of at least 1, not 0\./)
+  })
+})
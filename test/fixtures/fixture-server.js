@@ -0,0 +1,530 @@
+/**
+ * A local stand-in for the calendar, cinema and restaurant websites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import http from 'node:http'
+import { randomUUID } from 'node:crypto'
+import { readdir, readFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+
+const SITES_DIRECTORY = new URL('./sites/', import.meta.url)
+
+/**
+ * Serves every dataset in the sites directory under its own path, e.g. /scraper-site-1/.
+ */
+export class FixtureServer {
+  /**
+   * The datasets, keyed by name.
+   *
+   * @type {Map<string, object>}
+   */
+  #sites = new Map()
+
+  /**
+   * The logged in sessions, mapping a session id to the name of the dataset.
+   *
+   * @type {Map<string, string>}
+   */
+  #sessions = new Map()
+
+  /**
+   * The booked tables, mapping the name of a dataset to the booked radio button values.
+   *
+   * @type {Map<string, Set<string>>}
+   */
+  #bookings = new Map()
+
+  /**
+   * The number of requests for each path.
+   *
+   * @type {Map<string, number>}
+   */
+  #hits = new Map()
+
+  /**
+   * The underlying HTTP server.
+   *
+   * @type {http.Server}
+   */
+  #server
+
+  /**
+   * The origin the server listens on, e.g. http://127.0.0.1:3000.
+   *
+   * @type {string}
+   */
+  origin
+
+  /**
+   * Loads the datasets and starts listening.
+   *
+   * @async
+   * @param {number} [port=0] - The port to listen on, 0 picks a free one.
+   * @returns {Promise<FixtureServer>} - A promise that resolves with the server once it listens.
+   */
+  async start (port = 0) {
+    await this.#loadSites()
+
+    this.#server = http.createServer((req, res) => {
+      this.#handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' })
+        res.end(error.message)
+      })
+    })
+
+    await new Promise(resolve => this.#server.listen(port, '127.0.0.1', resolve))
+    this.origin = `http://127.0.0.1:${this.#server.address().port}`
+
+    return this
+  }
+
+  /**
+   * Stops the server.
+   *
+   * @async
+   * @returns {Promise<void>} - A promise that resolves when the server is closed.
+   */
+  async close () {
+    this.#server.closeAllConnections()
+    await new Promise(resolve => this.#server.close(resolve))
+  }
+
+  /**
+   * Returns the start URL of a dataset.
+   *
+   * @param {string} site - The name of the dataset, e.g. scraper-site-1.
+   * @returns {string} - The start URL.
+   */
+  startUrl (site) {
+    return `${this.origin}/${site}/`
+  }
+
+  /**
+   * Returns the tables booked on a dataset.
+   *
+   * @param {string} site - The name of the dataset.
+   * @returns {Array<string>} - The radio button values of the booked tables.
+   */
+  bookings (site) {
+    return Array.from(this.#bookings.get(site) || [])
+  }
+
+  /**
+   * Returns the number of logged in sessions on a dataset.
+   *
+   * @param {string} site - The name of the dataset.
+   * @returns {number} - The number of sessions.
+   */
+  sessions (site) {
+    return Array.from(this.#sessions.values()).filter(name => name === site).length
+  }
+
+  /**
+   * Returns the number of requests for a path.
+   *
+   * @param {string} path - The path, e.g. /scraper-site-1/.
+   * @returns {number} - The number of requests.
+   */
+  hits (path) {
+    return this.#hits.get(path) || 0
+  }
+
+  /**
+   * Ends all sessions, as if they had expired.
+   */
+  expireSessions () {
+    this.#sessions.clear()
+  }
+
+  /**
+   * Reads every JSON file in the sites directory and resolves the "extends" property.
+   *
+   * @async
+   * @private
+   * @returns {Promise<void>} - A promise that resolves when all datasets are loaded.
+   */
+  async #loadSites () {
+    const raw = {}
+    for (const file of await readdir(SITES_DIRECTORY)) {
+      if (file.endsWith('.json')) {
+        raw[file.slice(0, -'.json'.length)] = JSON.parse(await readFile(new URL(file, SITES_DIRECTORY), 'utf8'))
+      }
+    }
+
+    /**
+     * Merges a dataset on top of the dataset it extends.
+     *
+     * @param {string} name - The name of the dataset.
+     * @returns {object} - The resolved dataset.
+     */
+    const resolve = name => {
+      const { extends: parent, ...site } = raw[name]
+      return parent ? { ...resolve(parent), ...site } : site
+    }
+
+    for (const name of Object.keys(raw)) {
+      this.#sites.set(name, resolve(name))
+    }
+  }
+
+  /**
+   * Routes a request to the page of the matching dataset.
+   *
+   * @async
+   * @private
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @returns {Promise<void>} - A promise that resolves when the response is sent.
+   */
+  async #handle (req, res) {
+    const url = new URL(req.url, this.origin)
+    this.#hits.set(url.pathname, this.hits(url.pathname) + 1)
+    const [, name, ...rest] = url.pathname.split('/')
+    const site = this.#sites.get(name)
+    const path = rest.join('/')
+
+    if (url.pathname === '/robots.txt') {
+      return this.#send(res, 200, 'text/plain', this.#robotsTxt())
+    } else if (!site) {
+      return this.#send(res, 404, 'text/plain', 'Not found')
+    }
+
+    if (site.delay && path !== '') {
+      await new Promise(resolve => setTimeout(resolve, site.delay))
+    }
+
+    // A flaky site is unavailable for the first GET requests of every page but the start page.
+    if (site.flaky && req.method === 'GET' && path !== '' && this.hits(url.pathname) <= site.flaky) {
+      res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8', 'Retry-After': '0' })
+      return res.end('Service Unavailable')
+    }
+
+    const { calendar, cinema, dinner } = site.links
+    const markup = this.#markup(site)
+    const person = site.calendar.find(person => path === `${calendar}${person.file}`)
+    const personJson = site.calendar.find(person => path === `${calendar}${person.file.replace(/\.html$/, '.json')}`)
+
+    if (req.method === 'GET' && path === '') {
+      return this.#send(res, 200, 'text/html', this.#startPage(name, site))
+    } else if (req.method === 'GET' && path === calendar) {
+      return this.#send(res, 200, 'text/html', this.#calendarPage(site))
+    } else if (req.method === 'GET' && person) {
+      return this.#send(res, 200, 'text/html', this.#personPage(person))
+    } else if (req.method === 'GET' && personJson) {
+      const availableDays = Object.keys(personJson.days).filter(day => /^ok$/i.test(personJson.days[day]))
+      return this.#send(res, 200, 'application/json', JSON.stringify({ availableDays }))
+    } else if (req.method === 'GET' && path === cinema) {
+      return this.#send(res, 200, 'text/html', this.#cinemaPage(site))
+    } else if (req.method === 'GET' && path === `${cinema}${markup.check}`) {
+      const shows = site.cinema.shows
+        .filter(show => show.day === url.searchParams.get(markup.day) && show.movie === url.searchParams.get(markup.movie))
+        .map(({ status, day, time, movie, seats }) => ({ status, day, time, movie, seats }))
+      return this.#send(res, 200, 'application/json', JSON.stringify(shows))
+    } else if (req.method === 'GET' && path === dinner) {
+      return this.#send(res, 200, 'text/html', this.#loginPage(site))
+    } else if (req.method === 'POST' && path === `${dinner}login`) {
+      return this.#login(req, res, name, site)
+    } else if (req.method === 'GET' && path === `${dinner}${site.restaurant.redirect}`) {
+      if (this.#sessions.get(this.#sessionId(req)) !== name) {
+        return this.#send(res, 401, 'text/plain', 'Unauthorized')
+      }
+      return this.#send(res, 200, 'text/html', this.#bookingPage(name, site, this.#sessionId(req)))
+    } else if (req.method === 'POST' && path === `${dinner}${site.restaurant.redirect}`) {
+      if (this.#sessions.get(this.#sessionId(req)) !== name) {
+        return this.#send(res, 401, 'text/plain', 'Unauthorized')
+      }
+      return this.#book(req, res, name, site)
+    } else if (req.method === 'GET' && path === `${dinner}logout`) {
+      this.#sessions.delete(this.#sessionId(req))
+      res.writeHead(302, {
+        Location: `/${name}/${dinner}`,
+        'Set-Cookie': `PHPSESSID=deleted; path=/${name}/${dinner}; Max-Age=0`
+      })
+      return res.end()
+    }
+
+    this.#send(res, 404, 'text/plain', 'Not found')
+  }
+
+  /**
+   * Checks the posted credentials and redirects to the booking page with a session cookie.
+   *
+   * @async
+   * @private
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} name - The name of the dataset.
+   * @param {object} site - The dataset.
+   * @returns {Promise<void>} - A promise that resolves when the response is sent.
+   */
+  async #login (req, res, name, site) {
+    const form = new URLSearchParams(await this.#readBody(req))
+    const { username, password } = site.restaurant.credentials
+    const markup = this.#markup(site)
+
+    if (form.get(markup.username) !== username || form.get(markup.password) !== password) {
+      return this.#send(res, 200, 'text/html', this.#loginPage(site, 'Wrong username or password'))
+    }
+
+    const sessionId = randomUUID()
+    this.#sessions.set(sessionId, name)
+
+    res.writeHead(302, {
+      Location: site.restaurant.redirect,
+      'Set-Cookie': `PHPSESSID=${sessionId}; path=/${name}/${site.links.dinner}; HttpOnly`
+    })
+    res.end()
+  }
+
+  /**
+   * Books the posted table if it is free and the form was posted with the session's csrf token.
+   *
+   * @async
+   * @private
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} name - The name of the dataset.
+   * @param {object} site - The dataset.
+   * @returns {Promise<void>} - A promise that resolves when the response is sent.
+   */
+  async #book (req, res, name, site) {
+    const form = new URLSearchParams(await this.#readBody(req))
+    const booked = this.#bookings.get(name) || new Set()
+    const slot = site.restaurant.slots.find(slot => slot.value === form.get('group1'))
+
+    if (form.get('csrf_token') !== this.#sessionId(req)) {
+      return this.#send(res, 200, 'text/html', this.#bookingPage(name, site, this.#sessionId(req), 'Invalid form, please try again'))
+    } else if (!slot || booked.has(slot.value)) {
+      return this.#send(res, 200, 'text/html', this.#bookingPage(name, site, this.#sessionId(req), 'The table is not available'))
+    }
+    if (site.restaurant.refusal) {
+      return this.#send(res, 200, 'text/html', this.#page("Zeke's Bar", site.restaurant.refusal))
+    }
+
+    this.#bookings.set(name, booked.add(slot.value))
+    this.#send(res, 200, 'text/html', this.#page("Zeke's Bar", `<h1>Thank you!</h1><p>Your table on ${slot.text} is booked.</p>`))
+  }
+
+  /**
+   * Returns the names of the form fields, the endpoint of the shows and how the free tables are laid out of a dataset, which the "markup" property of a dataset may change.
+   * The tables are paragraphs with the radio button before the times, or rows of a table with the times before the radio button.
+   *
+   * @private
+   * @param {object} site - The dataset.
+   * @returns {{day: string, movie: string, check: string, username: string, password: string, tables: string}} - The names, and paragraphs or rows.
+   */
+  #markup (site) {
+    return { day: 'day', movie: 'movie', check: 'check', username: 'username', password: 'password', tables: 'paragraphs', ...site.markup }
+  }
+
+  /**
+   * Reads the session id from the cookie header of a request.
+   *
+   * @private
+   * @param {http.IncomingMessage} req - The request.
+   * @returns {string|undefined} - The session id, if any.
+   */
+  #sessionId (req) {
+    const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim().split('='))
+    return cookies.find(([key]) => key === 'PHPSESSID')?.[1]
+  }
+
+  /**
+   * Reads the whole body of a request.
+   *
+   * @async
+   * @private
+   * @param {http.IncomingMessage} req - The request.
+   * @returns {Promise<string>} - A promise that resolves with the body.
+   */
+  async #readBody (req) {
+    let body = ''
+    for await (const chunk of req) {
+      body += chunk
+    }
+    return body
+  }
+
+  /**
+   * Sends a complete response.
+   *
+   * @private
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} status - The HTTP status code.
+   * @param {string} type - The content type.
+   * @param {string} body - The body.
+   */
+  #send (res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8` })
+    res.end(body)
+  }
+
+  /**
+   * Renders the robots.txt file, disallowing the paths listed in the "disallow" property of each dataset.
+   *
+   * @private
+   * @returns {string} - The robots.txt file.
+   */
+  #robotsTxt () {
+    const rules = []
+    for (const [name, site] of this.#sites) {
+      for (const path of site.disallow || []) {
+        rules.push(`Disallow: /${name}/${path}`)
+      }
+    }
+    return ['User-agent: *', ...rules].join('\n')
+  }
+
+  /**
+   * Wraps a page body in an HTML document.
+   *
+   * @private
+   * @param {string} title - The title of the page.
+   * @param {string} body - The body of the page.
+   * @returns {string} - The HTML document.
+   */
+  #page (title, body) {
+    return `<!doctype html><html><head><meta charset="utf-8"><title>${title}</title></head><body>${body}</body></html>`
+  }
+
+  /**
+   * Renders the start page, linking to the three websites with absolute URLs.
+   * An "external" dataset also links to scraper-site-2 on another origin, localhost instead of 127.0.0.1.
+   * The "partners" of a dataset are other datasets whose cinema and restaurant it also links to.
+   * The "deadLinks" of a dataset are paths it links to that are not found.
+   *
+   * @private
+   * @param {string} name - The name of the dataset.
+   * @param {object} site - The dataset.
+   * @returns {string} - The HTML document.
+   */
+  #startPage (name, site) {
+    const base = this.startUrl(name)
+    return this.#page('The Gathering', `
+      <ol>
+        <li><a href="${base}${site.links.calendar}">Calendars</a></li>
+        <li><a href="${base}${site.links.cinema}">Cinema</a></li>
+        <li><a href="${base}${site.links.dinner}">Zeke's Bar</a></li>
+      </ol>
+      ${site.external ? `<a href="${this.origin.replace('127.0.0.1', 'localhost')}/scraper-site-2/">Our partner</a>` : ''}
+      ${(site.partners || []).map(partner => `
+        <a href="${this.startUrl(partner)}${this.#sites.get(partner).links.cinema}">Another cinema</a>
+        <a href="${this.startUrl(partner)}${this.#sites.get(partner).links.dinner}">Another restaurant</a>`).join('')}
+      ${(site.deadLinks || []).map(path => `<a href="${base}${path}">Old page</a>`).join('')}`)
+  }
+
+  /**
+   * Renders the calendar index, linking to each person with relative URLs.
+   *
+   * @private
+   * @param {object} site - The dataset.
+   * @returns {string} - The HTML document.
+   */
+  #calendarPage (site) {
+    const links = site.calendar.map(person => `<li><a href="./${person.file}">${person.name}</a></li>`)
+    return this.#page('Calendars', `<h1>Calendars</h1><ul>${links.join('')}</ul>`)
+  }
+
+  /**
+   * Renders the calendar of a person, or the "html" of the person as is.
+   *
+   * @private
+   * @param {object} person - The person of the dataset.
+   * @returns {string} - The HTML document.
+   */
+  #personPage (person) {
+    if (person.html) {
+      return this.#page(person.name, person.html)
+    }
+
+    const days = Object.keys(person.days)
+    return this.#page(person.name, `
+      <h2>${person.name}</h2>
+      <table>
+        <thead><tr>${days.map(day => `<th>${day}</th>`).join('')}</tr></thead>
+        <tbody><tr>${days.map(day => `<td>${person.days[day]}</td>`).join('')}</tr></tbody>
+      </table>`)
+  }
+
+  /**
+   * Renders the cinema page with the day and movie selects, headed by the name of the cinema.
+   *
+   * @private
+   * @param {object} site - The dataset.
+   * @returns {string} - The HTML document.
+   */
+  #cinemaPage (site) {
+    /**
+     * Renders the options of a select.
+     *
+     * @param {Array<{value: string, name: string}>} items - The days or movies.
+     * @returns {string} - The option elements.
+     */
+    const options = items => items.map(item => `<option value="${item.value}">${item.name}</option>`).join('')
+    const name = site.names?.cinema || 'Cinema'
+    const markup = this.#markup(site)
+    return this.#page(name, `
+      <h1>${name}</h1>
+      <form>
+        <select name="${markup.day}"><option value="" disabled selected>--- Pick a day ---</option>${options(site.cinema.days)}</select>
+        <select name="${markup.movie}"><option value="" disabled selected>--- Pick a movie ---</option>${options(site.cinema.movies)}</select>
+        <button type="button">Check availability</button>
+      </form>`)
+  }
+
+  /**
+   * Renders the login form of the restaurant, headed by its name.
+   *
+   * @private
+   * @param {object} site - The dataset.
+   * @param {string} [message] - An error message to show above the form.
+   * @returns {string} - The HTML document.
+   */
+  #loginPage (site, message) {
+    const name = site.names?.restaurant || "Zeke's Bar"
+    const markup = this.#markup(site)
+    return this.#page(name, `
+      <h1>${name}</h1>
+      ${message ? `<p class="error">${message}</p>` : ''}
+      <form action="./login" method="post">
+        <input type="text" name="${markup.username}">
+        <input type="password" name="${markup.password}">
+        <input type="submit" name="submit" value="login">
+      </form>`)
+  }
+
+  /**
+   * Renders the booking page with the free tables.
+   *
+   * @private
+   * @param {string} name - The name of the dataset.
+   * @param {object} site - The dataset.
+   * @param {string} csrfToken - The csrf token of the form, which is the session id.
+   * @param {string} [message] - An error message to show above the form.
+   * @returns {string} - The HTML document.
+   */
+  #bookingPage (name, site, csrfToken, message) {
+    const booked = this.#bookings.get(name) || new Set()
+    const free = site.restaurant.slots.filter(slot => !booked.has(slot.value))
+    const slots = this.#markup(site).tables === 'rows'
+      ? `<table>${free.map(slot => `<tr data-day="${slot.value.replace(/\d+$/, '')}"><td class="time">${slot.text}</td><td><input type="radio" name="group1" value="${slot.value}"></td></tr>`).join('')}</table>`
+      : free.map(slot => `<p><input type="radio" name="group1" value="${slot.value}"><span>${slot.text}</span></p>`).join('')
+    return this.#page("Zeke's Bar", `
+      <h1>Welcome!</h1>
+      ${message ? `<p class="error">${message}</p>` : ''}
+      <form method="post">
+        <input type="hidden" name="csrf_token" value="${csrfToken}">
+        ${slots}
+        <input type="submit" value="Book">
+      </form>
+      <a href="../logout">Log out</a>`)
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = await new FixtureServer().start(Number(process.argv[2]) || 3000)
+  console.log(`Serving the fixture sites at ${server.origin}/<site>/, e.g. ${server.startUrl('scraper-site-1')}`)
+}
@@ -0,0 +1,135 @@
+/**
+ * Tests of the output formats.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createFormatter } from '../src/formatters/index.js'
+
+const suggestions = [
+  { day: 'Friday', movie: 'Keep Your Seats, Please', movieTime: '16:00', movieEnd: null, dinnerStart: '18:00', dinnerEnd: '20:00', score: 0, reasons: [] },
+  { day: 'Friday', movie: 'A Day at the "Races"', movieTime: '16:30', movieEnd: '18:15', dinnerStart: '20:00', dinnerEnd: '22:00', score: 0, reasons: [] }
+]
+
+// The suggestions as resolved to the dates of a weekend by DateResolver.
+const dated = [
+  { ...suggestions[0], date: '2026-10-23', movieStartsAt: '2026-10-23T16:00:00+02:00', dinnerStartsAt: '2026-10-23T18:00:00+02:00', dinnerEndsAt: '2026-10-23T20:00:00+02:00' },
+  { ...suggestions[1], date: '2026-10-23', movieStartsAt: '2026-10-23T16:30:00+02:00', movieEndsAt: '2026-10-23T18:15:00+02:00', dinnerStartsAt: '2026-10-23T20:00:00+02:00', dinnerEndsAt: '2026-10-23T22:00:00+02:00' }
+]
+
+describe('formatters', () => {
+  it('formats text as the terminal list', () => {
+    assert.equal(createFormatter('text').format(suggestions), [
+      'Suggestions\n===========',
+      '* On Friday, "Keep Your Seats, Please" begins at 16:00, and there is a free table to book between 18:00-20:00.',
+      '* On Friday, "A Day at the "Races"" begins at 16:30 and ends at 18:15, and there is a free table to book between 20:00-22:00.'
+    ].join('\n'))
+  })
+
+  it('explains the score of a ranked suggestion', () => {
+    const ranked = [{ ...suggestions[0], score: 15, reasons: ['+10 favourite movie', '+5 preferred day (Friday)'] }]
+
+    assert.equal(createFormatter('text').format(ranked).split('\n')[3], '  Score 15: +10 favourite movie, +5 preferred day (Friday)')
+  })
+
+  it('formats JSON with one object per suggestion', () => {
+    const json = JSON.parse(createFormatter('json').format(suggestions))
+
+    assert.deepEqual(json.suggestions[0], {
+      day: 'Friday',
+      date: null,
+      movie: 'Keep Your Seats, Please',
+      cinema: null,
+      movieTime: '16:00',
+      movieEnd: null,
+      restaurant: null,
+      dinnerStart: '18:00',
+      dinnerEnd: '20:00',
+      movieStartsAt: null,
+      movieEndsAt: null,
+      dinnerStartsAt: null,
+      dinnerEndsAt: null,
+      activities: [],
+      attending: [],
+      missing: [],
+      score: 0,
+      reasons: []
+    })
+  })
+
+  it('formats CSV with quoted fields', () => {
+    assert.equal(createFormatter('csv').format(suggestions), [
+      'day,date,movie,cinema,movieTime,movieEnd,restaurant,dinnerStart,dinnerEnd,missing,score,reasons',
+      'Friday,,"Keep Your Seats, Please",,16:00,,,18:00,20:00,,0,',
+      'Friday,,"A Day at the ""Races""",,16:30,18:15,,20:00,22:00,,0,'
+    ].join('\r\n'))
+  })
+
+  it('formats iCalendar with an event for the movie and one for the dinner of each dated suggestion', () => {
+    const ics = createFormatter('ics').format([...dated, suggestions[0]])
+    const lines = ics.split('\r\n')
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR')
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 4)
+    assert.ok(lines.includes('DTSTART:20261023T140000Z'))
+    assert.ok(lines.includes('DTEND:20261023T160000Z'))
+    assert.ok(lines.includes('SUMMARY:Movie: Keep Your Seats\\, Please'))
+    assert.ok(lines.includes('DTSTART:20261023T143000Z'))
+    assert.ok(lines.includes('DTEND:20261023T161500Z'))
+    assert.ok(lines.includes('DTSTART:20261023T180000Z'))
+    assert.ok(!lines.some(line => line.startsWith('LOCATION:')))
+    assert.ok(lines.every(line => line.length <= 75))
+  })
+
+  it('folds the iCalendar lines by their length in UTF-8, without splitting a character', () => {
+    const ics = createFormatter('ics').format([{ ...dated[0], movie: 'Små grodorna på ängen, och ännu fler grodor som hoppar över ån till Hägersten', cinema: 'Röda Kvarn' }])
+    const lines = ics.split('\r\n')
+    const summary = lines.findIndex(line => line.startsWith('SUMMARY:Movie: '))
+
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75))
+    assert.ok(Buffer.byteLength(lines[summary]) > 70)
+    assert.ok(lines[summary + 1].startsWith(' '))
+    assert.equal(lines[summary] + lines[summary + 1].slice(1), 'SUMMARY:Movie: Små grodorna på ängen\\, och ännu fler grodor som hoppar över ån till Hägersten')
+    assert.ok(lines.every(line => Buffer.from(line).toString() === line))
+  })
+
+  it('formats the date of a dated suggestion, and its times in UTC in iCalendar', () => {
+    const weekends = [
+      dated[0],
+      { ...suggestions[0], date: '2026-10-30', movieStartsAt: '2026-10-30T16:00:00+01:00', dinnerStartsAt: '2026-10-30T18:00:00+01:00', dinnerEndsAt: '2026-10-30T20:00:00+01:00' }
+    ]
+    const lines = createFormatter('ics').format(weekends).split('\r\n')
+
+    assert.equal(createFormatter('text').format(weekends.slice(0, 1)).split('\n')[2], '* On Friday 2026-10-23, "Keep Your Seats, Please" begins at 16:00, and there is a free table to book between 18:00-20:00.')
+    assert.equal(createFormatter('text').format(weekends).split('\n')[3], '* On Friday 2026-10-30, "Keep Your Seats, Please" begins at 16:00, and there is a free table to book between 18:00-20:00.')
+    assert.ok(lines.includes('DTSTART:20261030T150000Z'))
+    assert.ok(lines.includes('DTEND:20261030T170000Z'))
+    assert.ok(lines.includes('DTEND:20261030T190000Z'))
+  })
+
+  it('tells who would miss a suggestion', () => {
+    const withoutPeter = [{ ...suggestions[0], attending: ['Mary', 'Paul'], missing: ['Peter'] }]
+    const withoutTwo = [{ ...suggestions[0], missing: ['Paul', 'Peter'] }]
+
+    assert.equal(createFormatter('text').format(withoutPeter).split('\n')[2], '* On Friday, "Keep Your Seats, Please" begins at 16:00, and there is a free table to book between 18:00-20:00. Peter would miss it.')
+    assert.equal(createFormatter('text').format(withoutTwo).split('\n')[2], '* On Friday, "Keep Your Seats, Please" begins at 16:00, and there is a free table to book between 18:00-20:00. Paul and Peter would miss it.')
+    assert.equal(createFormatter('csv').format(withoutTwo).split('\r\n')[1], 'Friday,,"Keep Your Seats, Please",,16:00,,,18:00,20:00,Paul; Peter,0,')
+    assert.ok(createFormatter('ics').format([{ ...dated[0], missing: ['Peter'] }]).split('\r\n').includes('DESCRIPTION:Peter would miss it.'))
+    assert.match(createFormatter('html').format(withoutTwo), /<td>Paul and Peter<\/td>/)
+  })
+
+  it('formats a self-contained HTML report', () => {
+    const html = createFormatter('html').format(suggestions)
+
+    assert.match(html, /^<!doctype html>/)
+    assert.match(html, /<td>A Day at the &quot;Races&quot;<\/td>/)
+    assert.doesNotMatch(html, /<link|<script/)
+  })
+
+  it('rejects an unknown format', () => {
+    assert.throws(() => createFormatter('pdf'), /Unknown format "pdf", use one of text, json, csv, ics, html\./)
+  })
+})
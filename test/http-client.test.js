@@ -0,0 +1,103 @@
+/**
+ * Tests of the HTTP client.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { HttpClient } from '../src/http-client.js'
+
+describe('HttpClient', () => {
+  const requests = []
+  let server
+  let origin
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, userAgent: req.headers['user-agent'] })
+      const attempts = requests.filter(request => request.url === req.url).length
+
+      if (req.url === '/flaky' && attempts < 3) {
+        res.writeHead(503, { 'Retry-After': '0' })
+        res.end()
+      } else if (req.url === '/down') {
+        res.writeHead(500)
+        res.end()
+      } else if (req.url === '/slow') {
+        setTimeout(() => res.end('late'), 500)
+      } else if (req.url === '/json') {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' })
+        res.end('{"ok":true}')
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+        res.end('<p>ok</p>')
+      }
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    origin = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => {
+    server.closeAllConnections()
+    return new Promise(resolve => server.close(resolve))
+  })
+
+  /**
+   * Returns the requests the server has received for a path.
+   *
+   * @param {string} path - The path.
+   * @returns {Array<object>} - The requests.
+   */
+  const received = path => requests.filter(request => request.url === path)
+
+  it('retries a 503 until it succeeds, with the User-Agent', async () => {
+    const html = await new HttpClient({ userAgent: 'test-agent/1.0' }).getHtml(`${origin}/flaky`)
+
+    assert.equal(html, '<p>ok</p>')
+    assert.equal(received('/flaky').length, 3)
+    assert.ok(received('/flaky').every(request => request.userAgent === 'test-agent/1.0'))
+  })
+
+  it('gives up after the retries and reports the status', async () => {
+    const client = new HttpClient({ retries: 1, backoff: 1 })
+
+    await assert.rejects(client.getHtml(`${origin}/down`), { name: 'NetworkError', status: 500, message: /HTTP error! status: 500/ })
+    assert.equal(received('/down').length, 2)
+  })
+
+  it('does not retry a POST unless asked to', async () => {
+    const client = new HttpClient({ backoff: 1 })
+    const before = received('/down').length
+
+    const response = await client.fetch(`${origin}/down`, { method: 'POST' })
+
+    assert.equal(response.status, 500)
+    assert.equal(received('/down').length, before + 1)
+  })
+
+  it('times out a slow request', async () => {
+    const client = new HttpClient({ timeout: 100, retries: 0 })
+
+    await assert.rejects(client.fetch(`${origin}/slow`), { name: 'NetworkError', message: /timed out after 100 ms/ })
+  })
+
+  it('checks the content type', async () => {
+    const client = new HttpClient()
+
+    assert.deepEqual(await client.getJson(`${origin}/json`), { ok: true })
+    await assert.rejects(client.getJson(`${origin}/page`), { name: 'ParseError', message: /Expected JSON from .*\/page but got text\/html/ })
+    await assert.rejects(client.getHtml(`${origin}/json`), /Expected HTML from .*\/json but got application\/json/)
+  })
+
+  it('limits the requests per second to a host', async () => {
+    const client = new HttpClient({ rateLimit: 20 })
+    const start = Date.now()
+
+    await Promise.all([1, 2, 3].map(() => client.getHtml(`${origin}/page`)))
+
+    assert.ok(Date.now() - start >= 90)
+  })
+})
@@ -0,0 +1,168 @@
+/**
+ * Tests of the link crawler against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { LinkCrawler } from '../src/link-crawler.js'
+import { CrawlReport } from '../src/crawl-report.js'
+
+describe('LinkCrawler', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'error', () => {})
+  })
+
+  /**
+   * Returns the URLs of a dataset, relative to its start URL.
+   *
+   * @param {string} site - The name of the dataset.
+   * @param {Array<string>} urls - The crawled URLs.
+   * @returns {Array<string>} - The relative URLs, sorted.
+   */
+  const relative = (site, urls) => urls.map(url => url.replace(server.startUrl(site), '')).sort()
+
+  it('finds every page of the site', async () => {
+    const crawler = new LinkCrawler(server.startUrl('scraper-site-1'))
+
+    const urls = await crawler.crawl(server.startUrl('scraper-site-1'))
+
+    assert.deepEqual(relative('scraper-site-1', urls), [
+      '',
+      'calendar/',
+      'calendar/mary.html',
+      'calendar/paul.html',
+      'calendar/peter.html',
+      'cinema/',
+      'dinner/'
+    ])
+  })
+
+  it('finds the same pages with one request at a time', async () => {
+    const crawler = new LinkCrawler(server.startUrl('scraper-site-2'))
+    const serial = new LinkCrawler(server.startUrl('scraper-site-2'), { concurrency: 1 })
+
+    assert.deepEqual((await serial.crawl()).sort(), (await crawler.crawl()).sort())
+  })
+
+  it('stops at the maximum depth', async () => {
+    const crawler = new LinkCrawler(server.startUrl('scraper-site-1'), { maxDepth: 1 })
+
+    assert.deepEqual(relative('scraper-site-1', await crawler.crawl()), ['', 'calendar/', 'cinema/', 'dinner/'])
+  })
+
+  it('stops at the maximum number of pages', async () => {
+    const crawler = new LinkCrawler(server.startUrl('scraper-site-1'), { maxPages: 3 })
+
+    assert.equal((await crawler.crawl()).length, 3)
+  })
+
+  it('does not follow links to other origins', async () => {
+    const crawler = new LinkCrawler(server.startUrl('off-site'))
+
+    const urls = await crawler.crawl()
+
+    assert.equal(urls.length, 7)
+    assert.ok(urls.every(url => url.startsWith(server.origin)))
+  })
+
+  it('follows links to the origins of the allowlist', async () => {
+    const partner = `${server.origin.replace('127.0.0.1', 'localhost')}/scraper-site-2/`
+    const crawler = new LinkCrawler(server.startUrl('off-site'), { scope: [server.startUrl('off-site'), partner] })
+
+    const urls = await crawler.crawl()
+
+    assert.ok(urls.includes(partner))
+    assert.ok(!urls.includes(server.startUrl('scraper-site-2')))
+  })
+
+  it('honours robots.txt', async () => {
+    const urls = await new LinkCrawler(server.startUrl('robots')).crawl()
+    const ignoringRobots = await new LinkCrawler(server.startUrl('robots'), { robots: false }).crawl()
+
+    assert.ok(!urls.some(url => url.includes('dinner')))
+    assert.ok(ignoringRobots.some(url => url.includes('dinner')))
+  })
+
+  it('reports each page with its parents, depth and response', async () => {
+    const start = server.startUrl('dead-links')
+    const crawler = new LinkCrawler(start)
+
+    await crawler.crawl()
+
+    const pages = new Map(crawler.report.pages.map(page => [page.url, page]))
+    const mary = pages.get(`${start}calendar/mary.html`)
+
+    assert.deepEqual(pages.get(start).parents, [])
+    assert.equal(pages.get(start).depth, 0)
+    assert.deepEqual(mary.parents, [`${start}calendar/`])
+    assert.equal(mary.depth, 2)
+    assert.equal(mary.status, 200)
+    assert.match(mary.contentType, /^text\/html/)
+    assert.ok(mary.duration >= 0)
+    assert.deepEqual(crawler.report.toJSON().broken, [`${start}news/`])
+    assert.equal(pages.get(`${start}news/`).status, 404)
+    assert.deepEqual(crawler.report.toJSON().outOfScope, [`${server.origin.replace('127.0.0.1', 'localhost')}/scraper-site-2/`])
+  })
+
+  it('exports the report as a Graphviz graph with the broken and out-of-scope links highlighted', async () => {
+    const start = server.startUrl('dead-links')
+    const crawler = new LinkCrawler(start, { maxDepth: 1 })
+
+    await crawler.crawl()
+    const dot = crawler.report.toDot()
+
+    assert.match(dot, /^digraph crawl \{\n/)
+    assert.ok(dot.includes(`"${start}" -> "${start}cinema/";`))
+    assert.match(dot, /news\/\\n404, text\/plain, \d+ ms", color=red/)
+    assert.match(dot, /scraper-site-2\/\\nout of scope", color=grey, fontcolor=grey, style=dashed/)
+    assert.match(dot, /mary\.html\\ndeeper than maxDepth", style=dashed/)
+    assert.match(dot, /\}$/)
+  })
+
+  it('escapes the backslashes and quotes of the URLs and errors in the graph', () => {
+    const report = new CrawlReport('http://example.com/')
+    report.link(undefined, 'http://example.com/', 0)
+    report.link('http://example.com/', 'http://example.com/a\\b"c', 1)
+    report.visit('http://example.com/a\\b"c', { error: 'No "c" here' })
+
+    const dot = report.toDot()
+
+    assert.ok(dot.includes('"http://example.com/" -> "http://example.com/a\\\\b\\"c";'))
+    assert.ok(dot.includes('label="http://example.com/a\\\\b\\"c\\nNo \\"c\\" here", color=red'))
+  })
+
+  it('ignores a skipped link that was never recorded', () => {
+    const report = new CrawlReport('http://example.com/')
+
+    assert.doesNotThrow(() => report.skip('http://example.com/elsewhere/', 'out of scope'))
+    assert.deepEqual(report.pages, [])
+  })
+
+  it('aborts pages that time out', async () => {
+    const crawler = new LinkCrawler(server.startUrl('slow'), { timeout: 100 })
+    const started = Date.now()
+
+    const urls = await crawler.crawl()
+
+    assert.ok(Date.now() - started < 1000)
+    assert.deepEqual(relative('slow', urls), ['', 'calendar/', 'cinema/', 'dinner/'])
+    assert.match(console.error.mock.calls[0].arguments[0], /^WARN +Error crawling .*slow\/calendar\/: /)
+  })
+
+  it('cancels the crawl through an AbortSignal', async () => {
+    const controller = new AbortController()
+    const crawler = new LinkCrawler(server.startUrl('slow'))
+    setTimeout(() => controller.abort(), 50)
+
+    await assert.rejects(crawler.crawl(undefined, { signal: controller.signal }), { name: 'AbortError' })
+  })
+})
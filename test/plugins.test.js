@@ -0,0 +1,141 @@
+/**
+ * Tests of the plugins and the pipeline they are chained in.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { Application } from '../src/application.js'
+import { PIPELINE, Plugin, createPipeline } from '../src/plugins/index.js'
+import { CalendarPlugin } from '../src/plugins/calendar-plugin.js'
+import { CinemaPlugin } from '../src/plugins/cinema-plugin.js'
+import { RestaurantPlugin } from '../src/plugins/restaurant-plugin.js'
+import { DateResolver } from '../src/date-resolver.js'
+
+const config = { restaurant: { username: 'zeke', password: 'coys' }, dates: { timezone: 'Europe/Stockholm', referenceDate: '2026-10-19' } }
+
+/**
+ * A bowling alley with two free lanes on Friday evening, which are not on the fixture sites.
+ */
+class BowlingPlugin extends Plugin {
+  /**
+   * Finds the bowling alley.
+   *
+   * @returns {Array<{url: string, name: string}>} - The bowling alley.
+   */
+  discover () {
+    return [{ url: 'https://bowling.example/', name: 'Strike Lanes' }]
+  }
+
+  /**
+   * Reads the free lanes.
+   *
+   * @async
+   * @param {{name: string}} venue - The bowling alley.
+   * @returns {Promise<Array<object>>} - A promise that resolves to the free lanes.
+   */
+  async fetchAvailability (venue) {
+    return [
+      { day: 'Friday', start: '19:00', end: '20:30', name: 'Lane 1', venue: venue.name },
+      { day: 'Friday', start: '20:00', end: '21:30', name: 'Lane 2', venue: venue.name }
+    ]
+  }
+}
+
+describe('Plugins', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  it('makes the built-in plugins the default pipeline', async () => {
+    const plugins = await createPipeline()
+
+    assert.deepEqual(plugins.map(plugin => plugin.name), ['calendar', 'cinema', 'dinner'])
+    assert.ok(plugins[0] instanceof CalendarPlugin)
+    assert.ok(plugins[1] instanceof CinemaPlugin)
+    assert.ok(plugins[2] instanceof RestaurantPlugin)
+  })
+
+  it('chains an extra step after the dinner', async () => {
+    const pipeline = [...PIPELINE, { name: 'bowling', plugin: BowlingPlugin }]
+
+    const suggestions = await new Application(server.startUrl('scraper-site-1'), { ...config, pipeline }).run()
+
+    assert.equal(suggestions.length, 2)
+    assert.deepEqual(suggestions[0].activities, [{ step: 'bowling', name: 'Lane 2', venue: 'Strike Lanes', start: '20:00', end: '21:30', startsAt: '2026-10-23T20:00:00+02:00', endsAt: '2026-10-23T21:30:00+02:00' }])
+    assert.match(console.log.mock.calls[0].arguments[0], /between 18:00-20:00\. Then Lane 2 at Strike Lanes between 20:00-21:30\.\n/)
+  })
+
+  it('reads the steps that do not depend on each other at the same time', async t => {
+    const application = new Application(server.startUrl('scraper-site-1'), { ...config, pipeline: [...PIPELINE, { name: 'bowling', plugin: BowlingPlugin }] })
+    const fetchLanes = BowlingPlugin.prototype.fetchAvailability
+    const done = []
+    t.mock.method(BowlingPlugin.prototype, 'fetchAvailability', function (venue) {
+      done.push(...Object.keys(application.timings))
+      return fetchLanes.call(this, venue)
+    })
+
+    await application.run()
+
+    assert.deepEqual(done, ['crawl'])
+    assert.deepEqual(Object.keys(application.timings).sort(), ['bowling', 'calendar', 'cinema', 'crawl', 'dinner', 'run'])
+  })
+
+  it('gives a step the plans of every step up to the last one it depends on', async t => {
+    const read = t.mock.method(BowlingPlugin.prototype, 'fetchAvailability')
+    const pipeline = [...PIPELINE, { name: 'bowling', plugin: BowlingPlugin, dependsOn: ['dinner'] }]
+
+    const suggestions = await new Application(server.startUrl('scraper-site-1'), { ...config, pipeline }).run()
+
+    const { plans } = read.mock.calls[0].arguments[1]
+    assert.equal(plans.length, 2)
+    assert.ok(plans.every(plan => plan.suggestion.movie && plan.suggestion.dinnerStart))
+    assert.equal(suggestions.length, 2)
+  })
+
+  it('loads a plugin from the path of a module', async () => {
+    const path = join(await mkdtemp(join(tmpdir(), 'gathering-')), 'bowling.js')
+    await writeFile(path, `
+      import { Plugin } from ${JSON.stringify(new URL('../src/plugins/plugin.js', import.meta.url).href)}
+      export default class Bowling extends Plugin {}
+    `)
+
+    const [plugin] = await createPipeline([{ name: 'bowling', plugin: path }])
+
+    assert.equal(plugin.constructor.name, 'Bowling')
+    assert.equal(plugin.name, 'bowling')
+    await assert.rejects(plugin.fetchAvailability(), /Bowling does not implement fetchAvailability\(\)\./)
+  })
+
+  it('rejects an unknown plugin and steps with the same name', async () => {
+    await assert.rejects(createPipeline([{ name: 'bowling' }]), /Unknown plugin "bowling", use one of calendar, cinema, restaurant or the path of a module\./)
+    await assert.rejects(createPipeline([{ name: 'cinema' }, { name: 'cinema' }]), /The pipeline has two steps named "cinema"\./)
+    await assert.rejects(createPipeline([{ name: 'cinema', dependsOn: ['calendar'] }, { name: 'calendar' }]), /The step "cinema" depends on "calendar", which is not a step before it\./)
+    await assert.rejects(new Application(server.startUrl('scraper-site-1'), { pipeline: [{ name: 'x', plugin: './missing.js' }] }).run(), /Could not load the plugin \.\/missing\.js/)
+  })
+
+  it('ends a movie that runs past midnight on the next date', () => {
+    const shows = [{ day: 'Friday', time: '22:00', movie: 'The Flying Deuces', cinema: 'Cinema', soldOut: false }]
+    const [plan] = new CinemaPlugin().chain([{ suggestion: { day: 'Friday' } }], shows, { timing: { minimumGap: 120, movieLength: 180, travelTime: 0 } })
+
+    assert.equal(plan.suggestion.movieEnd, '01:00')
+    assert.equal(plan.ready, 25 * 60)
+
+    const [dated] = new DateResolver(config.dates).resolve(plan.suggestion)
+
+    assert.equal(dated.movieStartsAt, '2026-10-23T22:00:00+02:00')
+    assert.equal(dated.movieEndsAt, '2026-10-24T01:00:00+02:00')
+  })
+})
@@ -0,0 +1,42 @@
+/**
+ * Tests of the robots.txt parser.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { RobotsTxt } from '../src/robots-txt.js'
+
+describe('RobotsTxt', () => {
+  const text = [
+    'User-agent: *',
+    'Disallow: /private/',
+    'Allow: /private/open/',
+    '',
+    '# Our own crawler may not visit the restaurant.',
+    'User-agent: other-bot',
+    'User-agent: the-gathering',
+    'Disallow: /dinner/'
+  ].join('\n')
+
+  it('applies the rules for every user agent', () => {
+    const robots = new RobotsTxt(text, 'some-bot')
+
+    assert.equal(robots.isAllowed('/private/page'), false)
+    assert.equal(robots.isAllowed('/private/open/page'), true)
+    assert.equal(robots.isAllowed('/dinner/'), true)
+  })
+
+  it('prefers the rules for the named user agent', () => {
+    const robots = new RobotsTxt(text, 'The-Gathering/1.1')
+
+    assert.equal(robots.isAllowed('/dinner/login'), false)
+    assert.equal(robots.isAllowed('/private/page'), true)
+  })
+
+  it('allows everything without rules', () => {
+    assert.equal(new RobotsTxt('').isAllowed('/anything'), true)
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Tests of the site discovery against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { SiteDiscovery } from '../src/site-discovery.js'
+
+describe('SiteDiscovery', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  it('classifies the pages by their markup', async () => {
+    const base = server.startUrl('scraper-site-1')
+
+    const sites = await new SiteDiscovery(base).discover()
+
+    assert.deepEqual(sites.calendar.map(page => page.url).sort(), [`${base}calendar/mary.html`, `${base}calendar/paul.html`, `${base}calendar/peter.html`])
+    assert.deepEqual(sites.cinema, [{ url: `${base}cinema/`, name: 'Cinema', reason: 'has a form with select[name="day"] and select[name="movie"]' }])
+    assert.deepEqual(sites.restaurant, [{ url: `${base}dinner/`, name: "Zeke's Bar", reason: 'has a login form with a password field' }])
+    assert.equal(sites.calendar[0].reason, 'has a calendar table for Friday, Saturday, Sunday')
+  })
+
+  it('does not depend on the links', async () => {
+    const base = server.startUrl('renamed')
+
+    const sites = await new SiteDiscovery(base).discover()
+
+    assert.equal(sites.calendar.length, 3)
+    assert.equal(sites.cinema[0].url, `${base}movies/`)
+    assert.equal(sites.restaurant[0].url, `${base}zekes/`)
+  })
+
+  it('reports the page picked for each role', () => {
+    const report = SiteDiscovery.report({
+      calendar: [{ url: 'http://example.com/paul.html', reason: 'has a calendar table for Friday' }],
+      cinema: [],
+      restaurant: [{ url: 'http://example.com/dinner/', name: "Zeke's Bar", reason: 'has a login form with a password field' }]
+    })
+
+    assert.deepEqual(report, [
+      'calendar: http://example.com/paul.html (has a calendar table for Friday)',
+      'cinema: no page found',
+      'restaurant: http://example.com/dinner/ "Zeke\'s Bar" (has a login form with a password field)'
+    ])
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * Tests of the site profiles against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { Application } from '../src/application.js'
+import { SiteProfile } from '../src/site-profile.js'
+import { ParseError } from '../src/errors.js'
+
+const OTHER_MARKUP = fileURLToPath(new URL('./fixtures/profiles/other-markup.json', import.meta.url))
+const config = { restaurant: { username: 'zeke', password: 'coys' } }
+
+describe('SiteProfile', () => {
+  const server = new FixtureServer()
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  it('replaces only the keys a profile gives, and fills in the placeholders of an endpoint', () => {
+    const profile = new SiteProfile({ restaurant: { days: { Friday: 'fre' } } })
+
+    assert.deepEqual(profile.restaurant.days, { Friday: 'fre' })
+    assert.equal(profile.restaurant.login, 'login')
+    assert.equal(profile.cinema.shows, 'check?day={day}&movie={movie}')
+    assert.equal(profile.fill(profile.cinema.shows, { day: '05', movie: 'a&b' }, { encode: true }), 'check?day=05&movie=a%26b')
+    assert.equal(profile.fill(profile.restaurant.table, { day: 'fri' }), 'input[value^="fri"] + span')
+  })
+
+  it('plans on a cinema and restaurant with other markup, given their profile, and books its table', async () => {
+    const profile = await SiteProfile.load(OTHER_MARKUP)
+    const application = new Application(server.startUrl('other-markup'), { ...config, profile })
+
+    const suggestions = await application.run()
+
+    assert.deepEqual(suggestions.map(({ day, movie, movieTime, dinnerStart, dinnerEnd }) => ({ day, movie, movieTime, dinnerStart, dinnerEnd })), [
+      { day: 'Friday', movie: 'The Flying Deuces', movieTime: '16:00', dinnerStart: '18:00', dinnerEnd: '20:00' }
+    ])
+
+    const booking = await application.book(suggestions[0])
+    await application.close()
+
+    assert.equal(booking.booked, true)
+    assert.deepEqual(server.bookings('other-markup'), ['fre1820'])
+  })
+
+  it('rejects a free table without a radio button', async () => {
+    const { restaurant } = await SiteProfile.load(OTHER_MARKUP)
+    const profile = new SiteProfile({ restaurant: { ...restaurant, radio: 'input[type="checkbox"]' } })
+
+    await assert.rejects(new Application(server.startUrl('other-markup'), { ...config, profile }).dinner(), error => error instanceof ParseError && /The table "Friday 14-16" on Friday at .+ has no radio button\./.test(error.message))
+  })
+
+  it('redacts the password field the profile names in a recording', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'gathering-'))
+    const profile = await SiteProfile.load(OTHER_MARKUP)
+    const application = new Application(server.startUrl('other-markup'), { ...config, profile, record: dir })
+    await application.run()
+    await application.close()
+
+    const { log } = JSON.parse(await readFile(join(dir, 'archive.har'), 'utf8'))
+    const login = log.entries.find(entry => entry.request.method === 'POST')
+
+    assert.equal(new URLSearchParams(login.request.postData.text).get('pass'), 'redacted')
+    assert.doesNotMatch(JSON.stringify(log), /coys/)
+  })
+
+  it('does not find a cinema with other markup by the default profile', async () => {
+    await assert.rejects(new Application(server.startUrl('other-markup'), config).cinema(), /Could not find the cinema\./)
+  })
+
+  it('rejects a profile file that cannot be read', async () => {
+    await assert.rejects(SiteProfile.load('missing-profile.json'), /Could not read the site profile missing-profile\.json: /)
+  })
+})
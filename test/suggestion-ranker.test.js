@@ -0,0 +1,75 @@
+/**
+ * Tests of the suggestion ranker.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SuggestionRanker } from '../src/suggestion-ranker.js'
+
+const suggestions = {
+  Friday: [
+    { movie: 'The Flying Deuces', movieTime: '16:00', movieEnd: null, dinnerStart: '18:00', dinnerEnd: '20:00' },
+    { movie: 'A Day at the Races', movieTime: '16:00', movieEnd: null, dinnerStart: '21:00', dinnerEnd: '23:00' }
+  ],
+  Saturday: [
+    { movie: 'Keep Your Seats, Please', movieTime: '18:00', movieEnd: '19:30', dinnerStart: '20:00', dinnerEnd: '22:00' }
+  ]
+}
+
+/**
+ * Describes a ranked suggestion in one line, to compare the order.
+ *
+ * @param {object} suggestion - The ranked suggestion.
+ * @returns {string} - The day, movie and score.
+ */
+const describeSuggestion = suggestion => `${suggestion.day} ${suggestion.movie} ${suggestion.score}`
+
+describe('SuggestionRanker', () => {
+  it('keeps the order without preferences', () => {
+    assert.deepEqual(new SuggestionRanker().rank(suggestions).map(describeSuggestion), [
+      'Friday The Flying Deuces 0',
+      'Friday A Day at the Races 0',
+      'Saturday Keep Your Seats, Please 0'
+    ])
+  })
+
+  it('ranks favourite movies and preferred days first and explains why', () => {
+    const ranked = new SuggestionRanker({ favouriteMovies: ['A Day at the Races'], preferredDays: 'Saturday' }).rank(suggestions)
+
+    assert.deepEqual(ranked.map(describeSuggestion), [
+      'Friday A Day at the Races 10',
+      'Saturday Keep Your Seats, Please 5',
+      'Friday The Flying Deuces 0'
+    ])
+    assert.deepEqual(ranked[0].reasons, ['+10 favourite movie'])
+    assert.deepEqual(ranked[1].reasons, ['+5 preferred day (Saturday)'])
+  })
+
+  it('leaves out excluded movies and dinners outside the window', () => {
+    const ranked = new SuggestionRanker({ excludedMovies: ['The Flying Deuces'], latestDinner: '20:30' }).rank(suggestions)
+
+    assert.deepEqual(ranked.map(describeSuggestion), ['Saturday Keep Your Seats, Please 0'])
+  })
+
+  it('prefers the shortest wait from the end of the movie', () => {
+    const ranked = new SuggestionRanker({ shortestWait: true, top: 2 }).rank(suggestions)
+
+    assert.deepEqual(ranked.map(describeSuggestion), [
+      'Saturday Keep Your Seats, Please -1',
+      'Friday The Flying Deuces -4'
+    ])
+    assert.deepEqual(ranked[0].reasons, ['-1 waits 00:30 between the movie and the dinner'])
+  })
+
+  it('ranks a list of dated suggestions, preferring a day by its date', () => {
+    const dated = suggestions.Friday.map((suggestion, index) => ({ ...suggestion, day: 'Friday', date: `2026-10-${23 + 7 * index}` }))
+
+    const ranked = new SuggestionRanker({ preferredDays: ['2026-10-30'] }).rank(dated)
+
+    assert.deepEqual(ranked.map(suggestion => `${suggestion.date} ${suggestion.score}`), ['2026-10-30 5', '2026-10-23 0'])
+    assert.deepEqual(ranked[0].reasons, ['+5 preferred day (2026-10-30)'])
+  })
+})
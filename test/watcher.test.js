@@ -0,0 +1,58 @@
+/**
+ * Tests of the watch mode against the fixture sites.
+ *
+ * @author Samuel von Zweigbergk <sv222rr@student.lnu.se>
+ * @version 1.1.1
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { FixtureServer } from './fixtures/fixture-server.js'
+import { Application } from '../src/application.js'
+import { Watcher } from '../src/watcher.js'
+
+describe('Watcher', () => {
+  const server = new FixtureServer()
+  const config = { restaurant: { username: 'zeke', password: 'coys' }, dates: { timezone: 'Europe/Stockholm', referenceDate: '2026-10-19' } }
+
+  before(() => server.start())
+  after(() => server.close())
+
+  beforeEach(t => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+  })
+
+  it('reports a table that is no longer free', async () => {
+    const watcher = new Watcher(server.startUrl('scraper-site-2'), config)
+
+    const first = await watcher.check()
+    assert.equal(first.added.length, 2)
+
+    const application = new Application(server.startUrl('scraper-site-2'), config)
+    const suggestions = await application.run()
+    await application.book(suggestions[0])
+    await application.close()
+
+    const second = await watcher.check()
+    assert.deepEqual(second.added, [])
+    assert.deepEqual(second.removed.map(suggestion => suggestion.day), ['Saturday'])
+    assert.match(Watcher.report(second.added, second.removed), /\n- On Saturday 2026-10-24, "Keep Your Seats, Please" begins at 18:00 at Cinema, with a table at Zeke's Bar between 20:00-22:00\.$/)
+  })
+
+  it('reports when nothing has changed', () => {
+    assert.match(Watcher.report([], []), /^\[\d{2}:\d{2}:\d{2}\] No changes\.$/)
+  })
+
+  it('stops on a signal without waiting for the requests in progress', async () => {
+    const watcher = new Watcher(server.startUrl('slow'), config, { interval: 10 })
+    const controller = new AbortController()
+    const start = Date.now()
+
+    setTimeout(() => controller.abort(), 100)
+    await watcher.watch({ signal: controller.signal })
+
+    assert.ok(Date.now() - start < 1000)
+    assert.equal(console.error.mock.calls.filter(call => /The run failed/.test(call.arguments[0])).length, 0)
+  })
+})